@@ -14,6 +14,9 @@ const GamepadTester = {
     // Currently active gamepad index
     activeGamepadIndex: null,
     
+    // Database profile (name, layout, button / axis names) of the active gamepad
+    controllerProfile: null,
+    
     // Animation frame ID for cancellation
     animationFrameId: null,
     
@@ -24,31 +27,307 @@ const GamepadTester = {
         pollingRates: []
     },
     
+    // Device report-rate measurement (based on gamepad.timestamp changes, not frame timing)
+    reportRate: {
+        running: false,
+        samplerId: null,
+        startTime: 0,
+        duration: 10000,
+        lastTimestamp: null,
+        lastState: '',
+        intervals: [],
+        ages: [],
+        polls: 0,
+        duplicates: 0,
+        results: null
+    },
+    
+    // Reaction-time / input-latency benchmark. Each finished run is kept so setups
+    // (USB, Bluetooth, dongle...) can be compared side by side
+    reaction: {
+        running: false,
+        phase: 'idle', // idle | waiting | cue | pause
+        cue: 'flash',
+        button: 'any',
+        target: 10,
+        label: '',
+        controller: '',
+        trials: [], // { result: ok | early | miss, reaction, pollDelay, total, timestamped }
+        cueTime: 0,
+        timerId: null,
+        samplerId: null,
+        lastPressed: false,
+        audio: null,
+        runs: [] // { label, controller, cue, button, trials, stats }
+    },
+    
+    // Per-controller statistics, keyed by gamepad index (-1 while replaying a recording).
+    // triggerTracking, oscilloscopeData, circularityData, returnToCenter, driftTest, triggerTest, hapticTest
+    // and sampleHistory
+    // always point at the active controller's entry - see bindControllerStats()
+    controllerStats: {},
+    
+    // Rolling history of raw frames for the report's sample CSV
+    sampleHistory: [],
+    
+    // Multi-controller comparison view
+    compare: {
+        enabled: false,
+        layout: 'side-by-side', // side-by-side | overlay
+        reference: null
+    },
+    
     // Trigger sensitivity tracking
-    // We track unique values to determine sensor resolution (8-bit = 255 steps, 10-bit = 1023 steps, etc.)
+    // Distinct values seen feed the quantization-step estimate (8-bit = 1/255 steps, 10-bit = 1/1023, etc.)
     triggerTracking: {
         left: new Set(),
-        right: new Set()
+        right: new Set(),
+        estimates: { left: null, right: null } // Quantization estimates, redone when a new value arrives
+    },
+    
+    // Guided slow-pull trigger test (one trigger at a time)
+    triggerTest: {
+        trigger: 'left',
+        phase: 'idle', // idle | ready | pull | hold | done
+        phaseStart: 0,
+        startTime: 0,
+        restSamples: [],
+        samples: [],
+        results: null
     },
     
-    // Oscilloscope data (for graphing stick movement over time)
+    // Oscilloscope data: timestamped snapshots of every axis and button value, plus both
+    // sticks after deadzone + curve processing (see recordOscilloscopeSample)
     oscilloscopeData: {
-        left: { x: [], y: [] },
-        right: { x: [], y: [] },
-        maxPoints: 200, // Keep last 200 data points
-        timeOffset: 0
+        samples: []
+    },
+    
+    // Oscilloscope settings (shared by all controllers)
+    // Channels are 'axis:N', 'button:N' or 'processed:N' (processed stick axes 0-3)
+    scope: {
+        channels: ['axis:0', 'axis:1'],
+        timebase: 2500, // ms across the screen
+        paused: false,
+        frozen: null, // { start, end, triggerTime, samples } while showing a still
+        trigger: {
+            mode: 'off', // off | normal | single
+            channel: 'axis:0',
+            edge: 'rising', // rising | falling | both
+            level: 0.5,
+            armed: false,
+            time: null // Crossing time of the capture in progress
+        },
+        cursors: [null, null] // ms from the left edge of the screen
+    },
+    
+    // Rendering: cached elements and the last value written to each, so a frame only
+    // touches the DOM that changed, plus static canvas layers and the per-frame cost overlay
+    render: {
+        elements: new Map(),
+        written: new WeakMap(), // element -> { property: last value }
+        buttons: null, // data-button elements of the drawn controller, by button index
+        rawTable: null, // { profile, axisCount, buttonCount, cells }
+        rawLayout: null,
+        layers: new Map(),
+        circularityKey: null,
+        scopeWorker: null,
+        scopeBusy: false,
+        scopePending: null,
+        overlay: false,
+        overlayUpdated: 0,
+        timings: { dom: [], canvas: [], analysis: [], total: [] }
     },
     
     // Circularity test data (for dead zone visualization)
+    // sectors hold the maximum radius reached in each angular sector (the outer-radius profile)
     circularityData: {
         left: [],
         right: [],
-        maxPoints: 1000
+        maxPoints: 1000,
+        sectors: {
+            left: new Array(72).fill(0),
+            right: new Array(72).fill(0)
+        },
+        analysis: {
+            left: null,
+            right: null
+        }
+    },
+    
+    // Return-to-center (snap-back) analysis: per-stick release detector and analyzed releases
+    returnToCenter: {
+        trackers: { left: { phase: 'idle' }, right: { phase: 'idle' } },
+        events: []
+    },
+    
+    // Selected stick for the circularity test
+    selectedCircle: 'left',
+    
+    // Stick processing (deadzone shape + response curve) applied to the "processed" stick output
+    // Defaults reproduce the original fixed 0.05 axial deadzone
+    stickProcessing: {
+        shape: 'axial',     // axial | radial | scaled-radial | hybrid
+        inner: 0.05,
+        outer: 0,
+        curve: 'linear',    // linear | exponential | bezier
+        exponent: 2,
+        bezier: [0.4, 0, 0.6, 1]
+    },
+    
+    // Stick drift diagnostic (guided hands-off sampling of the resting sticks)
+    driftTest: {
+        phase: 'idle', // idle | settling | sampling | done
+        phaseStart: 0,
+        samples: { left: [], right: [] },
+        results: null
+    },
+    
+    // Learned mappings for non-standard controllers, keyed by gamepad.id (persisted in localStorage)
+    mappings: {},
+    
+    // Stick range calibrations, keyed by gamepad.id (persisted in localStorage)
+    calibrations: {},
+    
+    // Calibration run in progress
+    calibration: {
+        phase: 'idle', // idle | centering | ranging
+        phaseStart: 0,
+        gamepadId: null,
+        axes: [] // Per axis: { sum, count, min, max, pinned: { positive, negative } }
+    },
+    
+    // "Learn mapping" wizard state
+    mappingWizard: {
+        active: false,
+        gamepadIndex: null,
+        step: 0,
+        phase: 'waiting', // waiting | holding | settling
+        phaseStart: 0,
+        baseline: null,
+        candidate: null,
+        mapping: null
+    },
+    
+    // Button edge tracking (debounce / chatter detection)
+    buttonEdges: {
+        buttons: {},
+        log: [],
+        guided: null
+    },
+    
+    // Simultaneous-input / ghosting test: every pair of the tested buttons, then growing
+    // groups for the rollover count
+    ghostTest: {
+        active: false,
+        buttons: [],
+        steps: [], // { buttons, result, dropped, phantom } - result: null | pass | drop | ghost | skipped
+        index: 0,
+        state: null // Current step: { armed, key, since, best, phantom }
+    },
+    
+    // Noise spectrum of one axis, computed from the oscilloscope samples. Distinct values
+    // per axis feed the bit-depth estimate, like triggerTracking does for the triggers
+    noise: {
+        axis: 0,
+        size: 256,
+        axisCount: 0,
+        values: [], // axis -> Set of every value reported since the last reset
+        quantization: {}, // axis -> { distinct, estimate } cached until new values arrive
+        lastUpdate: 0,
+        result: null
+    },
+    
+    // Motion sensors & touchpad, read from gamepad.pose / gamepad.touches where the browser
+    // exposes them
+    sensors: {
+        trails: new Map(), // touch id -> { points, active }, oldest first
+        orientation: null, // Last orientation seen, for zeroing
+        reference: null, // Orientation the gizmo is zeroed to
+        rest: [], // { time, orientation, angularVelocity } while the controller is still
+        touchKey: null,
+        motionKey: null,
+        mouseTouchId: 0
+    },
+    
+    // Fighting-game input display: history strip (newest first), direction changes for the
+    // motion recognizer and the motions it found
+    inputDisplay: {
+        history: [], // { direction, socd, buttons, pressed, time, frames }
+        directions: [], // { direction, time }
+        motions: [],
+        consumed: {}, // sequence / rotation -> time of the last direction a reported motion used
+        heldSince: { up: null, down: null, left: null, right: null },
+        socd: 'neutral', // neutral | last | up
+        facing: 'right'
+    },
+    
+    // Guided rumble motor verification (per controller, like the other guided tests)
+    hapticTest: {
+        active: false,
+        step: 0,
+        waiting: false,
+        steps: [],
+        results: null
+    },
+    
+    // Haptics pattern sequencer (timeline of rumble segments played as sequenced playEffect calls)
+    haptics: {
+        pattern: null,
+        playing: false,
+        actuator: null,
+        steps: [],
+        stepIndex: -1,
+        startTime: 0,
+        timerId: null
+    },
+    
+    // Guided end-to-end test wizard (walks through the individual tests one step at a time)
+    wizard: {
+        active: false,
+        steps: [],
+        index: -1,
+        stepStart: 0,
+        state: null // Working data of the current step
+    },
+    
+    // Last generated diagnostic report (exported as JSON / CSV / printable HTML)
+    report: {
+        last: null
+    },
+    
+    // Saved test results across sessions (IndexedDB), keyed by controller id + user label
+    history: {
+        db: null,
+        entries: [],
+        selected: null
+    },
+    
+    // Session recording (frames captured from the active gamepad)
+    recorder: {
+        recording: false,
+        startTime: 0,
+        device: null,
+        frames: []
+    },
+    
+    // Session replay (a loaded recording drives the UI instead of live input)
+    replay: {
+        active: false,
+        playing: false,
+        recording: null,
+        frameIndex: -1,
+        position: 0,
+        speed: 1,
+        lastTimestamp: 0
     },
     
-    // Selected axes for visualization
-    selectedScope: 'left',
-    selectedCircle: 'left'
+    // Virtual gamepad provider (for testing without hardware)
+    // Pads are keyed by their gamepad index, just like real ones
+    virtual: {
+        pads: {},
+        keysDown: {},
+        pointer: null
+    }
 };
 
 // ==========================================
@@ -84,6 +363,429 @@ const AXIS_MAPPING = {
     3: 'Right Stick Y'
 };
 
+// ==========================================
+// CONTROLLER DATABASE
+// ==========================================
+// Layouts describe how a family of controllers labels the standard-mapping inputs:
+// glyphs are drawn on the visual controller, names are used in tables and logs.
+// BUTTON_MAPPING / AXIS_MAPPING above are the generic (brand-neutral) names.
+
+const GENERIC_GLYPHS = {
+    0: 'A', 1: 'B', 2: 'X', 3: 'Y',
+    4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT',
+    8: '⊟', 9: '☰', 10: 'L3', 11: 'R3',
+    12: '▲', 13: '▼', 14: '◀', 15: '▶',
+    16: '⌂'
+};
+
+const CONTROLLER_LAYOUTS = {
+    generic: {
+        label: 'Generic',
+        glyphs: GENERIC_GLYPHS,
+        buttons: BUTTON_MAPPING,
+        axes: AXIS_MAPPING
+    },
+    xbox: {
+        label: 'Xbox',
+        glyphs: GENERIC_GLYPHS,
+        buttons: Object.assign({}, BUTTON_MAPPING, {
+            0: 'A', 1: 'B', 2: 'X', 3: 'Y',
+            4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT',
+            8: 'View', 9: 'Menu', 10: 'LS (Left Stick)', 11: 'RS (Right Stick)',
+            16: 'Xbox', 17: 'Share'
+        }),
+        axes: AXIS_MAPPING
+    },
+    playstation: {
+        label: 'PlayStation',
+        glyphs: Object.assign({}, GENERIC_GLYPHS, {
+            0: '✕', 1: '○', 2: '□', 3: '△',
+            4: 'L1', 5: 'R1', 6: 'L2', 7: 'R2',
+            16: 'PS'
+        }),
+        buttons: Object.assign({}, BUTTON_MAPPING, {
+            0: 'Cross', 1: 'Circle', 2: 'Square', 3: 'Triangle',
+            4: 'L1', 5: 'R1', 6: 'L2', 7: 'R2',
+            8: 'Create / Share', 9: 'Options',
+            16: 'PS', 17: 'Touchpad'
+        }),
+        axes: AXIS_MAPPING
+    },
+    // Nintendo swaps the labels: the south button is B and the east button is A
+    nintendo: {
+        label: 'Nintendo',
+        glyphs: Object.assign({}, GENERIC_GLYPHS, {
+            0: 'B', 1: 'A', 2: 'Y', 3: 'X',
+            4: 'L', 5: 'R', 6: 'ZL', 7: 'ZR',
+            8: '−', 9: '+'
+        }),
+        buttons: Object.assign({}, BUTTON_MAPPING, {
+            0: 'B', 1: 'A', 2: 'Y', 3: 'X',
+            4: 'L', 5: 'R', 6: 'ZL', 7: 'ZR',
+            8: 'Minus', 9: 'Plus',
+            16: 'Home', 17: 'Capture'
+        }),
+        axes: AXIS_MAPPING
+    },
+    // Arcade sticks: lever on the D-pad or left stick, eight attack buttons
+    arcade: {
+        label: 'Arcade Stick',
+        glyphs: Object.assign({}, GENERIC_GLYPHS, {
+            0: 'LK', 1: 'MK', 2: 'LP', 3: 'MP',
+            4: 'PPP', 5: 'HP', 6: 'KKK', 7: 'HK'
+        }),
+        buttons: Object.assign({}, BUTTON_MAPPING, {
+            0: 'Light Kick', 1: 'Medium Kick', 2: 'Light Punch', 3: 'Medium Punch',
+            4: 'All Punches', 5: 'Heavy Punch', 6: 'All Kicks', 7: 'Heavy Kick',
+            12: 'Lever Up', 13: 'Lever Down', 14: 'Lever Left', 15: 'Lever Right'
+        }),
+        axes: {
+            0: 'Lever X',
+            1: 'Lever Y'
+        }
+    },
+    // Non-standard mapping: indices mean nothing in particular, show every reported input
+    raw: {
+        label: 'Raw (non-standard mapping)',
+        glyphs: GENERIC_GLYPHS,
+        buttons: {},
+        axes: {}
+    }
+};
+
+// Keyed on 'vendor:product' (lowercase hex, as browsers report them); a bare 'vendor'
+// key is the fallback for that manufacturer's unlisted products.
+// buttons / axes override the layout's names (used for non-standard devices).
+const CONTROLLER_DATABASE = {
+    // Microsoft
+    '045e': { name: 'Xbox Controller', layout: 'xbox' },
+    '045e:028e': { name: 'Xbox 360 Controller', layout: 'xbox' },
+    '045e:02d1': { name: 'Xbox One Controller', layout: 'xbox' },
+    '045e:02dd': { name: 'Xbox One Controller', layout: 'xbox' },
+    '045e:02e3': { name: 'Xbox One Elite Controller', layout: 'xbox' },
+    '045e:02ea': { name: 'Xbox One S Controller', layout: 'xbox' },
+    '045e:0b00': { name: 'Xbox Elite Series 2 Controller', layout: 'xbox' },
+    '045e:0b12': { name: 'Xbox Series X|S Controller', layout: 'xbox' },
+    '045e:0b13': { name: 'Xbox Series X|S Controller (Bluetooth)', layout: 'xbox' },
+    // Sony
+    '054c': { name: 'PlayStation Controller', layout: 'playstation' },
+    '054c:0268': { name: 'DualShock 3', layout: 'playstation' },
+    '054c:05c4': { name: 'DualShock 4', layout: 'playstation' },
+    '054c:09cc': { name: 'DualShock 4 (2nd gen)', layout: 'playstation' },
+    '054c:0ba0': { name: 'DualShock 4 USB Wireless Adaptor', layout: 'playstation' },
+    '054c:0ce6': { name: 'DualSense', layout: 'playstation' },
+    '054c:0df2': { name: 'DualSense Edge', layout: 'playstation' },
+    // Nintendo
+    '057e': { name: 'Nintendo Controller', layout: 'nintendo' },
+    '057e:2006': { name: 'Joy-Con (L)', layout: 'nintendo' },
+    '057e:2007': { name: 'Joy-Con (R)', layout: 'nintendo' },
+    '057e:2009': { name: 'Switch Pro Controller', layout: 'nintendo' },
+    '057e:200e': { name: 'Joy-Con Charging Grip', layout: 'nintendo' },
+    // 8BitDo (Nintendo-style labels in Switch / D-input mode)
+    '2dc8': { name: '8BitDo Controller', layout: 'nintendo' },
+    '2dc8:6001': { name: '8BitDo SN30 Pro', layout: 'nintendo' },
+    // Arcade sticks
+    '0738:4718': { name: 'Mad Catz Street Fighter IV FightStick SE', layout: 'arcade' },
+    '0f0d:000d': { name: 'Hori Fighting Stick EX2', layout: 'arcade' },
+    '0f0d:0016': { name: 'Hori Real Arcade Pro.EX', layout: 'arcade' },
+    '0f0d:0063': { name: 'Hori Real Arcade Pro Hayabusa', layout: 'arcade' },
+    '1532:0a00': { name: 'Razer Atrox Arcade Stick', layout: 'arcade' },
+    // Flight sticks (non-standard mapping)
+    '046d:c215': {
+        name: 'Logitech Extreme 3D Pro',
+        layout: 'raw',
+        buttons: { 0: 'Trigger', 1: 'Thumb' },
+        axes: { 0: 'Stick X (Roll)', 1: 'Stick Y (Pitch)' }
+    },
+    '044f:b10a': {
+        name: 'Thrustmaster T.16000M',
+        layout: 'raw',
+        buttons: { 0: 'Trigger' },
+        axes: { 0: 'Stick X (Roll)', 1: 'Stick Y (Pitch)' }
+    }
+};
+
+// Last resort when the id carries no vendor / product (e.g. Chrome's XInput ids)
+const CONTROLLER_NAME_PATTERNS = [
+    { pattern: /xbox|xinput/i, layout: 'xbox' },
+    { pattern: /dualsense|dualshock|playstation/i, layout: 'playstation' },
+    { pattern: /pro controller|joy-con|nintendo|switch/i, layout: 'nintendo' },
+    { pattern: /fight ?stick|arcade/i, layout: 'arcade' }
+];
+
+// Virtual gamepad keyboard mapping
+// Sticks are driven by two key clusters, everything else maps to a standard button index
+const VIRTUAL_KEY_MAPPING = {
+    sticks: {
+        KeyA: { axis: 0, direction: -1 },
+        KeyD: { axis: 0, direction: 1 },
+        KeyW: { axis: 1, direction: -1 },
+        KeyS: { axis: 1, direction: 1 },
+        KeyJ: { axis: 2, direction: -1 },
+        KeyL: { axis: 2, direction: 1 },
+        KeyI: { axis: 3, direction: -1 },
+        KeyK: { axis: 3, direction: 1 }
+    },
+    buttons: {
+        KeyZ: 0,
+        KeyX: 1,
+        KeyC: 2,
+        KeyV: 3,
+        KeyQ: 4,
+        KeyE: 5,
+        Digit1: 6,
+        Digit3: 7,
+        Backspace: 8,
+        Enter: 9,
+        KeyF: 10,
+        KeyH: 11,
+        ArrowUp: 12,
+        ArrowDown: 13,
+        ArrowLeft: 14,
+        ArrowRight: 15,
+        KeyG: 16,
+        KeyT: 17
+    }
+};
+
+// Time (ms) for a keyboard-held trigger to ramp from 0 to 1, so analog panels see a sweep
+const VIRTUAL_TRIGGER_RAMP_MS = 600;
+const VIRTUAL_TOUCHPAD_SIZE = [1920, 1080];
+// Virtual pads start past the slots browsers hand out to real controllers (Chrome always
+// reports four), so a controller plugged in later never lands on a virtual pad's index
+const VIRTUAL_INDEX_BASE = 4;
+
+// Circularity analysis
+// 72 sectors of 5°; a sector counts as covered once the stick has been pushed past MIN_RADIUS in it
+const CIRCULARITY_SECTORS = 72;
+const CIRCULARITY_MIN_RADIUS = 0.5;
+const CIRCULARITY_MIN_COVERAGE = 0.75; // Needed before the gate shape is classified
+
+// Stick processing profile format (exported for the game client)
+const STICK_PROFILE_FORMAT = 'gamepad-tester-stick-profile';
+const STICK_PROFILE_VERSION = 1;
+
+// Report-rate measurement
+// Common USB / Bluetooth report rates, used to name the measured rate
+const STANDARD_REPORT_RATES = [60, 125, 250, 500, 1000, 2000, 4000, 8000];
+const REPORT_HISTOGRAM_BINS = 40;
+
+// Drift test timing and default pass/fail thresholds (editable in the UI)
+const DRIFT_SETTLE_MS = 2000;
+const DRIFT_DEFAULTS = {
+    duration: 3,        // seconds of sampling
+    maxOffset: 0.05,    // mean resting offset (matches the visual deadzone)
+    maxNoise: 0.02      // peak-to-peak noise per axis
+};
+
+// Movement beyond this radius during sampling means the stick was touched
+const DRIFT_TOUCH_RADIUS = 0.4;
+
+// Button chatter detection defaults (editable in the UI)
+const CHATTER_DEFAULTS = {
+    shortPress: 25,     // ms - holds shorter than this look like contact bounce
+    chatterGap: 40,     // ms - a re-press this soon after release looks like a ghost double-press
+    guidedPresses: 5
+};
+const BUTTON_LOG_LIMIT = 50;
+
+// Trigger slow-pull test timing: release, follow the on-screen guide from 0 to 100%, hold
+const TRIGGER_TEST_READY_MS = 2000;
+const TRIGGER_TEST_PULL_MS = 4000;
+const TRIGGER_TEST_HOLD_MS = 750;
+const TRIGGER_DISTINCT_LIMIT = 4096; // Distinct values kept for the live resolution estimate
+
+// Comparison view: one colour per controller (cycled when more are connected)
+const COMPARE_COLORS = ['#00f3ff', '#ff00ff', '#ffcc00', '#00ff88'];
+
+// Controller remapping: storage, file format and the wizard's detection thresholds
+const MAPPING_STORAGE_KEY = 'gamepad-tester-mappings';
+const MAPPING_FORMAT = 'gamepad-tester-mapping';
+const MAPPING_VERSION = 1;
+const MAPPING_DETECT_THRESHOLD = 0.5;  // Change from rest that counts as "this input responded"
+const MAPPING_SETTLE_MS = 300;         // Pause after a release before the next control is armed
+const MAPPING_STEPS = [
+    { type: 'axis', index: 0, direction: 1, prompt: 'Push the LEFT stick fully RIGHT, then let go' },
+    { type: 'axis', index: 1, direction: 1, prompt: 'Push the LEFT stick fully DOWN, then let go' },
+    { type: 'axis', index: 2, direction: 1, prompt: 'Push the RIGHT stick fully RIGHT, then let go' },
+    { type: 'axis', index: 3, direction: 1, prompt: 'Push the RIGHT stick fully DOWN, then let go' },
+    { type: 'button', index: 0, prompt: 'Press the SOUTH face button (A / Cross)' },
+    { type: 'button', index: 1, prompt: 'Press the EAST face button (B / Circle)' },
+    { type: 'button', index: 2, prompt: 'Press the WEST face button (X / Square)' },
+    { type: 'button', index: 3, prompt: 'Press the NORTH face button (Y / Triangle)' },
+    { type: 'button', index: 4, prompt: 'Press the LEFT bumper (LB / L1)' },
+    { type: 'button', index: 5, prompt: 'Press the RIGHT bumper (RB / R1)' },
+    { type: 'button', index: 6, prompt: 'Pull the LEFT trigger all the way (LT / L2), then let go' },
+    { type: 'button', index: 7, prompt: 'Pull the RIGHT trigger all the way (RT / R2), then let go' },
+    { type: 'button', index: 8, prompt: 'Press Select / Share / View' },
+    { type: 'button', index: 9, prompt: 'Press Start / Options / Menu' },
+    { type: 'button', index: 10, prompt: 'Click the LEFT stick (L3)' },
+    { type: 'button', index: 11, prompt: 'Click the RIGHT stick (R3)' },
+    { type: 'button', index: 12, prompt: 'Press D-pad UP' },
+    { type: 'button', index: 13, prompt: 'Press D-pad DOWN' },
+    { type: 'button', index: 14, prompt: 'Press D-pad LEFT' },
+    { type: 'button', index: 15, prompt: 'Press D-pad RIGHT' },
+    { type: 'button', index: 16, prompt: 'Press the Home / Guide button' }
+];
+
+// Haptics patterns: envelopes are sampled into HAPTICS_STEP_MS slices, one playEffect call per slice
+const HAPTICS_FORMAT = 'gamepad-tester-haptics';
+const HAPTICS_VERSION = 1;
+const HAPTICS_STEP_MS = 50;
+const HAPTICS_MAX_SEGMENT_MS = 5000;
+const HAPTICS_SHAPES = ['constant', 'ramp', 'pulse', 'heartbeat'];
+const HAPTICS_CHANNELS = ['weak', 'strong', 'leftTrigger', 'rightTrigger'];
+
+// Motor verification: each step plays one effect and asks the user what they felt
+const HAPTIC_TEST_STEPS = [
+    { group: 'weak', label: 'Weak motor only', weak: 1, strong: 0, duration: 1000,
+      question: 'Did you feel a light, high-frequency buzz?' },
+    { group: 'strong', label: 'Strong motor only', weak: 0, strong: 1, duration: 1000,
+      question: 'Did you feel a heavy, low-frequency rumble?' },
+    { group: 'sweep', label: 'Both motors at 25%', weak: 0.25, strong: 0.25, duration: 600,
+      question: 'Did you feel a faint vibration?' },
+    { group: 'sweep', label: 'Both motors at 50%', weak: 0.5, strong: 0.5, duration: 600,
+      question: 'Was it stronger than the previous step?' },
+    { group: 'sweep', label: 'Both motors at 75%', weak: 0.75, strong: 0.75, duration: 600,
+      question: 'Was it stronger than the previous step?' },
+    { group: 'sweep', label: 'Both motors at 100%', weak: 1, strong: 1, duration: 600,
+      question: 'Was it stronger than the previous step?' }
+];
+const HAPTIC_TEST_TIMING_TOLERANCE = 0.5; // A "complete" in less than half the duration is suspicious
+
+// Guided test wizard: button order on the diagram and the pass criteria for each step
+const WIZARD_BUTTON_ORDER = [0, 1, 2, 3, 12, 13, 14, 15, 4, 5, 8, 9, 10, 11, 16];
+const WIZARD_STEP_TIMEOUT_MS = 15000;
+const WIZARD_STICK_COVERAGE = 0.9; // Fraction of directions that must be pushed to the edge
+const WIZARD_STICK_MIN_REACH = 0.9; // Radius that counts as "at the edge"
+const WIZARD_TRIGGER_MIN_TRAVEL = 0.9;
+const WIZARD_TRIGGER_MAX_LINEARITY = 15; // % deviation from a straight pull
+// The standard mapping always reports these, so silence is the only sign the control is missing
+const WIZARD_OPTIONAL_BUTTONS = [16];
+
+// Diagnostic report: raw frames kept for the sample CSV (about a minute at 60 Hz)
+const REPORT_FORMAT = 'gamepad-tester-report';
+const REPORT_VERSION = 1;
+const REPORT_SAMPLE_LIMIT = 3600;
+
+// Persistent per-controller history: IndexedDB layout and the export file format
+const HISTORY_DB_NAME = 'gamepad-tester-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'results';
+const HISTORY_FORMAT = 'gamepad-tester-history';
+const HISTORY_VERSION = 1;
+
+// Return-to-center: a release is the stick dropping from the edge to near centre quickly,
+// the window after it is analyzed for settle time, overshoot and ringing
+const RETURN_FLICK_RADIUS = 0.8;
+const RETURN_RELEASE_RADIUS = 0.3;
+const RETURN_RELEASE_MAX_MS = 100; // Slower than this is the thumb guiding it back, not the spring
+const RETURN_WINDOW_MS = 500;
+const RETURN_REST_MS = 100; // Tail of the window averaged for the rest position
+const RETURN_SETTLE_BAND = 0.05;
+const RETURN_RING_THRESHOLD = 0.02; // Hysteresis for counting centre crossings
+const RETURN_EVENT_LIMIT = 200;
+const RETURN_SCATTER_ZOOM = 5;
+const RETURN_DIRECTIONS = ['E', 'NE', 'N', 'NW', 'W', 'SW', 'S', 'SE'];
+
+// Oscilloscope: history kept per controller (enough for the longest time base), how much
+// of a triggered capture comes before the trigger point, and the trace palette
+const SCOPE_MAX_TIMEBASE_MS = 10000;
+const SCOPE_BUFFER_LIMIT = 2500; // Hard cap for very fast polling
+const SCOPE_PRETRIGGER = 0.1;
+const SCOPE_CHANNEL_COLORS = ['#00f3ff', '#ff00ff', '#ffcc00', '#00ff88', '#ff3366', '#0080ff', '#ffffff', '#ff8800'];
+const SCOPE_COMPARE_DASHES = [[[], 'solid'], [[6, 4], 'dashed'], [[2, 3], 'dotted'], [[8, 3, 2, 3], 'dash-dot']];
+
+// Stick range calibration: hands-off time for the centre, the level that counts as pinned
+// at ±1 and the limits that raise a warning
+const CALIBRATION_STORAGE_KEY = 'gamepad-tester-calibrations';
+const CALIBRATION_FORMAT = 'gamepad-tester-calibration';
+const CALIBRATION_VERSION = 1;
+const CALIBRATION_CENTER_MS = 1500;
+const CALIBRATION_SATURATION = 0.995;
+const CALIBRATION_FLAT_SPAN = 0.5; // Other-axis travel while pinned - about ±15° of the gate
+const CALIBRATION_MIN_REACH = 0.95;
+const CALIBRATION_MIN_SPAN = 0.1; // Less travel than this on one side means it wasn't moved
+const CALIBRATION_MAX_AXES = 16; // Axis indices at or above this are dropped when the controller's axis count isn't known
+
+// Render cost overlay: frames averaged and how often the overlay text refreshes
+const RENDER_TIMING_WINDOW = 120;
+const RENDER_OVERLAY_INTERVAL_MS = 250;
+
+// Fighting-game input display: stick deflection that counts as a direction, the 60 Hz frame
+// used for all counts, and the motions recognized - numpad notation, facing right
+const INPUT_STICK_THRESHOLD = 0.5;
+const INPUT_FRAME_MS = 1000 / 60;
+const INPUT_HISTORY_LIMIT = 24;
+const INPUT_DIRECTION_LIMIT = 64;
+const INPUT_DISPLAY_BUTTONS = [0, 1, 2, 3, 4, 5, 6, 7]; // Face buttons, bumpers, triggers
+const INPUT_DIRECTION_GLYPHS = { 1: '↙', 2: '↓', 3: '↘', 4: '←', 5: '•', 6: '→', 7: '↖', 8: '↑', 9: '↗' };
+const INPUT_MIRROR = [0, 3, 2, 1, 6, 5, 4, 9, 8, 7]; // Numpad direction seen from the other side
+const INPUT_ROTATION = [6, 2, 4, 8]; // Cardinals in clockwise screen order
+// Windows are frames from the first to the last direction. They are generous next to most
+// games - the reported frame count shows how tight the input really was.
+const INPUT_MOTIONS = [
+    { id: '360', name: '360', rotation: true, window: 45 },
+    { id: 'hcf', name: 'Half-circle forward (41236)', sequence: [4, 1, 2, 3, 6], window: 30 },
+    { id: 'hcb', name: 'Half-circle back (63214)', sequence: [6, 3, 2, 1, 4], window: 30 },
+    { id: 'dp', name: 'Dragon punch (623)', sequence: [6, 2, 3], window: 20 },
+    { id: 'rdp', name: 'Reverse dragon punch (421)', sequence: [4, 2, 1], window: 20 },
+    { id: 'qcf', name: 'Quarter-circle forward (236)', sequence: [2, 3, 6], window: 20 },
+    { id: 'qcb', name: 'Quarter-circle back (214)', sequence: [2, 1, 4], window: 20 }
+];
+const INPUT_MOTION_BUTTON_FRAMES = 10; // A press this soon after a motion completes belongs to it
+const INPUT_MOTION_LIMIT = 20;
+
+// Ghosting test: button sets to test, and how long a combination must stay unchanged before
+// it counts (pressing several buttons is never perfectly simultaneous)
+const GHOST_BUTTON_SETS = {
+    face: [0, 1, 2, 3, 4, 5, 6, 7],
+    arcade: [0, 1, 2, 3, 4, 5, 6, 7, 12, 13, 14, 15]
+};
+const GHOST_SETTLE_MS = 150;
+
+// Reaction-time benchmark: random wait before the cue (so it can't be anticipated), how long
+// a press is waited for, the pause between trials and the histogram range
+const REACTION_DELAY_MIN_MS = 1500;
+const REACTION_DELAY_MAX_MS = 4000;
+const REACTION_TIMEOUT_MS = 1500;
+const REACTION_PAUSE_MS = 1000;
+const REACTION_CUE_MS = 150; // Sound / rumble length
+const REACTION_HISTOGRAM_MAX_MS = 600;
+const REACTION_HISTOGRAM_BIN_MS = 10;
+const REACTION_FORMAT = 'gamepad-tester-reaction';
+const REACTION_VERSION = 1;
+
+// Noise spectrum: how often it's recomputed, the fewest samples worth a spectrum, how far
+// above the spectrum's median (dB) a bin must stand to be listed / to call the noise periodic,
+// and the peak-to-peak range beyond which the stick is moving rather than resting
+const NOISE_UPDATE_MS = 250;
+const NOISE_MIN_SAMPLES = 64;
+const NOISE_PEAK_DB = 10;
+const NOISE_PERIODIC_DB = 15;
+const NOISE_PEAK_LIMIT = 3;
+const NOISE_MOVING_RANGE = 0.2;
+const NOISE_HISTOGRAM_BARS = 64;
+const NOISE_SPECTRUM_RANGE_DB = 80;
+const NOISE_DISTINCT_LIMIT = 4096; // Distinct values kept per axis for the bit-depth estimate, like the triggers
+
+// Motion sensors & touchpad: trail length per contact and how many lifted trails stay visible,
+// the fallback touch surface shape, and how still the controller must be (gyro spread and
+// orientation change, rad/s) for how long before its drift is read
+const SENSOR_TRAIL_LENGTH = 60;
+const SENSOR_TRAIL_LIMIT = 6;
+const SENSOR_TOUCHPAD_ASPECT = 16 / 9;
+const SENSOR_REST_RATE = 0.05;
+const SENSOR_DRIFT_WINDOW_MS = 5000;
+const SENSOR_DRIFT_MIN_MS = 1000;
+
+// Recording file format
+// JSON is the readable interchange format, the binary variant stores the same frames compactly
+const RECORDING_FORMAT = 'gamepad-tester-recording';
+const RECORDING_VERSION = 1;
+const RECORDING_MAGIC = 'GPRC';
+const RECORDING_MAX_FRAMES = 216000; // One hour at 60 Hz
+
 // ==========================================
 // INITIALIZATION
 // ==========================================
@@ -101,6 +803,9 @@ function initializeApp() {
     
     console.log('🎮 Ultimate Gamepad Tester initialized');
     
+    // Hand the oscilloscope canvas to a render worker before anything draws on it
+    setupScopeRenderer();
+    
     // Set up event listeners
     setupEventListeners();
     
@@ -112,6 +817,11 @@ function initializeApp() {
     
     // Check for already connected gamepads (in case they were connected before page load)
     checkExistingGamepads();
+    
+    // Allow CI / QA runs to start with a virtual controller: index.html?virtual
+    if (new URLSearchParams(window.location.search).has('virtual')) {
+        connectVirtualGamepad();
+    }
 }
 
 // ==========================================
@@ -123,27 +833,87 @@ function setupEventListeners() {
     window.addEventListener('gamepadconnected', handleGamepadConnected);
     window.addEventListener('gamepaddisconnected', handleGamepadDisconnected);
     
-    // Oscilloscope controls
-    document.querySelectorAll('input[name="scope-axis"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            GamepadTester.selectedScope = e.target.value;
-        });
-    });
+    // Oscilloscope controls (channels, time base, trigger, cursors)
+    setupScopeControls();
     
-    document.getElementById('clear-scope').addEventListener('click', clearOscilloscope);
+    // Noise spectrum / jitter analysis (runs off the oscilloscope samples)
+    setupNoiseControls();
+    
+    // Per-frame render cost overlay
+    document.getElementById('perf-overlay-toggle').addEventListener('click', togglePerfOverlay);
     
     // Circularity controls
     document.querySelectorAll('input[name="circle-axis"]').forEach(radio => {
         radio.addEventListener('change', (e) => {
             GamepadTester.selectedCircle = e.target.value;
             clearCircularity();
+            renderReturnToCenter();
         });
     });
     
     document.getElementById('clear-circle').addEventListener('click', clearCircularity);
     
+    document.getElementById('return-reset').addEventListener('click', resetReturnToCenter);
+    
     // Vibration controls
     setupVibrationControls();
+    
+    // Haptics pattern designer / rumble sequencer
+    setupHapticsSequencer();
+    
+    // Guided motor verification
+    setupHapticTestControls();
+    
+    // Virtual gamepad controls (keyboard / mouse input)
+    setupVirtualGamepadControls();
+    
+    // Session recorder / replay controls
+    setupRecorderControls();
+    
+    // Drift diagnostic controls
+    setupDriftTestControls();
+    
+    // Button chatter detector controls
+    setupChatterControls();
+    
+    // Fighting-game input display
+    setupInputDisplayControls();
+    
+    // Simultaneous-input / ghosting matrix
+    setupGhostTestControls();
+    
+    // Motion sensor / touchpad panels
+    setupSensorControls();
+    
+    // Trigger slow-pull test controls
+    setupTriggerTestControls();
+    
+    // Report-rate measurement controls
+    setupReportRateControls();
+    
+    // Reaction-time / input-latency benchmark
+    setupReactionControls();
+    
+    // Guided end-to-end test wizard
+    setupTestWizardControls();
+    
+    // Diagnostic report generation / export
+    setupReportControls();
+    
+    // Persistent per-controller result history
+    setupHistoryControls();
+    
+    // Multi-controller comparison controls
+    setupCompareControls();
+    
+    // Remapping editor (learn / import / export mappings)
+    setupMappingControls();
+    
+    // Stick range calibration
+    setupCalibrationControls();
+    
+    // Deadzone / response curve controls
+    setupStickProcessingControls();
 }
 
 // ==========================================
@@ -160,6 +930,10 @@ function handleGamepadConnected(event) {
     // If this is the first gamepad, make it active
     if (GamepadTester.activeGamepadIndex === null) {
         GamepadTester.activeGamepadIndex = gamepad.index;
+        
+        if (!GamepadTester.replay.active) {
+            bindControllerStats(gamepad.index);
+        }
     }
     
     // Update UI
@@ -178,18 +952,29 @@ function handleGamepadDisconnected(event) {
     const gamepad = event.gamepad;
     console.log('🎮 Gamepad disconnected:', gamepad);
     
-    // Remove the gamepad
+    // Remove the gamepad and the statistics collected for it
     delete GamepadTester.gamepads[gamepad.index];
+    delete GamepadTester.controllerStats[gamepad.index];
     
     // Show toast notification
     showToast(`Controller Disconnected: ${gamepad.id}`, 'error');
     
     // If the active gamepad was disconnected, switch to another or hide UI
     if (GamepadTester.activeGamepadIndex === gamepad.index) {
+        // Measurements belong to the controller that just went away
+        if (GamepadTester.reportRate.running) {
+            finishReportRateMeasurement();
+        }
+        cancelReactionTest();
+        
         const remainingGamepads = Object.keys(GamepadTester.gamepads);
         
         if (remainingGamepads.length > 0) {
             GamepadTester.activeGamepadIndex = parseInt(remainingGamepads[0]);
+            
+            if (!GamepadTester.replay.active) {
+                bindControllerStats(GamepadTester.activeGamepadIndex);
+            }
         } else {
             GamepadTester.activeGamepadIndex = null;
             hideAppContent();
@@ -204,7 +989,7 @@ function handleGamepadDisconnected(event) {
 function checkExistingGamepads() {
     // Some browsers don't fire connection events for already-connected gamepads
     // So we manually check on page load
-    const gamepads = navigator.getGamepads();
+    const gamepads = readGamepads();
     
     for (let i = 0; i < gamepads.length; i++) {
         if (gamepads[i]) {
@@ -214,579 +999,8747 @@ function checkExistingGamepads() {
 }
 
 // ==========================================
-// UI UPDATE FUNCTIONS
+// VIRTUAL GAMEPAD PROVIDER
 // ==========================================
+// Simulated controllers for machines without hardware (CI boxes, laptops).
+// Virtual pads are merged into readGamepads(), fire real gamepadconnected /
+// gamepaddisconnected events and are driven by keyboard, mouse or a script.
+//
+// Console / automation API (plain globals, like the rest of this file):
+//   connectVirtualGamepad({ id, buttonCount, axisCount, vibration, motion, touchpad })
+//   disconnectVirtualGamepad(index)
+//   setVirtualAxis(index, axis, value) / setVirtualButton(index, button, value)
+//   setVirtualMotion(index, { orientation, angularVelocity, linearAcceleration })
+//   setVirtualTouches(index, [{ x, y }])
+//   playVirtualScript(index, script, { loop }) / stopVirtualScript(index)
+//
+// A script is either a function (elapsedMs) => ({ axes, buttons, motion, touches }) or
+// an array of keyframes { time, axes, buttons, motion, touches }. Axes are interpolated
+// between keyframes, everything else holds the value of the last keyframe passed.
 
-function updateConnectionStatus(connected) {
-    const statusElement = document.getElementById('connection-status');
-    const messageElement = statusElement.querySelector('p');
+function readGamepads() {
+    // Learned mappings turn non-standard devices into standard-mapping snapshots,
+    // so every panel reads the remapped inputs
+    return readRawGamepads().map(gamepad => gamepad ? remapGamepad(gamepad) : gamepad);
+}
+
+function readRawGamepads() {
+    // Single entry point for gamepad snapshots - real pads first, then virtual ones
+    const realGamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const gamepads = Array.from(realGamepads);
+    const now = performance.now();
     
-    if (connected) {
-        statusElement.classList.add('connected');
-        messageElement.textContent = 'Controller Connected - Ready for Testing';
-    } else {
-        statusElement.classList.remove('connected');
-        messageElement.textContent = 'No controller detected. Press any button on your gamepad to connect.';
+    Object.values(GamepadTester.virtual.pads).forEach(pad => {
+        // A real controller always wins its slot
+        if (gamepads[pad.index]) return;
+        gamepads[pad.index] = buildVirtualSnapshot(pad, now);
+    });
+    
+    return gamepads;
+}
+
+function connectVirtualGamepad(options = {}) {
+    const index = findFreeGamepadIndex();
+    const buttonCount = options.buttonCount || 17;
+    const axisCount = options.axisCount || 4;
+    
+    const pad = {
+        id: options.id || 'Virtual Gamepad (STANDARD GAMEPAD Vendor: 0000 Product: 0000)',
+        index: index,
+        mapping: options.mapping !== undefined ? options.mapping : 'standard',
+        axes: new Array(axisCount).fill(0),
+        buttons: new Array(buttonCount).fill(0),
+        timestamp: performance.now(),
+        lastStateKey: '',
+        script: null,
+        vibrationActuator: options.vibration === false ? null : createVirtualActuator(),
+        // Sensors like a DualSense; null reads as "not exposed", like most browsers today
+        motion: options.motion === false ? null : createVirtualMotion(),
+        touches: options.touchpad === false ? null : []
+    };
+    
+    GamepadTester.virtual.pads[index] = pad;
+    dispatchVirtualGamepadEvent('gamepadconnected', buildVirtualSnapshot(pad, performance.now()));
+    
+    return index;
+}
+
+function disconnectVirtualGamepad(index) {
+    const pad = GamepadTester.virtual.pads[index];
+    if (!pad) return;
+    
+    const snapshot = buildVirtualSnapshot(pad, performance.now());
+    snapshot.connected = false;
+    
+    delete GamepadTester.virtual.pads[index];
+    dispatchVirtualGamepadEvent('gamepaddisconnected', snapshot);
+}
+
+function setVirtualAxis(index, axis, value) {
+    const pad = GamepadTester.virtual.pads[index];
+    if (pad && axis < pad.axes.length) {
+        pad.axes[axis] = clamp(value, -1, 1);
     }
 }
 
-function showAppContent() {
-    document.getElementById('app-content').classList.remove('hidden');
+function setVirtualButton(index, button, value) {
+    const pad = GamepadTester.virtual.pads[index];
+    if (pad && button < pad.buttons.length) {
+        // Accept booleans for digital buttons
+        pad.buttons[button] = clamp(Number(value), 0, 1);
+    }
 }
 
-function hideAppContent() {
-    document.getElementById('app-content').classList.add('hidden');
+function setVirtualMotion(index, motion) {
+    // Any subset of orientation [x, y, z, w], angularVelocity [x, y, z] (rad/s) and
+    // linearAcceleration [x, y, z] (m/s²); enables the sensor on pads created without it
+    const pad = GamepadTester.virtual.pads[index];
+    if (pad) {
+        pad.motion = Object.assign(pad.motion || createVirtualMotion(), normalizeSensorMotion(motion));
+    }
 }
 
-function createControllerTabs() {
-    const tabContainer = document.getElementById('controller-tabs');
-    const gamepadIndices = Object.keys(GamepadTester.gamepads);
+function setVirtualTouches(index, touches) {
+    // Contacts at x / y in -1..1, an empty list lifts every finger
+    const pad = GamepadTester.virtual.pads[index];
+    if (pad) {
+        pad.touches = normalizeVirtualTouches(touches);
+    }
+}
+
+function createVirtualMotion() {
+    return { orientation: [0, 0, 0, 1], angularVelocity: [0, 0, 0], linearAcceleration: [0, 0, 0] };
+}
+
+function normalizeVirtualTouches(touches) {
+    // Contacts without a numeric position are skipped
+    return normalizeSensorTouches(touches || []).map(touch => ({
+        id: touch.id,
+        surface: 0,
+        x: clamp(touch.x, -1, 1),
+        y: clamp(touch.y, -1, 1),
+        dimensions: VIRTUAL_TOUCHPAD_SIZE
+    }));
+}
+
+function playVirtualScript(index, script, options = {}) {
+    const pad = GamepadTester.virtual.pads[index];
+    if (!pad) return;
     
-    if (gamepadIndices.length === 0) {
-        tabContainer.classList.add('hidden');
-        return;
+    pad.script = {
+        source: script,
+        loop: !!options.loop,
+        startTime: performance.now()
+    };
+}
+
+function stopVirtualScript(index) {
+    const pad = GamepadTester.virtual.pads[index];
+    if (pad) {
+        pad.script = null;
     }
+}
+
+function findFreeGamepadIndex() {
+    const used = new Set(Object.keys(GamepadTester.virtual.pads).map(Number));
+    const realGamepads = navigator.getGamepads ? navigator.getGamepads() : [];
     
-    if (gamepadIndices.length === 1) {
-        // Only one controller, no need for tabs
-        tabContainer.classList.add('hidden');
-        return;
+    for (let i = 0; i < realGamepads.length; i++) {
+        if (realGamepads[i]) used.add(realGamepads[i].index);
     }
     
-    // Multiple controllers - show tabs
-    tabContainer.classList.remove('hidden');
-    tabContainer.innerHTML = '';
+    let index = Math.max(VIRTUAL_INDEX_BASE, realGamepads.length);
+    while (used.has(index)) index++;
+    return index;
+}
+
+function dispatchVirtualGamepadEvent(type, gamepad) {
+    // GamepadEvent can't be constructed with a fake Gamepad, so attach it to a plain Event
+    const event = new Event(type);
+    Object.defineProperty(event, 'gamepad', { value: gamepad });
+    window.dispatchEvent(event);
+}
+
+function buildVirtualSnapshot(pad, now) {
+    const axes = pad.axes.slice();
+    const buttons = pad.buttons.slice();
+    const sensors = { motion: pad.motion, touches: pad.touches };
     
-    gamepadIndices.forEach(index => {
-        const tab = document.createElement('div');
-        tab.className = 'controller-tab';
-        tab.textContent = `Controller ${parseInt(index) + 1}`;
+    // Keyboard and mouse only drive the pad currently receiving input
+    if (getVirtualInputTarget() === pad) {
+        applyVirtualKeyboardState(axes, buttons, now);
+    }
+    
+    // A running script overrides everything else
+    if (pad.script) {
+        applyVirtualScript(pad, axes, buttons, now, sensors);
+    }
+    
+    // Like real hardware, the timestamp only moves when the reported state changes
+    const stateKey = axes.join(',') + '|' + buttons.join(',') + '|' + JSON.stringify(sensors);
+    if (stateKey !== pad.lastStateKey) {
+        pad.lastStateKey = stateKey;
+        pad.timestamp = now;
+    }
+    
+    return Object.assign({
+        id: pad.id,
+        index: pad.index,
+        connected: true,
+        mapping: pad.mapping,
+        timestamp: pad.timestamp,
+        axes: axes,
+        buttons: buttons.map(value => ({
+            pressed: value >= 0.5,
+            touched: value > 0,
+            value: value
+        })),
+        vibrationActuator: pad.vibrationActuator,
+        virtual: true
+    }, buildSensorFields(sensors.motion, sensors.touches));
+}
+
+function applyVirtualKeyboardState(axes, buttons, now) {
+    const keysDown = GamepadTester.virtual.keysDown;
+    const stickInput = {};
+    
+    Object.keys(keysDown).forEach(code => {
+        const stick = VIRTUAL_KEY_MAPPING.sticks[code];
+        if (stick) {
+            stickInput[stick.axis] = (stickInput[stick.axis] || 0) + stick.direction;
+        }
         
-        if (parseInt(index) === GamepadTester.activeGamepadIndex) {
-            tab.classList.add('active');
+        const button = VIRTUAL_KEY_MAPPING.buttons[code];
+        if (button !== undefined && button < buttons.length) {
+            // Triggers ramp up while held so they behave like an analog pull
+            const isTrigger = button === 6 || button === 7;
+            buttons[button] = isTrigger ? Math.min(1, (now - keysDown[code]) / VIRTUAL_TRIGGER_RAMP_MS) : 1;
         }
+    });
+    
+    // Apply per stick and keep diagonals on the unit circle, like a round stick gate
+    [0, 2].forEach(xAxis => {
+        const yAxis = xAxis + 1;
+        if (stickInput[xAxis] === undefined && stickInput[yAxis] === undefined) return;
         
-        tab.addEventListener('click', () => {
-            GamepadTester.activeGamepadIndex = parseInt(index);
-            createControllerTabs();
-            
-            // Reset trigger tracking when switching controllers
-            GamepadTester.triggerTracking.left.clear();
-            GamepadTester.triggerTracking.right.clear();
-        });
+        let x = stickInput[xAxis] !== undefined ? stickInput[xAxis] : axes[xAxis];
+        let y = stickInput[yAxis] !== undefined ? stickInput[yAxis] : axes[yAxis];
+        const magnitude = Math.sqrt(x * x + y * y);
         
-        tabContainer.appendChild(tab);
+        if (magnitude > 1) {
+            x /= magnitude;
+            y /= magnitude;
+        }
+        
+        axes[xAxis] = x;
+        axes[yAxis] = y;
     });
 }
 
-// ==========================================
-// MAIN POLLING LOOP
-// ==========================================
-
-function startPolling() {
-    function pollGamepads(timestamp) {
-        // Get current gamepad state
-        // IMPORTANT: navigator.getGamepads() returns a NEW snapshot each time
-        // We must call this in every frame to get live data
-        const gamepads = navigator.getGamepads();
+function applyVirtualScript(pad, axes, buttons, now, sensors) {
+    const script = pad.script;
+    let elapsed = now - script.startTime;
+    let frame;
+    
+    if (typeof script.source === 'function') {
+        frame = script.source(elapsed) || {};
+    } else {
+        const keyframes = script.source;
+        const duration = keyframes.length > 0 ? keyframes[keyframes.length - 1].time : 0;
         
-        // Update our stored gamepads with fresh data
-        for (let i = 0; i < gamepads.length; i++) {
-            if (gamepads[i]) {
-                GamepadTester.gamepads[gamepads[i].index] = gamepads[i];
+        if (elapsed > duration) {
+            if (script.loop && duration > 0) {
+                elapsed %= duration;
+            } else {
+                // Finished - hold the final frame as the new resting state
+                frame = interpolateVirtualKeyframes(keyframes, duration);
+                mergeVirtualFrame(frame, pad.axes, pad.buttons, pad);
+                pad.script = null;
             }
         }
         
-        // Process the active gamepad
-        if (GamepadTester.activeGamepadIndex !== null && 
-            GamepadTester.gamepads[GamepadTester.activeGamepadIndex]) {
-            
-            const gamepad = GamepadTester.gamepads[GamepadTester.activeGamepadIndex];
-            
-            // Update performance metrics
-            updatePerformanceMetrics(timestamp, gamepad.timestamp);
-            
-            // Update visual representation
-            updateVisualController(gamepad);
-            
-            // Update raw data table
-            updateRawDataTable(gamepad);
-            
-            // Update controller info
-            updateControllerInfo(gamepad);
-            
-            // Update trigger pressure visualization
-            updateTriggerPressure(gamepad);
-            
-            // Update oscilloscope
-            updateOscilloscope(gamepad, timestamp);
-            
-            // Update circularity test
-            updateCircularity(gamepad);
+        if (pad.script) {
+            frame = interpolateVirtualKeyframes(keyframes, elapsed);
         }
-        
-        // Continue the loop
-        GamepadTester.animationFrameId = requestAnimationFrame(pollGamepads);
     }
     
-    // Start the loop
-    GamepadTester.animationFrameId = requestAnimationFrame(pollGamepads);
+    mergeVirtualFrame(frame, axes, buttons, sensors);
 }
 
-// ==========================================
+function interpolateVirtualKeyframes(keyframes, time) {
+    const axes = [];
+    const buttons = [];
+    const frame = { axes: axes, buttons: buttons };
+    
+    // Buttons step: carry forward every value set up to this point in time
+    // Axes ramp: remember the last keyframe that set each axis so we can interpolate to the next
+    const previousAxis = {};
+    
+    for (let i = 0; i < keyframes.length && keyframes[i].time <= time; i++) {
+        const keyframe = keyframes[i];
+        
+        forEachVirtualValue(keyframe.buttons, (button, value) => {
+            buttons[button] = value;
+        });
+        forEachVirtualValue(keyframe.axes, (axis, value) => {
+            previousAxis[axis] = { time: keyframe.time, value: value };
+            axes[axis] = value;
+        });
+        ['motion', 'touches'].forEach(key => {
+            if (keyframe[key] !== undefined) frame[key] = keyframe[key];
+        });
+    }
+    
+    Object.keys(previousAxis).forEach(axis => {
+        const from = previousAxis[axis];
+        const next = keyframes.find(keyframe => keyframe.time > time &&
+            keyframe.axes && keyframe.axes[axis] !== undefined && keyframe.axes[axis] !== null);
+        
+        if (next && next.time > from.time) {
+            const amount = (time - from.time) / (next.time - from.time);
+            axes[axis] = lerp(from.value, next.axes[axis], amount);
+        }
+    });
+    
+    return frame;
+}
+
+function forEachVirtualValue(values, callback) {
+    // Keyframe values may be arrays or { index: value } objects; null / undefined means "unchanged"
+    if (!values) return;
+    
+    Object.keys(values).forEach(key => {
+        const value = values[key];
+        if (value !== undefined && value !== null) {
+            callback(parseInt(key), Number(value));
+        }
+    });
+}
+
+function mergeVirtualFrame(frame, axes, buttons, sensors) {
+    if (!frame) return;
+    
+    forEachVirtualValue(frame.axes, (axis, value) => {
+        if (axis < axes.length) axes[axis] = clamp(value, -1, 1);
+    });
+    forEachVirtualValue(frame.buttons, (button, value) => {
+        if (button < buttons.length) buttons[button] = clamp(value, 0, 1);
+    });
+    
+    // Sensor values only apply to pads that have the sensor
+    if (frame.motion && sensors.motion) {
+        sensors.motion = Object.assign({}, sensors.motion, normalizeSensorMotion(frame.motion));
+    }
+    if (frame.touches && sensors.touches) {
+        sensors.touches = normalizeVirtualTouches(frame.touches);
+    }
+}
+
+function createVirtualActuator() {
+    // Mimics GamepadHapticActuator and records every call for inspection (actuator.calls)
+    const actuator = {
+        type: 'dual-rumble',
+        effects: ['dual-rumble', 'trigger-rumble'],
+        calls: [],
+        pending: null,
+        
+        playEffect(type, params = {}) {
+            if (!actuator.effects.includes(type)) {
+                return Promise.reject(new TypeError(`Unsupported effect type: ${type}`));
+            }
+            
+            // A new effect preempts the one currently playing
+            settleVirtualEffect(actuator, 'preempted');
+            
+            const call = { type: type, params: Object.assign({}, params), time: performance.now(), result: null };
+            actuator.calls.push(call);
+            
+            return new Promise(resolve => {
+                const duration = (params.startDelay || 0) + (params.duration || 0);
+                actuator.pending = {
+                    call: call,
+                    resolve: resolve,
+                    timer: setTimeout(() => settleVirtualEffect(actuator, 'complete'), duration)
+                };
+            });
+        },
+        
+        reset() {
+            settleVirtualEffect(actuator, 'preempted');
+            actuator.calls.push({ type: 'reset', params: {}, time: performance.now(), result: 'complete' });
+            return Promise.resolve('complete');
+        }
+    };
+    
+    return actuator;
+}
+
+function settleVirtualEffect(actuator, result) {
+    const pending = actuator.pending;
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    pending.call.result = result;
+    actuator.pending = null;
+    pending.resolve(result);
+}
+
+function getVirtualInputTarget() {
+    // Keyboard / mouse drive the active controller if it is virtual, otherwise the first virtual pad
+    const pads = GamepadTester.virtual.pads;
+    if (pads[GamepadTester.activeGamepadIndex]) {
+        return pads[GamepadTester.activeGamepadIndex];
+    }
+    
+    const indices = Object.keys(pads);
+    return indices.length > 0 ? pads[indices[0]] : null;
+}
+
+function setupVirtualGamepadControls() {
+    document.getElementById('add-virtual-gamepad').addEventListener('click', () => {
+        connectVirtualGamepad();
+    });
+    
+    document.getElementById('disconnect-virtual-gamepad').addEventListener('click', () => {
+        const pad = getVirtualInputTarget();
+        if (pad) disconnectVirtualGamepad(pad.index);
+    });
+    
+    // Keyboard input
+    window.addEventListener('keydown', (e) => {
+        const mapped = VIRTUAL_KEY_MAPPING.sticks[e.code] || VIRTUAL_KEY_MAPPING.buttons[e.code] !== undefined;
+        const typing = e.target.closest && e.target.closest('input, textarea, select');
+        
+        if (!mapped || typing || !getVirtualInputTarget()) return;
+        
+        // Stop arrows / backspace / enter from scrolling or activating page elements
+        e.preventDefault();
+        
+        if (!(e.code in GamepadTester.virtual.keysDown)) {
+            GamepadTester.virtual.keysDown[e.code] = performance.now();
+        }
+    });
+    
+    window.addEventListener('keyup', (e) => {
+        delete GamepadTester.virtual.keysDown[e.code];
+    });
+    
+    // Releasing keys while the window is unfocused would otherwise leave them stuck
+    window.addEventListener('blur', () => {
+        GamepadTester.virtual.keysDown = {};
+    });
+    
+    // Mouse input: drag the sticks and triggers, hold the buttons
+    document.querySelectorAll('#controller-visual .stick-container').forEach(container => {
+        const axisOffset = container.classList.contains('stick-left') ? 0 : 2;
+        const outer = container.querySelector('.stick-outer');
+        
+        outer.addEventListener('pointerdown', (e) => {
+            startVirtualPointer(e, { type: 'stick', axisOffset: axisOffset, element: outer });
+        });
+    });
+    
+    document.querySelectorAll('#controller-visual .trigger-container').forEach(container => {
+        const button = container.classList.contains('trigger-left') ? 6 : 7;
+        const visual = container.querySelector('.trigger-visual');
+        
+        visual.addEventListener('pointerdown', (e) => {
+            startVirtualPointer(e, { type: 'trigger', button: button, element: visual });
+        });
+    });
+    
+    document.querySelectorAll('#controller-visual [data-button]').forEach(element => {
+        element.addEventListener('pointerdown', (e) => {
+            startVirtualPointer(e, { type: 'button', button: parseInt(element.dataset.button), element: element });
+        });
+    });
+    
+    window.addEventListener('pointermove', updateVirtualPointer);
+    window.addEventListener('pointerup', endVirtualPointer);
+    window.addEventListener('pointercancel', endVirtualPointer);
+}
+
+function startVirtualPointer(event, pointer) {
+    const pad = getVirtualInputTarget();
+    if (!pad) return;
+    
+    event.preventDefault();
+    pointer.padIndex = pad.index;
+    GamepadTester.virtual.pointer = pointer;
+    updateVirtualPointer(event);
+}
+
+function updateVirtualPointer(event) {
+    const pointer = GamepadTester.virtual.pointer;
+    if (!pointer) return;
+    
+    const rect = pointer.element.getBoundingClientRect();
+    
+    if (pointer.type === 'stick') {
+        const radius = rect.width / 2 || 1;
+        let x = (event.clientX - (rect.left + rect.width / 2)) / radius;
+        let y = (event.clientY - (rect.top + rect.height / 2)) / radius;
+        const magnitude = Math.sqrt(x * x + y * y);
+        
+        if (magnitude > 1) {
+            x /= magnitude;
+            y /= magnitude;
+        }
+        
+        setVirtualAxis(pointer.padIndex, pointer.axisOffset, x);
+        setVirtualAxis(pointer.padIndex, pointer.axisOffset + 1, y);
+    } else if (pointer.type === 'trigger') {
+        // The trigger fill grows from the bottom, so measure the pull from there
+        const pull = rect.height > 0 ? (rect.bottom - event.clientY) / rect.height : 1;
+        setVirtualButton(pointer.padIndex, pointer.button, clamp(pull, 0, 1));
+    } else {
+        setVirtualButton(pointer.padIndex, pointer.button, 1);
+    }
+}
+
+function endVirtualPointer() {
+    const pointer = GamepadTester.virtual.pointer;
+    if (!pointer) return;
+    
+    // Sprung controls return to rest when released
+    if (pointer.type === 'stick') {
+        setVirtualAxis(pointer.padIndex, pointer.axisOffset, 0);
+        setVirtualAxis(pointer.padIndex, pointer.axisOffset + 1, 0);
+    } else {
+        setVirtualButton(pointer.padIndex, pointer.button, 0);
+    }
+    
+    GamepadTester.virtual.pointer = null;
+}
+
+// ==========================================
+// UI UPDATE FUNCTIONS
+// ==========================================
+
+function updateConnectionStatus(connected) {
+    const statusElement = document.getElementById('connection-status');
+    const messageElement = statusElement.querySelector('p');
+    
+    if (connected) {
+        statusElement.classList.add('connected');
+        messageElement.textContent = 'Controller Connected - Ready for Testing';
+    } else {
+        statusElement.classList.remove('connected');
+        messageElement.textContent = 'No controller detected. Press any button on your gamepad to connect.';
+    }
+}
+
+function showAppContent() {
+    document.getElementById('app-content').classList.remove('hidden');
+}
+
+function hideAppContent() {
+    document.getElementById('app-content').classList.add('hidden');
+}
+
+function createControllerTabs() {
+    const tabContainer = document.getElementById('controller-tabs');
+    const gamepadIndices = Object.keys(GamepadTester.gamepads);
+    
+    // Comparison needs at least two controllers
+    updateCompareAvailability(gamepadIndices);
+    
+    if (gamepadIndices.length === 0) {
+        tabContainer.classList.add('hidden');
+        return;
+    }
+    
+    if (gamepadIndices.length === 1) {
+        // Only one controller, no need for tabs
+        tabContainer.classList.add('hidden');
+        return;
+    }
+    
+    // Multiple controllers - show tabs
+    tabContainer.classList.remove('hidden');
+    tabContainer.innerHTML = '';
+    
+    gamepadIndices.forEach(index => {
+        const tab = document.createElement('div');
+        tab.className = 'controller-tab';
+        tab.textContent = `Controller ${parseInt(index) + 1}`;
+        
+        if (parseInt(index) === GamepadTester.activeGamepadIndex) {
+            tab.classList.add('active');
+        }
+        
+        tab.addEventListener('click', () => {
+            GamepadTester.activeGamepadIndex = parseInt(index);
+            createControllerTabs();
+            
+            // Each controller keeps its own history - show the selected one's instead of resetting
+            if (!GamepadTester.replay.active) {
+                bindControllerStats(GamepadTester.activeGamepadIndex);
+            }
+        });
+        
+        tabContainer.appendChild(tab);
+    });
+}
+
+// ==========================================
+// MAIN POLLING LOOP
+// ==========================================
+
+function startPolling() {
+    function pollGamepads(timestamp) {
+        // Get current gamepad state
+        // IMPORTANT: navigator.getGamepads() returns a NEW snapshot each time
+        // We must call this in every frame to get live data
+        // readGamepads() merges in virtual pads so they follow the exact same path
+        const gamepads = readGamepads();
+        
+        // Update our stored gamepads with fresh data
+        for (let i = 0; i < gamepads.length; i++) {
+            if (gamepads[i]) {
+                GamepadTester.gamepads[gamepads[i].index] = gamepads[i];
+            }
+        }
+        
+        if (GamepadTester.replay.active) {
+            // A loaded recording drives the UI instead of live input
+            advanceReplay(timestamp);
+        } else if (GamepadTester.activeGamepadIndex !== null && 
+            GamepadTester.gamepads[GamepadTester.activeGamepadIndex]) {
+            
+            // Process the active gamepad
+            const gamepad = GamepadTester.gamepads[GamepadTester.activeGamepadIndex];
+            
+            // Capture the frame before processing so the recording is exactly what the panels saw
+            recordFrame(gamepad, timestamp);
+            
+            // Report-rate measurement also samples on every frame (the interval sampler adds sub-frame polls)
+            sampleReportRate(gamepad);
+            sampleReactionTest(gamepad);
+            
+            // The mapping wizard listens to the raw (unmapped) inputs
+            updateMappingWizard(timestamp);
+            
+            processGamepadFrame(gamepad, timestamp);
+            
+            // Comparison view: the other controllers are polled every frame as well
+            if (GamepadTester.compare.enabled) {
+                updateComparison();
+            }
+        }
+        
+        // Continue the loop
+        GamepadTester.animationFrameId = requestAnimationFrame(pollGamepads);
+    }
+    
+    // Start the loop
+    GamepadTester.animationFrameId = requestAnimationFrame(pollGamepads);
+}
+
+// Feed one gamepad snapshot through every panel (shared by live polling and replay)
+function processGamepadFrame(gamepad, timestamp) {
+    // The tester's own cost per frame, split into DOM, canvas and analysis work
+    const frameStart = performance.now();
+    
+    // Update performance metrics
+    updatePerformanceMetrics(timestamp, gamepad.timestamp);
+    
+    // Update visual representation
+    updateVisualController(gamepad);
+    
+    // Update raw data table
+    updateRawDataTable(gamepad);
+    
+    // Update controller info
+    updateControllerInfo(gamepad);
+    
+    // Update trigger pressure visualization
+    updateTriggerPressure(gamepad);
+    
+    const domDone = performance.now();
+    
+    // Update oscilloscope
+    updateOscilloscope(gamepad, timestamp);
+    
+    // Update circularity test
+    updateCircularity(gamepad);
+        
+    // Touchpad contacts and motion sensors, where exposed
+    updateSensorPanels(gamepad, timestamp);
+    
+    const canvasDone = performance.now();
+    
+    // Detect stick releases and analyze how they snap back
+    updateReturnToCenter(gamepad, timestamp);
+    
+    // Noise spectrum and jitter of the selected axis (recomputed a few times per second)
+    updateNoiseAnalysis(gamepad, timestamp);
+    
+    // Stick range calibration (only samples while running)
+    updateCalibration(gamepad, timestamp);
+    
+    // Update drift diagnostic (only samples while a test is running)
+    updateDriftTest(gamepad, timestamp);
+    
+    // Track button press / release edges for chatter detection
+    updateButtonEdges(gamepad, timestamp);
+    
+    // Fighting-game input history and motion recognizer
+    updateInputDisplay(gamepad, timestamp);
+    
+    // Simultaneous-input / ghosting test (only while running)
+    updateGhostTest(gamepad, timestamp);
+    
+    // Guided trigger slow-pull test (only samples while running)
+    updateTriggerTest(gamepad, timestamp);
+    
+    // Guided test wizard (drives the tests above while active)
+    updateTestWizard(gamepad, timestamp);
+    
+    // Keep recent raw frames for the diagnostic report
+    recordSampleHistory(gamepad, timestamp);
+    
+    recordRenderTiming(domDone - frameStart, canvasDone - domDone, performance.now() - canvasDone);
+}
+
+// ==========================================
+// PER-CONTROLLER STATISTICS
+// ==========================================
+// Every controller keeps its own oscilloscope / circularity history, trigger resolution
+// tracking and guided test results. The panels always work on GamepadTester's fields, so
+// switching controllers just points those fields at another controller's entry.
+
+function createControllerStats() {
+    return {
+        triggerTracking: {
+            left: new Set(),
+            right: new Set(),
+            estimates: { left: null, right: null }
+        },
+        oscilloscopeData: {
+            samples: []
+        },
+        circularityData: {
+            left: [],
+            right: [],
+            maxPoints: 1000,
+            sectors: {
+                left: new Array(CIRCULARITY_SECTORS).fill(0),
+                right: new Array(CIRCULARITY_SECTORS).fill(0)
+            },
+            analysis: {
+                left: null,
+                right: null
+            }
+        },
+        returnToCenter: {
+            trackers: { left: { phase: 'idle' }, right: { phase: 'idle' } },
+            events: []
+        },
+        driftTest: {
+            phase: 'idle',
+            phaseStart: 0,
+            samples: { left: [], right: [] },
+            results: null
+        },
+        triggerTest: {
+            trigger: 'left',
+            phase: 'idle',
+            phaseStart: 0,
+            startTime: 0,
+            restSamples: [],
+            samples: [],
+            results: null
+        },
+        hapticTest: {
+            active: false,
+            step: 0,
+            waiting: false,
+            steps: [],
+            results: null
+        },
+        sampleHistory: []
+    };
+}
+
+function getControllerStats(index) {
+    if (!GamepadTester.controllerStats[index]) {
+        GamepadTester.controllerStats[index] = createControllerStats();
+    }
+    return GamepadTester.controllerStats[index];
+}
+
+function bindControllerStats(index) {
+    // Guided tests belong to the controller they were started on
+    cancelTestWizard();
+    const driftPhase = GamepadTester.driftTest.phase;
+    if (driftPhase === 'settling' || driftPhase === 'sampling') {
+        cancelDriftTest();
+    }
+    cancelTriggerTest();
+    cancelHapticTest();
+    cancelCalibration();
+    stopGhostTest();
+    cancelReactionTest();
+    
+    // The report-rate sampler follows the active index - don't mix two controllers' timestamps
+    if (GamepadTester.reportRate.running) {
+        finishReportRateMeasurement();
+    }
+    
+    // Edge log and guided chatter results describe the previous controller's buttons
+    resetButtonEdges();
+    renderButtonEdges();
+    
+    const stats = getControllerStats(index);
+    GamepadTester.triggerTracking = stats.triggerTracking;
+    GamepadTester.oscilloscopeData = stats.oscilloscopeData;
+    GamepadTester.circularityData = stats.circularityData;
+    GamepadTester.returnToCenter = stats.returnToCenter;
+    GamepadTester.driftTest = stats.driftTest;
+    GamepadTester.triggerTest = stats.triggerTest;
+    GamepadTester.hapticTest = stats.hapticTest;
+    GamepadTester.sampleHistory = stats.sampleHistory;
+    resetSensorPanels();
+    resetNoiseAnalysis();
+    
+    renderControllerStats();
+}
+
+// Redraw every statistics panel from the bound controller's history
+function renderControllerStats() {
+    // A frozen capture belongs to the previous controller - go back to the live trace
+    setScopePaused(false);
+    
+    const circCanvas = document.getElementById('circularity-canvas');
+    drawCircularityTest(circCanvas.getContext('2d'), circCanvas.width, circCanvas.height);
+    renderCircularityAnalysis(GamepadTester.circularityData.analysis[GamepadTester.selectedCircle]);
+    
+    ['left', 'right'].forEach(side => {
+        document.getElementById(`resolution-${side}`).textContent =
+            describeQuantization(GamepadTester.triggerTracking.estimates[side]);
+    });
+    
+    const drift = GamepadTester.driftTest;
+    if (drift.results) {
+        renderDriftResults(drift.results);
+        document.getElementById('drift-start').textContent = 'Run Again';
+        setDriftStatus('Test complete', 1);
+    } else {
+        document.getElementById('drift-results').classList.add('hidden');
+        document.getElementById('drift-start').textContent = 'Start Drift Test';
+        setDriftStatus('Release both sticks and press Start to measure resting drift.', 0);
+    }
+    
+    renderTriggerTestResults(GamepadTester.triggerTest.results);
+    drawTriggerTestGraph();
+    
+    renderReturnToCenter();
+    renderHapticTest();
+}
+
+// Accumulate statistics for a controller that isn't the active one (comparison view)
+function updateControllerStats(gamepad) {
+    const stats = getControllerStats(gamepad.index);
+    
+    recordOscilloscopeSample(stats.oscilloscopeData, gamepad, performance.now());
+    recordCircularitySample(stats.circularityData, gamepad);
+    
+    [['left', 6], ['right', 7]].forEach(pair => {
+        const button = gamepad.buttons[pair[1]];
+        trackTriggerValue(stats.triggerTracking, pair[0], button ? button.value : 0);
+    });
+}
+
+// ==========================================
+// MULTI-CONTROLLER COMPARISON
+// ==========================================
+// Polls every connected controller each frame and shows them side by side (or overlaid),
+// with a diff readout against a reference controller - e.g. a known-good unit vs. the
+// unit under test.
+
+function setupCompareControls() {
+    document.getElementById('compare-toggle').addEventListener('click', () => {
+        setCompareEnabled(!GamepadTester.compare.enabled);
+    });
+    
+    document.getElementById('compare-layout').addEventListener('change', (e) => {
+        GamepadTester.compare.layout = e.target.value;
+    });
+    
+    document.getElementById('compare-reference').addEventListener('change', (e) => {
+        GamepadTester.compare.reference = parseInt(e.target.value);
+    });
+}
+
+function setCompareEnabled(enabled) {
+    GamepadTester.compare.enabled = enabled;
+    
+    document.getElementById('compare-toggle').textContent = enabled ? 'Stop Comparing' : 'Compare Controllers';
+    document.getElementById('compare-view').classList.toggle('hidden', !enabled);
+}
+
+function updateCompareAvailability(gamepadIndices) {
+    const compare = GamepadTester.compare;
+    const indices = gamepadIndices.map(index => parseInt(index));
+    
+    document.getElementById('compare-section').classList.toggle('hidden', indices.length < 2);
+    
+    if (indices.length < 2 && compare.enabled) {
+        setCompareEnabled(false);
+    }
+    
+    // Keep the reference on a connected controller
+    if (indices.indexOf(compare.reference) === -1) {
+        compare.reference = indices.length > 0 ? indices[0] : null;
+    }
+    
+    document.getElementById('compare-reference').innerHTML = indices.map(index => {
+        const selected = index === compare.reference ? ' selected' : '';
+        return `<option value="${index}"${selected}>Controller ${index + 1}</option>`;
+    }).join('');
+}
+
+function getComparedGamepads() {
+    return Object.keys(GamepadTester.gamepads)
+        .map(index => GamepadTester.gamepads[index])
+        .filter(Boolean)
+        .sort((a, b) => a.index - b.index);
+}
+
+function getCompareColor(gamepad) {
+    return COMPARE_COLORS[gamepad.index % COMPARE_COLORS.length];
+}
+
+function updateComparison() {
+    const gamepads = getComparedGamepads();
+    
+    // The active controller was already fed through processGamepadFrame()
+    gamepads.forEach(gamepad => {
+        if (gamepad.index !== GamepadTester.activeGamepadIndex) {
+            updateControllerStats(gamepad);
+        }
+    });
+    
+    drawCompareSticks(gamepads);
+    drawCompareScope(gamepads);
+    drawCompareTriggerCurves(gamepads);
+    renderCompareTable(gamepads);
+}
+
+function drawCompareSticks(gamepads) {
+    const canvas = document.getElementById('compare-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const overlay = GamepadTester.compare.layout === 'overlay';
+    const columns = overlay ? 1 : gamepads.length;
+    const columnWidth = width / columns;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '12px Share Tech Mono';
+    
+    for (let column = 0; column < columns; column++) {
+        const left = column * columnWidth;
+        // Two stick circles and two trigger bars per column
+        const radius = Math.min(columnWidth / 5, (height - 50) / 2);
+        const centerY = 24 + radius;
+        const sticks = [left + columnWidth * 0.3, left + columnWidth * 0.7];
+        
+        ctx.strokeStyle = 'rgba(0, 243, 255, 0.3)';
+        ctx.lineWidth = 1;
+        sticks.forEach(centerX => {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            ctx.moveTo(centerX - radius, centerY);
+            ctx.lineTo(centerX + radius, centerY);
+            ctx.moveTo(centerX, centerY - radius);
+            ctx.lineTo(centerX, centerY + radius);
+            ctx.stroke();
+        });
+        
+        if (!overlay) {
+            ctx.fillStyle = getCompareColor(gamepads[column]);
+            ctx.fillText(`Controller ${gamepads[column].index + 1}`, left + 8, 16);
+        }
+        
+        const drawn = overlay ? gamepads : [gamepads[column]];
+        drawn.forEach((gamepad, i) => {
+            const color = getCompareColor(gamepad);
+            ctx.fillStyle = color;
+            
+            sticks.forEach((centerX, stick) => {
+                const x = gamepad.axes[stick * 2] || 0;
+                const y = gamepad.axes[stick * 2 + 1] || 0;
+                ctx.beginPath();
+                ctx.arc(centerX + x * radius, centerY + y * radius, 5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            
+            // Trigger bars under the sticks, stacked per controller when overlaid
+            const barY = centerY + radius + 10 + i * 6;
+            sticks.forEach((centerX, side) => {
+                const button = gamepad.buttons[6 + side];
+                const value = button ? button.value : 0;
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+                ctx.fillRect(centerX - radius, barY, radius * 2, 4);
+                ctx.fillStyle = color;
+                ctx.fillRect(centerX - radius, barY, radius * 2 * value, 4);
+            });
+        });
+    }
+}
+
+function drawCompareScope(gamepads) {
+    const canvas = document.getElementById('compare-scope-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const overlay = GamepadTester.compare.layout === 'overlay';
+    const lanes = overlay ? 1 : gamepads.length;
+    const laneHeight = height / lanes;
+    const channels = GamepadTester.scope.channels;
+    const timebase = GamepadTester.scope.timebase;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    for (let lane = 0; lane < lanes; lane++) {
+        ctx.strokeStyle = 'rgba(0, 243, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, lane * laneHeight + laneHeight / 2);
+        ctx.lineTo(width, lane * laneHeight + laneHeight / 2);
+        ctx.stroke();
+    }
+    
+    gamepads.forEach((gamepad, i) => {
+        const samples = getControllerStats(gamepad.index).oscilloscopeData.samples;
+        if (samples.length < 2) return;
+        
+        // The oscilloscope's channels and time base, each controller on its own clock
+        const end = samples[samples.length - 1].t;
+        const view = getScopeSamples(samples, end - timebase, end);
+        const lane = overlay ? 0 : i;
+        const midY = lane * laneHeight + laneHeight / 2;
+        
+        ctx.strokeStyle = getCompareColor(gamepad);
+        ctx.lineWidth = 1.5;
+        
+        channels.forEach((channel, c) => {
+            ctx.setLineDash(SCOPE_COMPARE_DASHES[c % SCOPE_COMPARE_DASHES.length][0]);
+            drawScopeTrace(ctx, view, channel, {
+                toX: (t) => ((t - (end - timebase)) / timebase) * width,
+                toY: (value) => midY - value * (laneHeight / 2)
+            });
+        });
+        ctx.setLineDash([]);
+    });
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText(channels.length > 0
+        ? channels.map((channel, c) => `${getScopeChannelName(channel)} ${SCOPE_COMPARE_DASHES[c % SCOPE_COMPARE_DASHES.length][1]}`).join(' · ')
+        : 'Select oscilloscope channels to compare', 10, height - 8);
+}
+
+function drawCompareTriggerCurves(gamepads) {
+    // Slow-pull results plotted against the guide position, so every run lines up
+    const canvas = document.getElementById('compare-trigger-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 10;
+    const toX = (guide) => padding + guide * (width - padding * 2);
+    const toY = (value) => height - padding - value * (height - padding * 2);
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    ctx.strokeStyle = 'rgba(255, 204, 0, 0.4)';
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(toX(0), toY(0));
+    ctx.lineTo(toX(1), toY(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    let plotted = 0;
+    gamepads.forEach(gamepad => {
+        const test = getControllerStats(gamepad.index).triggerTest;
+        if (!test.results) return;
+        
+        ctx.strokeStyle = getCompareColor(gamepad);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        test.samples.forEach((sample, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(sample.guide), toY(sample.value));
+            } else {
+                ctx.lineTo(toX(sample.guide), toY(sample.value));
+            }
+        });
+        ctx.stroke();
+        plotted++;
+    });
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText(plotted > 0 ? 'Trigger value vs. guide position' : 'Run the slow-pull trigger test on each controller to compare curves', 16, 20);
+}
+
+function renderCompareTable(gamepads) {
+    const reference = GamepadTester.gamepads[GamepadTester.compare.reference] || gamepads[0];
+    const referenceStats = getControllerStats(reference.index);
+    
+    const signed = (value, digits) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const triggerValue = (gamepad, button) => gamepad.buttons[button] ? gamepad.buttons[button].value : 0;
+    
+    // Each row: label, value getter (number or null), digits, optional formatter
+    const rows = [
+        ['Left X', gamepad => gamepad.axes[0], 4],
+        ['Left Y', gamepad => gamepad.axes[1], 4],
+        ['Right X', gamepad => gamepad.axes[2], 4],
+        ['Right Y', gamepad => gamepad.axes[3], 4],
+        ['LT', gamepad => triggerValue(gamepad, 6), 4],
+        ['RT', gamepad => triggerValue(gamepad, 7), 4],
+        ['Rest offset L', (gamepad, stats) => stats.driftTest.results && stats.driftTest.results.left ? stats.driftTest.results.left.offset : null, 4],
+        ['Rest offset R', (gamepad, stats) => stats.driftTest.results && stats.driftTest.results.right ? stats.driftTest.results.right.offset : null, 4],
+        ['Circularity error %', (gamepad, stats) => {
+            const analysis = stats.circularityData.analysis[GamepadTester.selectedCircle];
+            return analysis ? analysis.averageError : null;
+        }, 2],
+        ['LT step', (gamepad, stats) => {
+            const estimate = stats.triggerTracking.estimates.left;
+            return estimate ? estimate.step : null;
+        }, 5, (gamepad, stats) => describeQuantization(stats.triggerTracking.estimates.left)],
+        ['RT step', (gamepad, stats) => {
+            const estimate = stats.triggerTracking.estimates.right;
+            return estimate ? estimate.step : null;
+        }, 5, (gamepad, stats) => describeQuantization(stats.triggerTracking.estimates.right)],
+        ['Trigger start dead %', (gamepad, stats) => stats.triggerTest.results ? stats.triggerTest.results.startDeadTravel * 100 : null, 1],
+        ['Trigger end dead %', (gamepad, stats) => stats.triggerTest.results ? stats.triggerTest.results.endDeadTravel * 100 : null, 1],
+        ['Trigger linearity %', (gamepad, stats) => stats.triggerTest.results ? stats.triggerTest.results.linearityError : null, 1]
+    ];
+    
+    document.getElementById('compare-table-head').innerHTML = `<tr><th>Input</th>${gamepads.map(gamepad => {
+        const label = gamepad === reference ? ' (ref)' : '';
+        return `<th style="color: ${getCompareColor(gamepad)}">Controller ${gamepad.index + 1}${label}</th>`;
+    }).join('')}</tr>`;
+    
+    let html = '';
+    rows.forEach(row => {
+        const referenceValue = row[1](reference, referenceStats);
+        
+        html += `<tr><td class="input-name">${row[0]}</td>`;
+        gamepads.forEach(gamepad => {
+            const stats = getControllerStats(gamepad.index);
+            const value = row[1](gamepad, stats);
+            
+            if (value === null || value === undefined) {
+                html += '<td class="input-value">-</td>';
+                return;
+            }
+            
+            let text = row[3] ? row[3](gamepad, stats) : value.toFixed(row[2]);
+            if (gamepad !== reference && referenceValue !== null && referenceValue !== undefined) {
+                text += ` <span class="compare-diff">(${signed(value - referenceValue, row[2])})</span>`;
+            }
+            html += `<td class="input-value">${text}</td>`;
+        });
+        html += '</tr>';
+    });
+    
+    setElementHtml('compare-table', html);
+}
+
+// ==========================================
+// GUIDED TEST WIZARD
+// ==========================================
+// Walks a tester through every check in order: each button (highlighted on the diagram),
+// a full rotation of each stick, a slow pull of each trigger, the hands-off drift check
+// and the rumble check. The trigger, drift and rumble steps drive the existing guided
+// tests, so their panels fill in as the wizard goes. Steps for controls the controller
+// doesn't have are skipped - by the layout, a silent optional button or the tester - and
+// the run ends with a score (skipped steps left out) and the list of failed items.
+
+function setupTestWizardControls() {
+    document.getElementById('wizard-start').addEventListener('click', () => {
+        if (GamepadTester.wizard.active) {
+            cancelTestWizard();
+        } else {
+            startTestWizard();
+        }
+    });
+    
+    document.getElementById('wizard-fail').addEventListener('click', () => {
+        finishWizardStep('fail', 'Marked as not working by the tester');
+    });
+    
+    document.getElementById('wizard-skip').addEventListener('click', () => {
+        // Control not present on this device - left out of the score
+        finishWizardStep('skipped', 'Marked as not present by the tester');
+    });
+    
+    ['wizard-yes', 'wizard-no'].forEach(id => {
+        document.getElementById(id).addEventListener('click', () => {
+            answerHapticTest(id === 'wizard-yes');
+            renderWizardAnswerButtons();
+        });
+    });
+    
+    renderTestWizard();
+}
+
+function buildWizardSteps(gamepad) {
+    const steps = [];
+    const present = (button) => button < gamepad.buttons.length;
+    
+    WIZARD_BUTTON_ORDER.forEach(button => {
+        steps.push({
+            type: 'button',
+            target: button,
+            label: `Press ${getButtonName(button)}`,
+            highlight: `#controller-visual [data-button="${button}"]`,
+            skip: present(button) ? null : 'Not present on this controller',
+            optional: WIZARD_OPTIONAL_BUTTONS.includes(button)
+        });
+    });
+    
+    ['left', 'right'].forEach((side, i) => {
+        steps.push({
+            type: 'stick',
+            target: side,
+            label: `Rotate ${side} stick`,
+            highlight: `#controller-visual .stick-${side}`,
+            skip: gamepad.axes.length >= i * 2 + 2 ? null : 'Stick not present on this controller'
+        });
+    });
+    
+    ['left', 'right'].forEach((side, i) => {
+        steps.push({
+            type: 'trigger',
+            target: side,
+            label: `Slow-pull ${side} trigger`,
+            highlight: `#controller-visual .trigger-${side}`,
+            skip: present(6 + i) ? null : 'Trigger not present on this controller'
+        });
+    });
+    
+    steps.push({
+        type: 'drift',
+        label: 'Hands-off drift check',
+        highlight: '#controller-visual .stick-left, #controller-visual .stick-right',
+        skip: gamepad.axes.length >= 2 ? null : 'No sticks on this controller'
+    });
+    
+    steps.push({
+        type: 'rumble',
+        label: 'Rumble check',
+        highlight: '#controller-visual .controller-body',
+        skip: getHapticTestActuator() ? null : 'No vibration actuator'
+    });
+    
+    return steps.map(step => Object.assign(step, { status: 'pending', detail: '' }));
+}
+
+function startTestWizard() {
+    const gamepad = getLiveGamepad();
+    if (!gamepad) {
+        showToast('Connect a controller first', 'error');
+        return;
+    }
+    if (gamepad.mapping !== 'standard') {
+        showToast('Learn a mapping for this controller first - the wizard needs the standard layout', 'error');
+        return;
+    }
+    
+    // Both highlight the controller - only one guided test at a time
+    stopGhostTest();
+    
+    const wizard = GamepadTester.wizard;
+    wizard.active = true;
+    wizard.steps = buildWizardSteps(gamepad);
+    wizard.index = -1;
+    
+    advanceTestWizard();
+}
+
+function cancelTestWizard() {
+    const wizard = GamepadTester.wizard;
+    if (!wizard.active) return;
+    
+    stopWizardStepTest(wizard.steps[wizard.index]);
+    wizard.active = false;
+    wizard.index = -1;
+    wizard.state = null;
+    renderTestWizard();
+}
+
+// Moves to the next applicable step, recording skipped ones on the way
+function advanceTestWizard() {
+    const wizard = GamepadTester.wizard;
+    wizard.index++;
+    
+    while (wizard.index < wizard.steps.length && wizard.steps[wizard.index].skip) {
+        const step = wizard.steps[wizard.index];
+        step.status = 'skipped';
+        step.detail = step.skip;
+        wizard.index++;
+    }
+    
+    if (wizard.index >= wizard.steps.length) {
+        wizard.active = false;
+        wizard.state = null;
+        renderTestWizard();
+        return;
+    }
+    
+    const step = wizard.steps[wizard.index];
+    wizard.stepStart = 0; // Set on the first processed frame
+    wizard.state = { armed: false, pressed: false, sectors: new Array(CIRCULARITY_SECTORS).fill(0) };
+    setWizardStatus(step.label, 0);
+    
+    if (step.type === 'trigger') {
+        document.getElementById('trigger-test-select').value = step.target;
+        startTriggerTest();
+    } else if (step.type === 'drift') {
+        startDriftTest();
+    } else if (step.type === 'rumble') {
+        startHapticTest();
+    }
+    
+    renderTestWizard();
+}
+
+function finishWizardStep(status, detail) {
+    const wizard = GamepadTester.wizard;
+    if (!wizard.active) return;
+    
+    const step = wizard.steps[wizard.index];
+    stopWizardStepTest(step);
+    step.status = status;
+    step.detail = detail;
+    
+    advanceTestWizard();
+}
+
+// Stop whichever guided test the step started (no-op once that test has finished)
+function stopWizardStepTest(step) {
+    if (!step) return;
+    
+    if (step.type === 'trigger') {
+        cancelTriggerTest();
+    } else if (step.type === 'drift') {
+        const phase = GamepadTester.driftTest.phase;
+        if (phase === 'settling' || phase === 'sampling') {
+            cancelDriftTest();
+        }
+    } else if (step.type === 'rumble') {
+        cancelHapticTest();
+    }
+}
+
+function updateTestWizard(gamepad, timestamp) {
+    const wizard = GamepadTester.wizard;
+    if (!wizard.active) return;
+    
+    const step = wizard.steps[wizard.index];
+    const state = wizard.state;
+    if (wizard.stepStart === 0) {
+        wizard.stepStart = timestamp;
+    }
+    const elapsed = timestamp - wizard.stepStart;
+    
+    if (step.type === 'button') {
+        const button = gamepad.buttons[step.target];
+        const pressed = !!(button && button.pressed);
+        
+        // A button already held when the step starts has to be released first
+        if (!state.armed) {
+            state.armed = !pressed;
+        } else if (pressed) {
+            state.pressed = true;
+        } else if (state.pressed) {
+            finishWizardStep('pass', `Pressed after ${(elapsed / 1000).toFixed(1)} s`);
+            return;
+        }
+        
+        if (elapsed >= WIZARD_STEP_TIMEOUT_MS) {
+            if (step.optional && !state.pressed) {
+                finishWizardStep('skipped', 'No press detected - treated as not present');
+            } else {
+                finishWizardStep('fail', state.pressed ? 'Never released' : 'No press detected');
+            }
+            return;
+        }
+        
+        setWizardStatus(state.pressed ? 'Now release it' : `${step.label} on the controller`, elapsed / WIZARD_STEP_TIMEOUT_MS);
+    } else if (step.type === 'stick') {
+        const offset = step.target === 'left' ? 0 : 2;
+        const x = gamepad.axes[offset] || 0;
+        const y = gamepad.axes[offset + 1] || 0;
+        recordCircularitySector(state.sectors, x, y);
+        
+        const reach = state.sectors.filter(radius => radius >= WIZARD_STICK_MIN_REACH).length / CIRCULARITY_SECTORS;
+        if (reach >= WIZARD_STICK_COVERAGE) {
+            finishWizardStep('pass', `Full range in ${(reach * 100).toFixed(0)}% of directions`);
+            return;
+        }
+        
+        if (elapsed >= WIZARD_STEP_TIMEOUT_MS) {
+            finishWizardStep('fail', `Full range in only ${(reach * 100).toFixed(0)}% of directions`);
+            return;
+        }
+        
+        setWizardStatus(`Push the ${step.target} stick to the edge and rotate it slowly, a few full circles`, reach / WIZARD_STICK_COVERAGE);
+    } else if (step.type === 'trigger') {
+        const test = GamepadTester.triggerTest;
+        
+        if (test.phase === 'done') {
+            const results = test.results;
+            if (!results) {
+                finishWizardStep('fail', 'The trigger never moved');
+            } else if (results.max - results.rest < WIZARD_TRIGGER_MIN_TRAVEL) {
+                finishWizardStep('fail', `Only reaches ${(results.max * 100).toFixed(0)}%`);
+            } else if (results.linearityError > WIZARD_TRIGGER_MAX_LINEARITY) {
+                finishWizardStep('fail', `Uneven pull - ${results.linearityError.toFixed(1)}% deviation`);
+            } else {
+                finishWizardStep('pass', `${results.resolution}, ${results.linearityError.toFixed(1)}% deviation`);
+            }
+            return;
+        }
+        
+        const last = test.samples[test.samples.length - 1];
+        if (test.phase === 'ready') {
+            setWizardStatus(`Release the ${step.target} trigger completely...`, 0);
+        } else if (test.phase === 'pull') {
+            setWizardStatus(`Pull the ${step.target} trigger slowly, keeping pace with the bar`, last ? last.guide : 0);
+        } else {
+            setWizardStatus('Hold it fully pulled...', 1);
+        }
+    } else if (step.type === 'drift') {
+        const test = GamepadTester.driftTest;
+        
+        if (test.phase === 'done') {
+            const results = test.results;
+            const sticks = ['left', 'right'].filter(side => results[side]);
+            finishWizardStep(results.pass ? 'pass' : 'fail',
+                sticks.map(side => `${side} offset ${results[side].offset.toFixed(4)}`).join(', '));
+            return;
+        }
+        
+        const sampling = test.phase === 'sampling' && test.phaseStart > 0;
+        const progress = sampling ? (timestamp - test.phaseStart) / (getDriftThresholds().duration * 1000) : 0;
+        setWizardStatus('Put the controller down and keep your hands off the sticks', progress);
+    } else if (step.type === 'rumble') {
+        const test = GamepadTester.hapticTest;
+        
+        if (!test.active) {
+            if (test.results) {
+                const failed = test.results.steps.filter(result => !result.pass).map(result => result.label);
+                finishWizardStep(test.results.pass ? 'pass' : 'fail', failed.length > 0 ? `Not felt: ${failed.join(', ')}` : 'All vibrations felt');
+            } else {
+                finishWizardStep('fail', 'Rumble check stopped');
+            }
+            return;
+        }
+        
+        setWizardStatus(test.waiting ? 'Vibrating - hold the controller...' : HAPTIC_TEST_STEPS[test.step].question,
+            test.step / HAPTIC_TEST_STEPS.length);
+    }
+    
+    renderWizardAnswerButtons();
+}
+
+function setWizardStatus(message, progress) {
+    document.getElementById('wizard-status').textContent = message;
+    document.getElementById('wizard-progress').style.width = `${Math.min(1, Math.max(0, progress)) * 100}%`;
+}
+
+function renderWizardAnswerButtons() {
+    const wizard = GamepadTester.wizard;
+    const step = wizard.active ? wizard.steps[wizard.index] : null;
+    const asking = !!step && step.type === 'rumble';
+    const answering = asking && GamepadTester.hapticTest.active && !GamepadTester.hapticTest.waiting;
+    
+    document.getElementById('wizard-answers').classList.toggle('hidden', !asking);
+    document.getElementById('wizard-yes').disabled = !answering;
+    document.getElementById('wizard-no').disabled = !answering;
+}
+
+function renderTestWizard() {
+    const wizard = GamepadTester.wizard;
+    const step = wizard.active ? wizard.steps[wizard.index] : null;
+    
+    document.getElementById('wizard-start').textContent = wizard.active ? 'Cancel' : 'Start Guided Test';
+    document.getElementById('wizard-fail').disabled = !wizard.active;
+    document.getElementById('wizard-skip').disabled = !wizard.active;
+    renderWizardAnswerButtons();
+    
+    // Highlight the control the current step is about
+    document.querySelectorAll('#controller-visual .wizard-target').forEach(element => {
+        element.classList.remove('wizard-target');
+    });
+    if (step) {
+        document.querySelectorAll(step.highlight).forEach(element => {
+            element.classList.add('wizard-target');
+        });
+    }
+    
+    const verdictElement = document.getElementById('wizard-verdict');
+    const finished = !wizard.active && wizard.steps.length > 0 && wizard.steps.every(s => s.status !== 'pending');
+    const passed = wizard.steps.filter(s => s.status === 'pass').length;
+    const failed = wizard.steps.filter(s => s.status === 'fail');
+    
+    if (step) {
+        const applicable = wizard.steps.filter(s => !s.skip).length;
+        const number = wizard.steps.slice(0, wizard.index + 1).filter(s => !s.skip).length;
+        document.getElementById('wizard-step').textContent = `Step ${number} of ${applicable}: ${step.label}`;
+        verdictElement.textContent = '';
+        verdictElement.className = 'drift-verdict';
+    } else if (finished) {
+        // Score counts only the steps that applied to this controller
+        const score = passed + failed.length > 0 ? Math.round(passed / (passed + failed.length) * 100) : 0;
+        document.getElementById('wizard-step').textContent = `Score ${score}% - ${passed} passed, ${failed.length} failed`;
+        setWizardStatus(failed.length > 0 ? `Failed: ${failed.map(s => s.label).join(', ')}` : 'Every check passed', 1);
+        verdictElement.textContent = failed.length === 0 ? 'PASS' : 'FAIL';
+        verdictElement.className = `drift-verdict ${failed.length === 0 ? 'pass' : 'fail'}`;
+    } else {
+        document.getElementById('wizard-step').textContent = '';
+        setWizardStatus('Press Start to be walked through every check on this controller.', 0);
+        verdictElement.textContent = '';
+        verdictElement.className = 'drift-verdict';
+    }
+    
+    document.getElementById('wizard-table').innerHTML = wizard.steps.map((s, i) => {
+        const current = wizard.active && i === wizard.index;
+        const status = current ? '...' : s.status === 'pending' ? '-' : s.status.toUpperCase();
+        const statusClass = s.status === 'pass' ? 'pass' : s.status === 'fail' ? 'fail' : '';
+        
+        return `
+            <tr${current ? ' class="current"' : ''}>
+                <td class="input-name">${s.label}</td>
+                <td class="input-state ${statusClass}">${status}</td>
+                <td class="input-value">${s.detail}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ==========================================
+// DIAGNOSTIC REPORT
+// ==========================================
+// Gathers everything measured for the active controller into one snapshot that can be
+// exported as JSON (machine-readable), CSV (raw frames) or a self-contained printable
+// HTML page with the graphs embedded as images.
+
+function setupReportControls() {
+    document.getElementById('report-generate').addEventListener('click', () => {
+        const report = buildDiagnosticReport();
+        if (!report) {
+            showToast('Connect a controller first', 'error');
+            return;
+        }
+        
+        GamepadTester.report.last = report;
+        renderReportSummary(report);
+        showToast('Report generated', 'success');
+    });
+    
+    document.getElementById('report-json').addEventListener('click', () => {
+        const report = GamepadTester.report.last;
+        downloadFile(`${getReportFilename(report)}.json`, JSON.stringify(report, null, 2), 'application/json');
+    });
+    
+    document.getElementById('report-csv').addEventListener('click', () => {
+        const report = GamepadTester.report.last;
+        downloadFile(`${getReportFilename(report)}-samples.csv`, buildReportCsv(report), 'text/csv');
+    });
+    
+    document.getElementById('report-html').addEventListener('click', () => {
+        const report = GamepadTester.report.last;
+        downloadFile(`${getReportFilename(report)}.html`, buildReportHtml(report), 'text/html');
+    });
+    
+    renderReportSummary(null);
+}
+
+function getLiveGamepad() {
+    if (GamepadTester.replay.active) return null;
+    if (GamepadTester.activeGamepadIndex === null) return null;
+    return GamepadTester.gamepads[GamepadTester.activeGamepadIndex] || null;
+}
+
+function buildDiagnosticReport() {
+    const gamepad = getLiveGamepad();
+    if (!gamepad) return null;
+    
+    const profile = GamepadTester.controllerProfile;
+    const average = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    const actuator = gamepad.vibrationActuator;
+    const edges = GamepadTester.buttonEdges;
+    
+    return {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        device: {
+            id: gamepad.id,
+            index: gamepad.index,
+            mapping: gamepad.mapping,
+            remapped: !!gamepad.remapped,
+            virtual: !!gamepad.virtual,
+            name: profile ? profile.name : null,
+            vendor: profile ? profile.vendor : null,
+            product: profile ? profile.product : null,
+            layout: profile ? profile.layout : null,
+            axisCount: gamepad.axes.length,
+            buttonCount: gamepad.buttons.length
+        },
+        polling: {
+            pollLoopRate: average(GamepadTester.performance.pollingRates),
+            frameDelta: average(GamepadTester.performance.frameDeltas),
+            reportRate: GamepadTester.reportRate.results
+        },
+        sticks: {
+            processing: buildStickProfile(),
+            circularity: {
+                left: GamepadTester.circularityData.analysis.left,
+                right: GamepadTester.circularityData.analysis.right
+            },
+            drift: GamepadTester.driftTest.results
+        },
+        triggers: {
+            resolution: {
+                left: estimateQuantization(GamepadTester.triggerTracking.left, 1),
+                right: estimateQuantization(GamepadTester.triggerTracking.right, 1)
+            },
+            slowPull: GamepadTester.triggerTest.results
+        },
+        buttons: {
+            thresholds: getChatterThresholds(),
+            stats: Object.keys(edges.buttons).map(index => ({
+                button: parseInt(index),
+                name: getButtonName(index),
+                presses: edges.buttons[index].presses,
+                minHold: edges.buttons[index].minHold,
+                suspicious: edges.buttons[index].suspicious.length
+            })),
+            guided: edges.guided && edges.guided.results ? {
+                target: edges.guided.target,
+                results: edges.guided.results
+            } : null
+        },
+        vibration: {
+            supported: !!(actuator || gamepad.hapticActuators),
+            type: actuator ? actuator.type || null : null,
+            effects: actuator && Array.isArray(actuator.effects) ? actuator.effects.slice() : null,
+            motorTest: GamepadTester.hapticTest.results
+        },
+        samples: GamepadTester.sampleHistory.slice()
+    };
+}
+
+function recordSampleHistory(gamepad, timestamp) {
+    const history = GamepadTester.sampleHistory;
+    history.push(buildRecordingFrame(gamepad, timestamp));
+    
+    if (history.length > REPORT_SAMPLE_LIMIT) {
+        history.shift();
+    }
+}
+
+function getReportFilename(report) {
+    const date = report.generatedAt.slice(0, 19).replace(/[:T]/g, '-');
+    const name = (report.device.name || 'controller').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `gamepad-report-${name}-${date}`;
+}
+
+function buildReportCsv(report) {
+    const samples = report.samples;
+    const axisCount = samples.reduce((max, frame) => Math.max(max, frame.axes.length), 0);
+    const buttonCount = samples.reduce((max, frame) => Math.max(max, frame.buttons.length), 0);
+    const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    
+    const header = ['t_ms', 'timestamp'];
+    for (let i = 0; i < axisCount; i++) header.push(quote(getAxisName(i)));
+    for (let i = 0; i < buttonCount; i++) header.push(quote(getButtonName(i)));
+    
+    const start = samples.length > 0 ? samples[0].t : 0;
+    const rows = samples.map(frame => {
+        const row = [(frame.t - start).toFixed(3), frame.timestamp.toFixed(3)];
+        for (let i = 0; i < axisCount; i++) row.push(frame.axes[i] !== undefined ? frame.axes[i].toFixed(6) : '');
+        for (let i = 0; i < buttonCount; i++) row.push(frame.buttons[i] ? frame.buttons[i][0].toFixed(6) : '');
+        return row.join(',');
+    });
+    
+    return [header.join(',')].concat(rows).join('\n');
+}
+
+// Plain-language rows shared by the on-page summary and the printable report
+function describeReport(report) {
+    const number = (value, digits, unit) => value === null || value === undefined ? '-' : `${value.toFixed(digits)}${unit || ''}`;
+    const verdict = (pass) => pass === null || pass === undefined ? 'Not tested' : pass ? 'PASS' : 'FAIL';
+    const circularity = (analysis) => analysis && analysis.averageError !== null
+        ? `${analysis.averageError.toFixed(2)}% avg error, ${(analysis.coverage * 100).toFixed(0)}% coverage${analysis.gate ? `, ${analysis.gate.shape} gate` : ''}`
+        : 'Not tested';
+    const drift = report.sticks.drift;
+    const rate = report.polling.reportRate;
+    const suspicious = report.buttons.stats.reduce((sum, stats) => sum + stats.suspicious, 0);
+    const resolution = (estimate) => estimate ? describeQuantization(estimate) : 'Not measured';
+    const motorTest = report.vibration.motorTest;
+    
+    return [
+        ['Device', report.device.name ? `${report.device.name} (${report.device.id})` : report.device.id],
+        ['Mapping', `${report.device.mapping || 'none'}${report.device.remapped ? ' (learned mapping)' : ''} · ${report.device.axisCount} axes, ${report.device.buttonCount} buttons`],
+        ['Poll Loop Rate', number(report.polling.pollLoopRate, 0, ' Hz')],
+        ['Report Rate', rate ? `${rate.rate.toFixed(0)} Hz (≈ ${rate.nearestStandard} Hz), jitter σ ${rate.jitter.toFixed(2)} ms, ${rate.dropped} dropped` : 'Not measured'],
+        ['Left Stick Circularity', circularity(report.sticks.circularity.left)],
+        ['Right Stick Circularity', circularity(report.sticks.circularity.right)],
+        ['Stick Drift', drift ? verdict(drift.pass) : 'Not tested'],
+        ['Left Trigger Resolution', resolution(report.triggers.resolution.left)],
+        ['Right Trigger Resolution', resolution(report.triggers.resolution.right)],
+        ['Trigger Linearity', report.triggers.slowPull ? `max deviation ${report.triggers.slowPull.linearityError.toFixed(1)}%` : 'Not tested'],
+        ['Buttons', `${report.buttons.stats.filter(stats => stats.presses > 0).length} pressed, ${suspicious} suspicious edge(s)`],
+        ['Button Test', report.buttons.guided
+            ? Object.keys(report.buttons.guided.results).filter(index => report.buttons.guided.results[index] === 'fail').length === 0 ? 'PASS' : 'FAIL'
+            : 'Not tested'],
+        ['Vibration', report.vibration.supported ? `Supported${report.vibration.effects ? ` (${report.vibration.effects.join(', ')})` : ''}` : 'Not supported'],
+        ['Motor Test', motorTest ? `${verdict(motorTest.pass)} (weak ${verdict(motorTest.weakMotor)}, strong ${verdict(motorTest.strongMotor)})` : 'Not tested'],
+        ['Samples', `${report.samples.length} frames`]
+    ];
+}
+
+function renderReportSummary(report) {
+    ['report-json', 'report-csv', 'report-html'].forEach(id => {
+        document.getElementById(id).disabled = !report;
+    });
+    
+    const container = document.getElementById('report-summary');
+    if (!report) {
+        container.innerHTML = '<div class="analysis-row"><span class="result-label">Run the tests you need, then generate a report.</span></div>';
+        return;
+    }
+    
+    container.innerHTML = describeReport(report).map(row => `
+        <div class="analysis-row">
+            <span class="result-label">${row[0]}:</span>
+            <span class="analysis-value">${escapeHtml(row[1])}</span>
+        </div>
+    `).join('');
+}
+
+function buildReportHtml(report) {
+    // Graphs as they look right now, embedded so the file stands on its own
+    const graphs = [
+        ['Oscilloscope', getScopeSnapshotCanvas()],
+        ['Circularity', document.getElementById('circularity-canvas')],
+        ['Trigger Slow-Pull', document.getElementById('trigger-test-canvas')],
+        ['Report Interval Histogram', document.getElementById('report-rate-canvas')]
+    ].map(graph => {
+        let image = null;
+        try {
+            image = graph[1].toDataURL('image/png');
+        } catch (error) {
+            console.error('Graph export error:', error);
+        }
+        return image ? `<figure><img src="${image}" alt="${graph[0]}"><figcaption>${graph[0]}</figcaption></figure>` : '';
+    }).join('');
+    
+    const table = (rows) => `<table>${rows.map(row => `<tr><th>${escapeHtml(row[0])}</th><td>${escapeHtml(row[1])}</td></tr>`).join('')}</table>`;
+    
+    const buttonRows = report.buttons.stats.map(stats => [
+        stats.name,
+        `${stats.presses} presses, min hold ${stats.minHold === null ? '-' : `${stats.minHold.toFixed(1)} ms`}, ${stats.suspicious} suspicious` +
+            (report.buttons.guided && report.buttons.guided.results[stats.button] ? ` · ${report.buttons.guided.results[stats.button].toUpperCase()}` : '')
+    ]);
+    
+    const motorRows = report.vibration.motorTest ? report.vibration.motorTest.steps.map(step => [
+        step.label,
+        `${step.result} in ${Math.round(step.elapsed)} / ${step.duration} ms, felt: ${step.confirmed ? 'yes' : 'no'} · ${step.pass ? 'PASS' : 'FAIL'}`
+    ]) : [];
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Controller Diagnostic Report - ${escapeHtml(report.device.name || report.device.id)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #111; max-width: 900px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 2px solid #111; padding-bottom: 0.25rem; }
+    .meta { color: #555; font-size: 0.85rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+    th { width: 35%; }
+    figure { display: inline-block; margin: 0.5rem; text-align: center; page-break-inside: avoid; }
+    figure img { max-width: 400px; border: 1px solid #ccc; }
+    figcaption { font-size: 0.8rem; color: #555; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>Controller Diagnostic Report</h1>
+<div class="meta">Generated ${escapeHtml(report.generatedAt)} · ${escapeHtml(report.userAgent)}</div>
+<h2>Summary</h2>
+${table(describeReport(report))}
+${buttonRows.length > 0 ? `<h2>Buttons</h2>${table(buttonRows)}` : ''}
+${motorRows.length > 0 ? `<h2>Vibration Motor Test</h2>${table(motorRows)}` : ''}
+<h2>Graphs</h2>
+${graphs}
+</body>
+</html>
+`;
+}
+
+// ==========================================
+// RESULT HISTORY (IndexedDB)
+// ==========================================
+// Saved snapshots of the headline measurements, one record per save. A controller is
+// identified by its gamepad.id plus a user-given label (serial number, asset tag...) since
+// identical models report identical ids. Charting the records over time shows a stick
+// degrading long before it fails a single test.
+
+function setupHistoryControls() {
+    document.getElementById('history-save').addEventListener('click', saveHistoryEntry);
+    
+    document.getElementById('history-controller').addEventListener('change', (e) => {
+        GamepadTester.history.selected = e.target.value || null;
+        renderHistory();
+    });
+    
+    document.getElementById('history-delete').addEventListener('click', deleteHistoryController);
+    document.getElementById('history-export').addEventListener('click', exportHistory);
+    
+    const fileInput = document.getElementById('history-file');
+    document.getElementById('history-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importHistory(file);
+        }
+        e.target.value = '';
+    });
+    
+    openHistoryDatabase().then(db => {
+        GamepadTester.history.db = db;
+        return refreshHistory();
+    }).catch(error => {
+        console.error('History database error:', error);
+        setHistoryStatus('History unavailable - browser storage is blocked');
+        ['history-save', 'history-delete', 'history-export', 'history-import'].forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
+    });
+}
+
+function openHistoryDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+        
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'key', autoIncrement: true });
+            store.createIndex('controller', ['controllerId', 'label']);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs fn(store) in one transaction; resolves with fn's request result once it commits
+function historyTransaction(mode, fn) {
+    return new Promise((resolve, reject) => {
+        const transaction = GamepadTester.history.db.transaction(HISTORY_STORE, mode);
+        const request = fn(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function refreshHistory() {
+    return historyTransaction('readonly', store => store.getAll()).then(entries => {
+        GamepadTester.history.entries = entries.sort((a, b) => a.time - b.time);
+        renderHistory();
+    });
+}
+
+function getHistoryControllerKey(controllerId, label) {
+    return JSON.stringify([controllerId, label]);
+}
+
+function buildHistoryEntry(gamepad, label) {
+    const drift = GamepadTester.driftTest.results;
+    const circularity = GamepadTester.circularityData.analysis;
+    const slowPull = GamepadTester.triggerTest.results;
+    const reportRate = GamepadTester.reportRate.results;
+    
+    const driftStick = (stick) => stick ? { offset: stick.offset, noise: stick.noise, pass: stick.pass } : null;
+    const circularityError = (analysis) => analysis && analysis.averageError !== null ? analysis.averageError : null;
+    
+    // Travel seen since the last reset; a shrinking range means the trigger no longer reaches full press
+    const triggerRange = (values) => values.size >= 2
+        ? Math.max.apply(null, Array.from(values)) - Math.min.apply(null, Array.from(values))
+        : null;
+    
+    return {
+        controllerId: gamepad.id,
+        label: label,
+        name: GamepadTester.controllerProfile ? GamepadTester.controllerProfile.name : null,
+        savedAt: new Date().toISOString(),
+        time: Date.now(),
+        drift: drift ? { left: driftStick(drift.left), right: driftStick(drift.right), pass: drift.pass } : null,
+        circularity: {
+            left: circularityError(circularity.left),
+            right: circularityError(circularity.right)
+        },
+        triggers: {
+            left: triggerRange(GamepadTester.triggerTracking.left),
+            right: triggerRange(GamepadTester.triggerTracking.right)
+        },
+        slowPull: slowPull ? {
+            trigger: GamepadTester.triggerTest.trigger,
+            startDeadTravel: slowPull.startDeadTravel,
+            endDeadTravel: slowPull.endDeadTravel,
+            linearityError: slowPull.linearityError
+        } : null,
+        reportRate: reportRate ? reportRate.rate : null
+    };
+}
+
+function hasHistoryMeasurements(entry) {
+    return entry.drift !== null || entry.slowPull !== null || entry.reportRate !== null ||
+        entry.circularity.left !== null || entry.circularity.right !== null ||
+        entry.triggers.left !== null || entry.triggers.right !== null;
+}
+
+function saveHistoryEntry() {
+    const gamepad = getLiveGamepad();
+    if (!gamepad) {
+        showToast('Connect a controller first', 'error');
+        return;
+    }
+    
+    const label = document.getElementById('history-label').value.trim();
+    const entry = buildHistoryEntry(gamepad, label);
+    if (!hasHistoryMeasurements(entry)) {
+        showToast('Nothing measured yet - run some tests first', 'error');
+        return;
+    }
+    
+    historyTransaction('readwrite', store => store.add(entry)).then(() => {
+        GamepadTester.history.selected = getHistoryControllerKey(entry.controllerId, entry.label);
+        return refreshHistory();
+    }).then(() => {
+        showToast('Results saved to history', 'success');
+    }).catch(error => {
+        console.error('History save error:', error);
+        showToast('Could not save results', 'error');
+    });
+}
+
+function deleteHistoryController() {
+    const selected = GamepadTester.history.selected;
+    if (!selected) return;
+    
+    const entries = getSelectedHistoryEntries();
+    if (!window.confirm(`Delete ${entries.length} saved result(s) for this controller?`)) return;
+    
+    historyTransaction('readwrite', store => {
+        entries.forEach(entry => store.delete(entry.key));
+    }).then(() => {
+        GamepadTester.history.selected = null;
+        return refreshHistory();
+    }).then(() => {
+        showToast('History deleted', 'success');
+    }).catch(error => {
+        console.error('History delete error:', error);
+        showToast('Could not delete history', 'error');
+    });
+}
+
+function exportHistory() {
+    const entries = GamepadTester.history.entries.map(entry => {
+        const copy = Object.assign({}, entry);
+        delete copy.key;
+        return copy;
+    });
+    
+    const data = {
+        format: HISTORY_FORMAT,
+        version: HISTORY_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: entries
+    };
+    
+    downloadFile('gamepad-history.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+function importHistory(file) {
+    file.text().then(text => {
+        const data = JSON.parse(text);
+        
+        if (data.format !== HISTORY_FORMAT || !Array.isArray(data.entries)) {
+            throw new Error('Not a history export');
+        }
+        if (data.version > HISTORY_VERSION) {
+            throw new Error(`Unsupported history version ${data.version}`);
+        }
+        
+        // Skip records already present so importing the same file twice is harmless
+        const existing = new Set(GamepadTester.history.entries.map(entry => `${entry.controllerId}|${entry.label}|${entry.time}`));
+        const entries = data.entries.map(normalizeHistoryEntry).filter(entry => {
+            return entry !== null && !existing.has(`${entry.controllerId}|${entry.label}|${entry.time}`);
+        });
+        
+        return historyTransaction('readwrite', store => {
+            entries.forEach(entry => store.add(entry));
+        }).then(() => refreshHistory()).then(() => {
+            showToast(`Imported ${entries.length} result(s)`, 'success');
+        });
+    }).catch(error => {
+        console.error('History import error:', error);
+        showToast(`Could not import history: ${error.message}`, 'error');
+    });
+}
+
+// Rebuilds an imported record in the shape buildHistoryEntry() produces - null when it
+// has no controller, no time or nothing measured
+function normalizeHistoryEntry(entry) {
+    if (!entry || typeof entry.controllerId !== 'string' || !Number.isFinite(entry.time)) return null;
+    
+    const number = (value) => typeof value === 'number' && isFinite(value) ? value : null;
+    const sides = (pair) => ({
+        left: pair ? number(pair.left) : null,
+        right: pair ? number(pair.right) : null
+    });
+    const driftStick = (stick) => stick && number(stick.offset) !== null
+        ? { offset: stick.offset, noise: number(stick.noise), pass: !!stick.pass }
+        : null;
+    const drift = entry.drift;
+    const slowPull = entry.slowPull;
+    
+    const normalized = {
+        controllerId: entry.controllerId,
+        label: typeof entry.label === 'string' ? entry.label : '',
+        name: typeof entry.name === 'string' ? entry.name : null,
+        savedAt: typeof entry.savedAt === 'string' ? entry.savedAt : new Date(entry.time).toISOString(),
+        time: entry.time,
+        drift: drift && typeof drift === 'object'
+            ? { left: driftStick(drift.left), right: driftStick(drift.right), pass: !!drift.pass }
+            : null,
+        circularity: sides(entry.circularity),
+        triggers: sides(entry.triggers),
+        slowPull: slowPull && typeof slowPull === 'object' ? {
+            trigger: slowPull.trigger === 'right' ? 'right' : 'left',
+            startDeadTravel: number(slowPull.startDeadTravel),
+            endDeadTravel: number(slowPull.endDeadTravel),
+            linearityError: number(slowPull.linearityError)
+        } : null,
+        reportRate: number(entry.reportRate)
+    };
+    
+    return hasHistoryMeasurements(normalized) ? normalized : null;
+}
+
+function getSelectedHistoryEntries() {
+    const selected = GamepadTester.history.selected;
+    return GamepadTester.history.entries.filter(entry => {
+        return getHistoryControllerKey(entry.controllerId, entry.label) === selected;
+    });
+}
+
+function setHistoryStatus(text) {
+    document.getElementById('history-status').textContent = text;
+}
+
+function renderHistory() {
+    const history = GamepadTester.history;
+    const select = document.getElementById('history-controller');
+    
+    // One option per controller id + label, most recently saved first
+    const controllers = {};
+    history.entries.forEach(entry => {
+        controllers[getHistoryControllerKey(entry.controllerId, entry.label)] = entry;
+    });
+    const keys = Object.keys(controllers).sort((a, b) => controllers[b].time - controllers[a].time);
+    
+    if (!history.selected || !controllers[history.selected]) {
+        // Default to the connected controller's history when there is one
+        const gamepad = getLiveGamepad();
+        history.selected = (gamepad && keys.find(key => controllers[key].controllerId === gamepad.id)) || keys[0] || null;
+    }
+    
+    select.innerHTML = keys.map(key => {
+        const entry = controllers[key];
+        const name = entry.name || entry.controllerId;
+        return `<option value="${escapeHtml(key)}">${escapeHtml(entry.label ? `${entry.label} - ${name}` : name)}</option>`;
+    }).join('');
+    select.value = history.selected || '';
+    document.getElementById('history-delete').disabled = !history.selected;
+    document.getElementById('history-export').disabled = history.entries.length === 0;
+    
+    const entries = getSelectedHistoryEntries();
+    drawHistoryChart(entries);
+    renderHistoryTable(entries);
+    
+    if (entries.length === 0) {
+        setHistoryStatus('No saved results yet. Run the tests, give the controller a label and save.');
+        return;
+    }
+    
+    const days = (entries[entries.length - 1].time - entries[0].time) / 86400000;
+    const first = entries.find(entry => entry.drift && entry.drift.left);
+    const last = entries.slice().reverse().find(entry => entry.drift && entry.drift.left);
+    const trend = first && last && first !== last
+        ? ` · left drift offset ${last.drift.left.offset >= first.drift.left.offset ? '+' : ''}${(last.drift.left.offset - first.drift.left.offset).toFixed(4)} since first save`
+        : '';
+    setHistoryStatus(`${entries.length} saved result(s) over ${days.toFixed(1)} days${trend}`);
+}
+
+function renderHistoryTable(entries) {
+    const tbody = document.getElementById('history-table');
+    const number = (value, digits, unit) => typeof value === 'number' && isFinite(value) ? `${value.toFixed(digits)}${unit || ''}` : '-';
+    const pair = (left, right, digits, unit) => `${number(left, digits, unit)} / ${number(right, digits, unit)}`;
+    // Records stored by older imports may lack whole sections
+    const sides = (pair) => pair || { left: null, right: null };
+    
+    tbody.innerHTML = entries.slice().reverse().map(entry => {
+        const drift = entry.drift;
+        const verdict = drift ? (drift.pass ? 'PASS' : 'FAIL') : '-';
+        const verdictClass = drift ? (drift.pass ? 'pass' : 'fail') : '';
+        
+        return `
+            <tr>
+                <td>${new Date(entry.time).toLocaleString()}</td>
+                <td>${drift ? pair(drift.left && drift.left.offset, drift.right && drift.right.offset, 4) : '-'}</td>
+                <td>${pair(sides(entry.circularity).left, sides(entry.circularity).right, 2, '%')}</td>
+                <td>${pair(sides(entry.triggers).left, sides(entry.triggers).right, 3)}</td>
+                <td class="${verdictClass}">${verdict}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function drawHistoryChart(entries) {
+    // Three stacked bands sharing the time axis, each scaled to its own metric
+    const canvas = document.getElementById('history-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 10;
+    const labelWidth = 150;
+    
+    const bands = [
+        { label: 'Drift offset', left: entry => entry.drift && entry.drift.left ? entry.drift.left.offset : null,
+          right: entry => entry.drift && entry.drift.right ? entry.drift.right.offset : null, digits: 3 },
+        { label: 'Circularity error %', left: entry => entry.circularity ? entry.circularity.left : null,
+          right: entry => entry.circularity ? entry.circularity.right : null, digits: 1 },
+        { label: 'Trigger range', left: entry => entry.triggers ? entry.triggers.left : null,
+          right: entry => entry.triggers ? entry.triggers.right : null, digits: 2 }
+    ];
+    const bandHeight = (height - padding * 2) / bands.length;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    if (entries.length === 0) {
+        ctx.fillStyle = '#a0a0a8';
+        ctx.font = '12px Share Tech Mono';
+        ctx.fillText('Saved results will be charted here', 16, 20);
+        return;
+    }
+    
+    const startTime = entries[0].time;
+    const span = Math.max(1, entries[entries.length - 1].time - startTime);
+    const toX = (time) => entries.length === 1
+        ? labelWidth + (width - labelWidth - padding) / 2
+        : labelWidth + ((time - startTime) / span) * (width - labelWidth - padding);
+    
+    bands.forEach((band, i) => {
+        const top = padding + i * bandHeight;
+        const values = [];
+        entries.forEach(entry => {
+            [band.left(entry), band.right(entry)].forEach(value => {
+                if (typeof value === 'number' && isFinite(value)) values.push(value);
+            });
+        });
+        const max = values.length > 0 ? Math.max.apply(null, values) * 1.1 || 1 : 1;
+        const toY = (value) => top + bandHeight - 6 - (value / max) * (bandHeight - 12);
+        
+        ctx.strokeStyle = 'rgba(0, 243, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(labelWidth, top, width - labelWidth - padding, bandHeight - 2);
+        
+        ctx.fillStyle = '#a0a0a8';
+        ctx.font = '12px Share Tech Mono';
+        ctx.fillText(band.label, padding, top + 16);
+        ctx.fillText(`max ${(max / 1.1).toFixed(band.digits)}`, padding, top + 32);
+        
+        // Left stick/trigger cyan, right magenta - gaps where a test wasn't run that day
+        [[band.left, COMPARE_COLORS[0]], [band.right, COMPARE_COLORS[1]]].forEach(series => {
+            ctx.strokeStyle = series[1];
+            ctx.fillStyle = series[1];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let drawing = false;
+            entries.forEach(entry => {
+                const value = series[0](entry);
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    drawing = false;
+                    return;
+                }
+                const x = toX(entry.time);
+                const y = toY(value);
+                if (drawing) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    drawing = true;
+                }
+                ctx.fillRect(x - 2, y - 2, 4, 4);
+            });
+            ctx.stroke();
+        });
+    });
+}
+
+// ==========================================
+// SESSION RECORDER & REPLAY
+// ==========================================
+// Records what pollGamepads() saw for the active controller, frame by frame, and
+// plays it back through processGamepadFrame() so every panel behaves as it did live.
+//
+// JSON format (version 1):
+//   { format, version, createdAt, device: { id, mapping, axisCount, buttonCount },
+//     frames: [{ t, timestamp, axes: [...], buttons: [[value, pressed], ...] }] }
+// t is the poll time in ms since the recording started, timestamp is gamepad.timestamp.
+//
+// Binary format (version 1, little-endian):
+//   'GPRC' | uint8 version | uint8 axisCount | uint8 buttonCount | uint8 reserved
+//   float64 createdAt | uint16 idLength | id (UTF-8) | uint16 mappingLength | mapping (UTF-8)
+//   uint32 frameCount | frames...
+//   frame: float32 t | float64 timestamp | float32 axes[] | float32 buttonValues[] | pressed bitmask
+
+function setupRecorderControls() {
+    document.getElementById('record-toggle').addEventListener('click', () => {
+        if (GamepadTester.recorder.recording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+    
+    document.getElementById('save-recording-json').addEventListener('click', () => {
+        saveRecording('json');
+    });
+    
+    document.getElementById('save-recording-binary').addEventListener('click', () => {
+        saveRecording('binary');
+    });
+    
+    // Both "Load Recording" buttons (status banner and recorder panel) share one file input
+    const fileInput = document.getElementById('recording-file');
+    document.querySelectorAll('.btn-load-recording').forEach(button => {
+        button.addEventListener('click', () => fileInput.click());
+    });
+    
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            loadRecordingFile(file);
+        }
+        // Allow re-loading the same file
+        e.target.value = '';
+    });
+    
+    // Replay transport
+    document.getElementById('replay-play').addEventListener('click', () => {
+        setReplayPlaying(!GamepadTester.replay.playing);
+    });
+    document.getElementById('replay-step-back').addEventListener('click', () => stepReplay(-1));
+    document.getElementById('replay-step-forward').addEventListener('click', () => stepReplay(1));
+    document.getElementById('replay-exit').addEventListener('click', stopReplay);
+    
+    document.getElementById('replay-seek').addEventListener('input', (e) => {
+        setReplayPlaying(false);
+        seekReplay(parseInt(e.target.value));
+    });
+    
+    document.getElementById('replay-speed').addEventListener('change', (e) => {
+        GamepadTester.replay.speed = parseFloat(e.target.value);
+    });
+}
+
+// ---------- Recording ----------
+
+function startRecording() {
+    if (GamepadTester.replay.active) {
+        showToast('Exit replay before recording', 'error');
+        return;
+    }
+    
+    const gamepad = GamepadTester.gamepads[GamepadTester.activeGamepadIndex];
+    if (!gamepad) {
+        showToast('No active gamepad', 'error');
+        return;
+    }
+    
+    GamepadTester.recorder.recording = true;
+    GamepadTester.recorder.startTime = 0;
+    GamepadTester.recorder.frames = [];
+    GamepadTester.recorder.device = {
+        id: gamepad.id,
+        mapping: gamepad.mapping,
+        axisCount: gamepad.axes.length,
+        buttonCount: gamepad.buttons.length
+    };
+    
+    updateRecorderUI();
+    showToast('Recording started', 'success');
+}
+
+function stopRecording() {
+    GamepadTester.recorder.recording = false;
+    updateRecorderUI();
+    showToast(`Recording stopped (${GamepadTester.recorder.frames.length} frames)`, 'success');
+}
+
+function recordFrame(gamepad, timestamp) {
+    const recorder = GamepadTester.recorder;
+    if (!recorder.recording) return;
+    
+    // Only record the controller the recording was started on
+    if (gamepad.id !== recorder.device.id) return;
+    
+    if (recorder.frames.length === 0) {
+        recorder.startTime = timestamp;
+    }
+    
+    recorder.frames.push(buildRecordingFrame(gamepad, timestamp - recorder.startTime));
+    
+    if (recorder.frames.length >= RECORDING_MAX_FRAMES) {
+        stopRecording();
+        showToast('Recording limit reached', 'error');
+        return;
+    }
+    
+    // Keep the counter cheap - update a few times per second at most
+    if (recorder.frames.length % 15 === 0) {
+        updateRecorderUI();
+    }
+}
+
+function buildRecordingFrame(gamepad, t) {
+    const frame = {
+        t: t,
+        timestamp: gamepad.timestamp,
+        axes: Array.from(gamepad.axes),
+        buttons: gamepad.buttons.map(button => [button.value, button.pressed ? 1 : 0])
+    };
+    
+    // Sensor data only when the browser exposed it, so other recordings are unchanged
+    const sensors = readGamepadSensors(gamepad);
+    if (sensors.motion) frame.motion = sensors.motion;
+    if (sensors.touches) frame.touches = sensors.touches;
+    
+    return frame;
+}
+
+function buildRecording() {
+    return {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        createdAt: new Date().toISOString(),
+        device: GamepadTester.recorder.device,
+        frames: GamepadTester.recorder.frames
+    };
+}
+
+function saveRecording(type) {
+    if (GamepadTester.recorder.frames.length === 0) {
+        showToast('Nothing recorded yet', 'error');
+        return;
+    }
+    
+    const recording = buildRecording();
+    const baseName = `gamepad-recording-${recording.createdAt.replace(/[:.]/g, '-')}`;
+    
+    if (type === 'binary') {
+        if (recording.frames.some(frame => frame.motion || frame.touches)) {
+            showToast('Binary recordings don\'t keep motion / touchpad data - save JSON for that', 'error');
+        }
+        downloadFile(`${baseName}.gprec`, encodeRecordingBinary(recording), 'application/octet-stream');
+    } else {
+        downloadFile(`${baseName}.json`, JSON.stringify(recording), 'application/json');
+    }
+}
+
+// ---------- Encoding ----------
+
+function encodeRecordingBinary(recording) {
+    const encoder = new TextEncoder();
+    const idBytes = encoder.encode(recording.device.id);
+    const mappingBytes = encoder.encode(recording.device.mapping || '');
+    const axisCount = recording.device.axisCount;
+    const buttonCount = recording.device.buttonCount;
+    const maskBytes = Math.ceil(buttonCount / 8);
+    
+    const headerSize = 4 + 4 + 8 + 2 + idBytes.length + 2 + mappingBytes.length + 4;
+    const frameSize = 4 + 8 + axisCount * 4 + buttonCount * 4 + maskBytes;
+    const buffer = new ArrayBuffer(headerSize + frameSize * recording.frames.length);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let offset = 0;
+    
+    // Header
+    for (let i = 0; i < 4; i++) {
+        view.setUint8(offset++, RECORDING_MAGIC.charCodeAt(i));
+    }
+    view.setUint8(offset++, RECORDING_VERSION);
+    view.setUint8(offset++, axisCount);
+    view.setUint8(offset++, buttonCount);
+    view.setUint8(offset++, 0);
+    view.setFloat64(offset, Date.parse(recording.createdAt), true);
+    offset += 8;
+    view.setUint16(offset, idBytes.length, true);
+    offset += 2;
+    bytes.set(idBytes, offset);
+    offset += idBytes.length;
+    view.setUint16(offset, mappingBytes.length, true);
+    offset += 2;
+    bytes.set(mappingBytes, offset);
+    offset += mappingBytes.length;
+    view.setUint32(offset, recording.frames.length, true);
+    offset += 4;
+    
+    // Frames
+    recording.frames.forEach(frame => {
+        view.setFloat32(offset, frame.t, true);
+        offset += 4;
+        view.setFloat64(offset, frame.timestamp, true);
+        offset += 8;
+        
+        for (let i = 0; i < axisCount; i++) {
+            view.setFloat32(offset, frame.axes[i] || 0, true);
+            offset += 4;
+        }
+        
+        for (let i = 0; i < buttonCount; i++) {
+            view.setFloat32(offset, frame.buttons[i] ? frame.buttons[i][0] : 0, true);
+            offset += 4;
+        }
+        
+        for (let i = 0; i < buttonCount; i++) {
+            if (frame.buttons[i] && frame.buttons[i][1]) {
+                bytes[offset + (i >> 3)] |= 1 << (i & 7);
+            }
+        }
+        offset += maskBytes;
+    });
+    
+    return buffer;
+}
+
+function decodeRecordingBinary(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    let offset = 4;
+    
+    const version = view.getUint8(offset++);
+    if (version > RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${version}`);
+    }
+    
+    const axisCount = view.getUint8(offset++);
+    const buttonCount = view.getUint8(offset++);
+    offset++; // reserved
+    const createdAt = new Date(view.getFloat64(offset, true));
+    offset += 8;
+    
+    const idLength = view.getUint16(offset, true);
+    offset += 2;
+    const id = decoder.decode(new Uint8Array(buffer, offset, idLength));
+    offset += idLength;
+    
+    const mappingLength = view.getUint16(offset, true);
+    offset += 2;
+    const mapping = decoder.decode(new Uint8Array(buffer, offset, mappingLength));
+    offset += mappingLength;
+    
+    const frameCount = view.getUint32(offset, true);
+    offset += 4;
+    
+    const maskBytes = Math.ceil(buttonCount / 8);
+    const frameSize = 4 + 8 + axisCount * 4 + buttonCount * 4 + maskBytes;
+    if (offset + frameCount * frameSize > buffer.byteLength) {
+        throw new Error('Recording file is truncated');
+    }
+    
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+        const t = view.getFloat32(offset, true);
+        offset += 4;
+        const timestamp = view.getFloat64(offset, true);
+        offset += 8;
+        
+        const axes = [];
+        for (let i = 0; i < axisCount; i++) {
+            axes.push(view.getFloat32(offset, true));
+            offset += 4;
+        }
+        
+        const values = [];
+        for (let i = 0; i < buttonCount; i++) {
+            values.push(view.getFloat32(offset, true));
+            offset += 4;
+        }
+        
+        const buttons = values.map((value, i) => [value, (view.getUint8(offset + (i >> 3)) >> (i & 7)) & 1]);
+        offset += maskBytes;
+        
+        frames.push({ t: t, timestamp: timestamp, axes: axes, buttons: buttons });
+    }
+    
+    return {
+        format: RECORDING_FORMAT,
+        version: version,
+        createdAt: isNaN(createdAt.getTime()) ? null : createdAt.toISOString(),
+        device: { id: id, mapping: mapping, axisCount: axisCount, buttonCount: buttonCount },
+        frames: frames
+    };
+}
+
+function parseRecording(buffer) {
+    // Binary files start with the magic bytes, anything else is treated as JSON.
+    // Both are checked the same way once decoded.
+    const head = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+    const magic = String.fromCharCode.apply(null, head);
+    const recording = magic === RECORDING_MAGIC
+        ? decodeRecordingBinary(buffer)
+        : JSON.parse(new TextDecoder().decode(buffer));
+    
+    if (recording.format !== RECORDING_FORMAT) {
+        throw new Error('Not a gamepad tester recording');
+    }
+    if (recording.version > RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${recording.version}`);
+    }
+    if (!recording.device || !Array.isArray(recording.frames)) {
+        throw new Error('Recording is missing device or frame data');
+    }
+    
+    recording.device = {
+        id: String(recording.device.id || 'Unknown device'),
+        mapping: typeof recording.device.mapping === 'string' ? recording.device.mapping : '',
+        axisCount: recording.device.axisCount,
+        buttonCount: recording.device.buttonCount
+    };
+    recording.frames = normalizeRecordingFrames(recording.frames);
+    
+    return recording;
+}
+
+function normalizeRecordingFrames(frames) {
+    // Every frame must be replayable: numeric axes, [value, pressed] button pairs and a clock
+    // that never runs backwards. Anything else is a damaged or hand-edited file.
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+    let previous = -Infinity;
+    
+    return frames.map((frame, i) => {
+        if (!frame || !isNumber(frame.t) || frame.t < previous) {
+            throw new Error(`Frame ${i} has an invalid time`);
+        }
+        if (!Array.isArray(frame.axes) || !frame.axes.every(isNumber)) {
+            throw new Error(`Frame ${i} has invalid axes`);
+        }
+        if (!Array.isArray(frame.buttons) || !frame.buttons.every(button => Array.isArray(button) && isNumber(button[0]))) {
+            throw new Error(`Frame ${i} has invalid buttons`);
+        }
+        previous = frame.t;
+        
+        const normalized = Object.assign({}, frame, {
+            timestamp: isNumber(frame.timestamp) ? frame.timestamp : frame.t,
+            axes: frame.axes.slice(),
+            buttons: frame.buttons.map(button => [clamp(button[0], 0, 1), button[1] ? 1 : 0])
+        });
+        
+        // Sensor data is optional: unusable vectors read as not reported, unusable contacts are dropped
+        if (frame.motion) {
+            normalized.motion = Object.assign({ orientation: null, angularVelocity: null, linearAcceleration: null },
+                normalizeSensorMotion(frame.motion));
+        }
+        if (frame.touches) {
+            normalized.touches = normalizeSensorTouches(frame.touches);
+        }
+        return normalized;
+    });
+}
+
+function loadRecordingFile(file) {
+    file.arrayBuffer().then(buffer => {
+        const recording = parseRecording(buffer);
+        
+        if (recording.frames.length === 0) {
+            throw new Error('Recording has no frames');
+        }
+        
+        startReplay(recording);
+        showToast(`Loaded recording: ${recording.frames.length} frames`, 'success');
+    }).catch(error => {
+        console.error('Recording load error:', error);
+        showToast(`Could not load recording: ${error.message}`, 'error');
+    });
+}
+
+// ---------- Replay ----------
+
+function startReplay(recording) {
+    if (GamepadTester.recorder.recording) {
+        stopRecording();
+    }
+    
+    // Live measurements stop - the replayed frames aren't the controller they were sampling
+    if (GamepadTester.reportRate.running) {
+        finishReportRateMeasurement();
+    }
+    cancelReactionTest();
+    
+    const replay = GamepadTester.replay;
+    replay.active = true;
+    replay.recording = recording;
+    replay.lastTimestamp = 0;
+    
+    // Replayed frames get their own statistics so live history isn't overwritten
+    delete GamepadTester.controllerStats[-1];
+    bindControllerStats(-1);
+    
+    const seek = document.getElementById('replay-seek');
+    seek.max = recording.frames.length - 1;
+    
+    showAppContent();
+    updateRecorderUI();
+    
+    // A frame the panels can't digest must not leave the app stuck in an empty replay
+    try {
+        seekReplay(0);
+    } catch (error) {
+        stopReplay();
+        throw error;
+    }
+    setReplayPlaying(true);
+}
+
+function stopReplay() {
+    const replay = GamepadTester.replay;
+    replay.active = false;
+    replay.playing = false;
+    replay.recording = null;
+    replay.frameIndex = -1;
+    
+    resetReplayPanels();
+    updateRecorderUI();
+    delete GamepadTester.controllerStats[-1];
+    
+    // Fall back to the live view, or the "no controller" state
+    if (GamepadTester.activeGamepadIndex === null) {
+        hideAppContent();
+    } else {
+        bindControllerStats(GamepadTester.activeGamepadIndex);
+    }
+}
+
+function setReplayPlaying(playing) {
+    GamepadTester.replay.playing = playing;
+    GamepadTester.replay.lastTimestamp = 0;
+    
+    // Restart from the beginning when play is pressed at the end
+    const recording = GamepadTester.replay.recording;
+    if (playing && recording && GamepadTester.replay.frameIndex >= recording.frames.length - 1) {
+        seekReplay(0);
+    }
+    
+    updateRecorderUI();
+}
+
+function advanceReplay(timestamp) {
+    const replay = GamepadTester.replay;
+    if (!replay.playing) return;
+    
+    const frames = replay.recording.frames;
+    
+    if (replay.lastTimestamp > 0) {
+        replay.position += (timestamp - replay.lastTimestamp) * replay.speed;
+    }
+    replay.lastTimestamp = timestamp;
+    
+    // Feed every recorded frame up to the playback position exactly once, in order
+    while (replay.frameIndex < frames.length - 1 && frames[replay.frameIndex + 1].t <= replay.position) {
+        replay.frameIndex++;
+        processReplayFrame(replay.frameIndex);
+    }
+    
+    if (replay.frameIndex >= frames.length - 1) {
+        setReplayPlaying(false);
+    }
+    
+    updateReplayPosition();
+}
+
+function stepReplay(direction) {
+    const replay = GamepadTester.replay;
+    if (!replay.active) return;
+    
+    setReplayPlaying(false);
+    
+    if (direction > 0) {
+        if (replay.frameIndex < replay.recording.frames.length - 1) {
+            replay.frameIndex++;
+            replay.position = replay.recording.frames[replay.frameIndex].t;
+            processReplayFrame(replay.frameIndex);
+        }
+    } else {
+        seekReplay(replay.frameIndex - 1);
+    }
+    
+    updateReplayPosition();
+}
+
+function seekReplay(frameIndex) {
+    const replay = GamepadTester.replay;
+    const frames = replay.recording.frames;
+    frameIndex = clamp(frameIndex, 0, frames.length - 1);
+    
+    // History-based panels (oscilloscope, circularity, triggers) are rebuilt from the
+    // frames within one oscilloscope screen of the seek point
+    resetReplayPanels();
+    
+    const fromTime = frames[frameIndex].t - GamepadTester.scope.timebase;
+    let firstFrame = frameIndex;
+    while (firstFrame > 0 && frames[firstFrame - 1].t >= fromTime) {
+        firstFrame--;
+    }
+    for (let i = firstFrame; i <= frameIndex; i++) {
+        processReplayFrame(i);
+    }
+    
+    replay.frameIndex = frameIndex;
+    replay.position = frames[frameIndex].t;
+    updateReplayPosition();
+}
+
+function processReplayFrame(frameIndex) {
+    const recording = GamepadTester.replay.recording;
+    const frame = recording.frames[frameIndex];
+    
+    // Rebuild a Gamepad-shaped snapshot so the panels can't tell the difference
+    const gamepad = {
+        id: recording.device.id,
+        index: -1,
+        connected: true,
+        mapping: recording.device.mapping,
+        timestamp: frame.timestamp,
+        axes: frame.axes,
+        buttons: frame.buttons.map(button => ({
+            pressed: !!button[1],
+            touched: button[0] > 0,
+            value: button[0]
+        })),
+        vibrationActuator: null,
+        replay: true
+    };
+    Object.assign(gamepad, buildSensorFields(frame.motion || null, frame.touches || null));
+    
+    // Use the recorded poll time so frame delta / polling rate match the original session
+    processGamepadFrame(gamepad, frame.t);
+}
+
+function resetReplayPanels() {
+    clearOscilloscope();
+    clearCircularity();
+    resetReturnToCenter();
+    resetTriggerTracking();
+    resetInputDisplay();
+    resetSensorPanels();
+    resetNoiseAnalysis();
+    resetButtonEdges();
+    renderButtonEdges();
+    GamepadTester.performance.lastTimestamp = 0;
+    GamepadTester.performance.frameDeltas = [];
+    GamepadTester.performance.pollingRates = [];
+}
+
+// ---------- UI ----------
+
+function updateRecorderUI() {
+    const recorder = GamepadTester.recorder;
+    const replay = GamepadTester.replay;
+    
+    const recordButton = document.getElementById('record-toggle');
+    recordButton.textContent = recorder.recording ? '■ Stop' : '● Record';
+    recordButton.classList.toggle('recording', recorder.recording);
+    
+    const hasFrames = recorder.frames.length > 0 && !recorder.recording;
+    document.getElementById('save-recording-json').disabled = !hasFrames;
+    document.getElementById('save-recording-binary').disabled = !hasFrames;
+    
+    const frames = recorder.frames;
+    const duration = frames.length > 0 ? frames[frames.length - 1].t / 1000 : 0;
+    document.getElementById('recorder-status').textContent = recorder.recording
+        ? `Recording... ${frames.length} frames (${duration.toFixed(1)} s)`
+        : frames.length > 0 ? `${frames.length} frames (${duration.toFixed(1)} s) ready to save` : 'Idle';
+    
+    document.getElementById('replay-controls').classList.toggle('hidden', !replay.active);
+    document.getElementById('replay-play').textContent = replay.playing ? '❚❚ Pause' : '▶ Play';
+    document.getElementById('app-content').classList.toggle('replaying', replay.active);
+    
+    if (replay.active) {
+        document.getElementById('replay-device').textContent = replay.recording.device.id;
+    }
+}
+
+function updateReplayPosition() {
+    const replay = GamepadTester.replay;
+    const frames = replay.recording.frames;
+    const total = frames[frames.length - 1].t / 1000;
+    
+    document.getElementById('replay-seek').value = replay.frameIndex;
+    document.getElementById('replay-position').textContent =
+        `Frame ${replay.frameIndex + 1} / ${frames.length} · ${(replay.position / 1000).toFixed(2)} s / ${total.toFixed(2)} s`;
+}
+
+// ==========================================
 // PERFORMANCE METRICS
 // ==========================================
 
-function updatePerformanceMetrics(currentTime, gamepadTimestamp) {
-    const lastTime = GamepadTester.performance.lastTimestamp;
+function updatePerformanceMetrics(currentTime, gamepadTimestamp) {
+    const lastTime = GamepadTester.performance.lastTimestamp;
+    
+    if (lastTime > 0) {
+        // Calculate frame delta (time between frames in milliseconds)
+        const frameDelta = currentTime - lastTime;
+        GamepadTester.performance.frameDeltas.push(frameDelta);
+        
+        // Keep only last 60 frames for averaging
+        if (GamepadTester.performance.frameDeltas.length > 60) {
+            GamepadTester.performance.frameDeltas.shift();
+        }
+        
+        // Calculate average frame delta
+        const avgFrameDelta = GamepadTester.performance.frameDeltas.reduce((a, b) => a + b, 0) / 
+                              GamepadTester.performance.frameDeltas.length;
+        
+        // Calculate polling rate in Hz
+        // Polling rate = 1000ms / average frame delta
+        const pollingRate = 1000 / avgFrameDelta;
+        GamepadTester.performance.pollingRates.push(pollingRate);
+        
+        // Keep only last 60 samples
+        if (GamepadTester.performance.pollingRates.length > 60) {
+            GamepadTester.performance.pollingRates.shift();
+        }
+        
+        // Calculate average polling rate
+        const avgPollingRate = GamepadTester.performance.pollingRates.reduce((a, b) => a + b, 0) / 
+                               GamepadTester.performance.pollingRates.length;
+        
+        // Update UI
+        setElementText('polling-rate', `${Math.round(avgPollingRate)} Hz`);
+        setElementText('frame-delta', `${avgFrameDelta.toFixed(2)} ms`);
+    }
+    
+    GamepadTester.performance.lastTimestamp = currentTime;
+    
+    // Update timestamp display (using gamepad's internal timestamp)
+    setElementText('timestamp-display', gamepadTimestamp.toFixed(2));
+}
+
+// ==========================================
+// REPORT RATE & INPUT LATENCY MEASUREMENT
+// ==========================================
+// The frame-based "poll loop rate" above is just the display refresh rate. This
+// measures the controller itself: every time gamepad.timestamp changes the device
+// delivered a new report. Polling happens on every animation frame and, optionally,
+// from a 1 ms interval timer so reports faster than the display can still be resolved.
+// Browsers usually only advance the timestamp when input changes, so the user keeps
+// a stick moving during the measurement.
+
+function setupReportRateControls() {
+    document.getElementById('report-rate-start').addEventListener('click', () => {
+        if (GamepadTester.reportRate.running) {
+            finishReportRateMeasurement();
+        } else {
+            startReportRateMeasurement();
+        }
+    });
+    
+    drawReportHistogram(null);
+}
+
+function startReportRateMeasurement() {
+    if (GamepadTester.replay.active || GamepadTester.activeGamepadIndex === null) {
+        showToast('Connect a live controller to measure its report rate', 'error');
+        return;
+    }
+    
+    const measurement = GamepadTester.reportRate;
+    measurement.running = true;
+    measurement.startTime = performance.now();
+    measurement.duration = parseInt(document.getElementById('report-rate-duration').value) * 1000;
+    measurement.lastTimestamp = null;
+    measurement.lastState = '';
+    measurement.intervals = [];
+    measurement.ages = [];
+    measurement.polls = 0;
+    measurement.duplicates = 0;
+    measurement.results = null;
+    
+    // Sub-frame sampling: timers are clamped by the browser, but usually land well under a frame
+    if (document.getElementById('report-rate-sampler').value === 'interval') {
+        measurement.samplerId = setInterval(() => {
+            const gamepad = readGamepads()[GamepadTester.activeGamepadIndex];
+            if (gamepad) {
+                sampleReportRate(gamepad);
+            } else if (performance.now() - measurement.startTime >= measurement.duration) {
+                finishReportRateMeasurement();
+            }
+        }, 1);
+    }
+    
+    document.getElementById('report-rate-start').textContent = 'Stop';
+    document.getElementById('report-rate-status').textContent = 'Measuring - keep moving a stick...';
+}
+
+function sampleReportRate(gamepad) {
+    const measurement = GamepadTester.reportRate;
+    if (!measurement.running) return;
+    
+    const now = performance.now();
+    measurement.polls++;
+    
+    if (gamepad.timestamp !== measurement.lastTimestamp) {
+        // A new report arrived since the last poll
+        const state = gamepad.axes.join(',') + '|' + gamepad.buttons.map(button => button.value).join(',');
+        
+        if (measurement.lastTimestamp !== null) {
+            measurement.intervals.push(gamepad.timestamp - measurement.lastTimestamp);
+            
+            // How old the report already was when we first saw it (browser delivery delay + poll wait)
+            measurement.ages.push(now - gamepad.timestamp);
+            
+            // New timestamp but identical input: the device (or driver) re-sent the same report
+            if (state === measurement.lastState) {
+                measurement.duplicates++;
+            }
+        }
+        
+        measurement.lastTimestamp = gamepad.timestamp;
+        measurement.lastState = state;
+    }
+    
+    const elapsed = now - measurement.startTime;
+    if (elapsed >= measurement.duration) {
+        finishReportRateMeasurement();
+    } else if (measurement.polls % 30 === 0) {
+        document.getElementById('report-rate-status').textContent =
+            `Measuring - keep moving a stick... ${(elapsed / 1000).toFixed(1)} s, ${measurement.intervals.length} reports`;
+    }
+}
+
+function finishReportRateMeasurement() {
+    const measurement = GamepadTester.reportRate;
+    measurement.running = false;
+    
+    if (measurement.samplerId !== null) {
+        clearInterval(measurement.samplerId);
+        measurement.samplerId = null;
+    }
+    
+    const elapsed = performance.now() - measurement.startTime;
+    measurement.results = analyzeReportIntervals(measurement.intervals, measurement.ages, {
+        polls: measurement.polls,
+        duplicates: measurement.duplicates,
+        elapsed: elapsed
+    });
+    
+    document.getElementById('report-rate-start').textContent = 'Start Measurement';
+    document.getElementById('report-rate-status').textContent = measurement.results
+        ? `Done - ${measurement.intervals.length} reports in ${(elapsed / 1000).toFixed(1)} s`
+        : 'Not enough reports - move a stick continuously while measuring';
+    
+    renderReportRateResults(measurement.results);
+}
+
+function analyzeReportIntervals(intervals, ages, counters) {
+    // Zero-length intervals can't happen for distinct reports; ignore any clock oddities
+    const valid = intervals.filter(interval => interval > 0);
+    if (valid.length < 10) return null;
+    
+    const sorted = valid.slice().sort((a, b) => a - b);
+    const percentile = (values, p) => values[Math.min(values.length - 1, Math.ceil(p * values.length) - 1)];
+    const mean = valid.reduce((a, b) => a + b, 0) / valid.length;
+    const median = percentile(sorted, 0.5);
+    const variance = valid.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / valid.length;
+    
+    // The median interval is the nominal report period; gaps of ~2x, 3x... mean reports went missing
+    let dropped = 0;
+    valid.forEach(interval => {
+        const ratio = interval / median;
+        if (ratio >= 1.5) {
+            dropped += Math.round(ratio) - 1;
+        }
+    });
+    
+    const rate = 1000 / median;
+    const nearest = STANDARD_REPORT_RATES.reduce((best, standard) => {
+        return Math.abs(Math.log(standard / rate)) < Math.abs(Math.log(best / rate)) ? standard : best;
+    });
+    
+    const sortedAges = ages.slice().sort((a, b) => a - b);
+    const pollRate = counters.polls / (counters.elapsed / 1000);
+    
+    return {
+        reports: valid.length,
+        rate: rate,
+        averageRate: 1000 / mean,
+        nearestStandard: nearest,
+        min: sorted[0],
+        average: mean,
+        median: median,
+        p99: percentile(sorted, 0.99),
+        max: sorted[sorted.length - 1],
+        jitter: Math.sqrt(variance),
+        dropped: dropped,
+        duplicates: counters.duplicates,
+        pollRate: pollRate,
+        // Reports can't be resolved if we poll slower than they arrive
+        undersampled: pollRate < rate * 1.5,
+        ageAverage: sortedAges.length > 0 ? sortedAges.reduce((a, b) => a + b, 0) / sortedAges.length : null,
+        ageP99: sortedAges.length > 0 ? percentile(sortedAges, 0.99) : null,
+        histogram: buildIntervalHistogram(sorted)
+    };
+}
+
+function buildIntervalHistogram(sorted) {
+    // Range up to a little past p99 so a few long gaps don't squash the interesting part
+    const p99 = sorted[Math.min(sorted.length - 1, Math.ceil(0.99 * sorted.length) - 1)];
+    const maxValue = Math.max(p99 * 1.25, sorted[0] * 2);
+    const binWidth = maxValue / REPORT_HISTOGRAM_BINS;
+    const bins = new Array(REPORT_HISTOGRAM_BINS).fill(0);
+    let overflow = 0;
+    
+    sorted.forEach(value => {
+        const bin = Math.floor(value / binWidth);
+        if (bin < REPORT_HISTOGRAM_BINS) {
+            bins[bin]++;
+        } else {
+            overflow++;
+        }
+    });
+    
+    return { bins: bins, binWidth: binWidth, overflow: overflow };
+}
+
+function renderReportRateResults(results) {
+    const set = (id, text) => {
+        document.getElementById(id).textContent = text;
+    };
+    const ms = (value) => value === null ? '-' : `${value.toFixed(2)} ms`;
+    
+    if (!results) {
+        ['report-rate-value', 'report-rate-intervals', 'report-rate-jitter', 'report-rate-dropped',
+         'report-rate-duplicates', 'report-rate-age', 'report-rate-polls'].forEach(id => set(id, '-'));
+        set('report-rate', '- Hz');
+        drawReportHistogram(null);
+        return;
+    }
+    
+    set('report-rate-value', `${results.rate.toFixed(0)} Hz (≈ ${results.nearestStandard} Hz)`);
+    set('report-rate-intervals', `${ms(results.min)} / ${ms(results.average)} / ${ms(results.p99)}`);
+    set('report-rate-jitter', `σ ${ms(results.jitter)}`);
+    set('report-rate-dropped', `${results.dropped}`);
+    set('report-rate-duplicates', `${results.duplicates}`);
+    set('report-rate-age', `${ms(results.ageAverage)} avg / ${ms(results.ageP99)} p99`);
+    set('report-rate-polls', `${results.pollRate.toFixed(0)} Hz${results.undersampled ? ' ⚠️ too slow to resolve reports' : ''}`);
+    
+    // Metric card at the top
+    set('report-rate', `${Math.round(results.rate)} Hz`);
+    
+    drawReportHistogram(results.histogram);
+}
+
+function drawReportHistogram(histogram) {
+    const canvas = document.getElementById('report-rate-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const bottom = height - 20;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, bottom);
+    ctx.lineTo(width, bottom);
+    ctx.stroke();
+    
+    if (!histogram) return;
+    
+    const maxCount = Math.max.apply(null, histogram.bins) || 1;
+    const barWidth = width / histogram.bins.length;
+    
+    ctx.fillStyle = '#00f3ff';
+    histogram.bins.forEach((count, i) => {
+        const barHeight = (count / maxCount) * (bottom - 10);
+        ctx.fillRect(i * barWidth + 1, bottom - barHeight, barWidth - 2, barHeight);
+    });
+    
+    // Interval axis labels
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    for (let i = 0; i <= 4; i++) {
+        const value = histogram.binWidth * histogram.bins.length * i / 4;
+        ctx.fillText(`${value.toFixed(1)} ms`, Math.min(i * width / 4, width - 60), height - 4);
+    }
+    
+    if (histogram.overflow > 0) {
+        ctx.fillStyle = '#ff3366';
+        ctx.fillText(`+${histogram.overflow} longer`, width - 90, 16);
+    }
+}
+
+// ==========================================
+// REACTION TIME & INPUT LATENCY
+// ==========================================
+// A cue appears after a random wait and the user presses the chosen button as fast as they
+// can. The cue time is taken when the cue is put on screen (or started, for sound and rumble),
+// the press time from the gamepad.timestamp of the first report with the button down, so the
+// time the browser took to hand that report to the page (polling delay) is split off from the
+// reaction itself. Display, speaker and motor lag stay in the reaction time - they're the same
+// for every controller on one machine, so runs over different connections remain comparable.
+// A press before the cue doesn't count.
+
+function setupReactionControls() {
+    document.getElementById('reaction-start').addEventListener('click', () => {
+        if (GamepadTester.reaction.running) {
+            finishReactionTest(true);
+        } else {
+            startReactionTest();
+        }
+    });
+    
+    document.getElementById('reaction-json').addEventListener('click', exportReactionJson);
+    document.getElementById('reaction-csv').addEventListener('click', exportReactionCsv);
+    document.getElementById('reaction-clear').addEventListener('click', () => {
+        GamepadTester.reaction.runs = [];
+        renderReactionRuns();
+    });
+    
+    renderReactionRuns();
+}
+
+function startReactionTest() {
+    const gamepad = getLiveGamepad();
+    if (!gamepad) {
+        showToast('Connect a live controller to measure reaction time', 'error');
+        return;
+    }
+    
+    const test = GamepadTester.reaction;
+    const cue = document.getElementById('reaction-cue-type').value;
+    
+    if (cue === 'rumble' && !gamepad.vibrationActuator) {
+        showToast('This controller has no rumble - pick another cue', 'error');
+        return;
+    }
+    if (cue === 'sound') {
+        // Created from the click so the browser allows it to play
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!test.audio && !AudioContextClass) {
+            showToast('Sound cues aren\'t supported in this browser', 'error');
+            return;
+        }
+        if (!test.audio) {
+            test.audio = new AudioContextClass();
+        }
+        test.audio.resume();
+    }
+    
+    test.running = true;
+    test.cue = cue;
+    test.button = document.getElementById('reaction-button').value;
+    test.target = parseInt(document.getElementById('reaction-trials').value);
+    test.label = document.getElementById('reaction-label').value.trim() || `Run ${test.runs.length + 1}`;
+    test.controller = GamepadTester.controllerProfile && GamepadTester.controllerProfile.name
+        ? GamepadTester.controllerProfile.name
+        : gamepad.id;
+    test.trials = [];
+    test.lastPressed = isReactionButtonPressed(gamepad);
+    
+    // Sub-frame sampling like the report-rate measurement, so the press is seen right away
+    test.samplerId = setInterval(() => {
+        const current = readGamepads()[GamepadTester.activeGamepadIndex];
+        if (current) {
+            sampleReactionTest(current);
+        }
+    }, 1);
+    
+    document.getElementById('reaction-start').textContent = 'Stop';
+    scheduleReactionTrial();
+}
+
+function cancelReactionTest() {
+    if (!GamepadTester.reaction.running) return;
+    finishReactionTest(false);
+    resetReactionCue('Press Start', '');
+}
+
+function finishReactionTest(save) {
+    const test = GamepadTester.reaction;
+    test.running = false;
+    test.phase = 'idle';
+    
+    if (test.timerId !== null) {
+        clearTimeout(test.timerId);
+        test.timerId = null;
+    }
+    if (test.samplerId !== null) {
+        clearInterval(test.samplerId);
+        test.samplerId = null;
+    }
+    
+    document.getElementById('reaction-start').textContent = 'Start';
+    
+    const stats = analyzeReactionTrials(test.trials);
+    if (!save) {
+        setReactionStatus('Cancelled');
+    } else if (!stats) {
+        resetReactionCue('Press Start', '');
+        setReactionStatus('No valid trials - run not saved');
+    } else {
+        test.runs.push({
+            label: test.label,
+            controller: test.controller,
+            cue: test.cue,
+            button: test.button,
+            trials: test.trials,
+            stats: stats
+        });
+        setReactionStatus(`${test.label}: median reaction ${stats.median.toFixed(1)} ms over ${stats.valid} trial(s)`);
+    }
+    
+    renderReactionRuns();
+}
+
+function isReactionButtonPressed(gamepad) {
+    const test = GamepadTester.reaction;
+    if (test.button === 'any') {
+        return gamepad.buttons.some(button => button.pressed);
+    }
+    
+    const button = gamepad.buttons[parseInt(test.button)];
+    return Boolean(button && button.pressed);
+}
+
+function scheduleReactionTrial() {
+    const test = GamepadTester.reaction;
+    const delay = REACTION_DELAY_MIN_MS + Math.random() * (REACTION_DELAY_MAX_MS - REACTION_DELAY_MIN_MS);
+    
+    test.phase = 'waiting';
+    test.timerId = setTimeout(showReactionCue, delay);
+    resetReactionCue('Wait for it...', '');
+    renderReactionProgress();
+}
+
+function showReactionCue() {
+    const test = GamepadTester.reaction;
+    test.timerId = null;
+    
+    if (test.cue === 'sound') {
+        test.cueTime = playReactionSound(test.audio);
+        armReactionCue();
+        return;
+    }
+    
+    if (test.cue === 'rumble') {
+        const gamepad = getLiveGamepad();
+        if (gamepad && gamepad.vibrationActuator) {
+            gamepad.vibrationActuator.playEffect('dual-rumble', {
+                startDelay: 0,
+                duration: REACTION_CUE_MS,
+                weakMagnitude: 1,
+                strongMagnitude: 1
+            }).catch(error => {
+                console.error('Reaction rumble error:', error);
+            });
+        }
+        test.cueTime = performance.now();
+        armReactionCue();
+        return;
+    }
+    
+    // Visual cues change the page inside an animation frame, so the cue time is taken right
+    // before the paint that shows it
+    requestAnimationFrame(() => {
+        if (!test.running || test.phase !== 'waiting') return;
+        
+        const panel = document.getElementById('reaction-cue');
+        if (test.cue === 'flash') {
+            panel.classList.add('go');
+            document.getElementById('reaction-cue-text').textContent = 'PRESS!';
+        } else {
+            const target = document.getElementById('reaction-target');
+            target.style.left = `${10 + Math.random() * 80}%`;
+            target.style.top = `${15 + Math.random() * 70}%`;
+            target.classList.remove('hidden');
+            document.getElementById('reaction-cue-text').textContent = '';
+        }
+        
+        test.cueTime = performance.now();
+        armReactionCue();
+    });
+}
+
+function playReactionSound(audio) {
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+    oscillator.frequency.value = 1000;
+    gain.gain.value = 0.3;
+    oscillator.connect(gain);
+    gain.connect(audio.destination);
+    oscillator.start();
+    oscillator.stop(audio.currentTime + REACTION_CUE_MS / 1000);
+    
+    // The tone leaves the speakers after the output buffer - count from then where the browser reports it
+    return performance.now() + ((audio.baseLatency || 0) + (audio.outputLatency || 0)) * 1000;
+}
+
+function armReactionCue() {
+    const test = GamepadTester.reaction;
+    test.phase = 'cue';
+    test.timerId = setTimeout(() => {
+        test.timerId = null;
+        recordReactionTrial({ result: 'miss', reaction: null, pollDelay: null, total: null, timestamped: false },
+            'Missed - too slow');
+    }, REACTION_TIMEOUT_MS);
+}
+
+function sampleReactionTest(gamepad) {
+    const test = GamepadTester.reaction;
+    if (!test.running) return;
+    
+    const pressed = isReactionButtonPressed(gamepad);
+    const edge = pressed && !test.lastPressed;
+    test.lastPressed = pressed;
+    if (!edge || (test.phase !== 'waiting' && test.phase !== 'cue')) return;
+    
+    if (test.timerId !== null) {
+        clearTimeout(test.timerId);
+        test.timerId = null;
+    }
+    
+    const early = { result: 'early', reaction: null, pollDelay: null, total: null, timestamped: false };
+    if (test.phase === 'waiting') {
+        recordReactionTrial(early, 'Too early!');
+        return;
+    }
+    
+    // gamepad.timestamp is when the report carrying the press reached the browser. Missing or
+    // implausible timestamps fall back to the time the press was seen (no polling delay then)
+    const seen = performance.now();
+    const timestamped = gamepad.timestamp > 0 && gamepad.timestamp <= seen;
+    if (timestamped && gamepad.timestamp < test.cueTime) {
+        // Pressed before a sound actually left the speakers
+        recordReactionTrial(early, 'Too early!');
+        return;
+    }
+    
+    const pressTime = timestamped ? gamepad.timestamp : seen;
+    const trial = {
+        result: 'ok',
+        reaction: pressTime - test.cueTime,
+        pollDelay: timestamped ? seen - gamepad.timestamp : null,
+        total: seen - test.cueTime,
+        timestamped: timestamped
+    };
+    recordReactionTrial(trial, `${trial.reaction.toFixed(0)} ms`);
+}
+
+function recordReactionTrial(trial, text) {
+    const test = GamepadTester.reaction;
+    test.trials.push(trial);
+    test.phase = 'pause';
+    resetReactionCue(text, trial.result);
+    renderReactionProgress();
+    
+    const valid = test.trials.filter(entry => entry.result === 'ok').length;
+    if (valid >= test.target) {
+        finishReactionTest(true);
+    } else {
+        test.timerId = setTimeout(scheduleReactionTrial, REACTION_PAUSE_MS);
+    }
+}
+
+function resetReactionCue(text, result) {
+    const panel = document.getElementById('reaction-cue');
+    panel.classList.remove('go', 'ok', 'early', 'miss');
+    if (result) {
+        panel.classList.add(result);
+    }
+    document.getElementById('reaction-target').classList.add('hidden');
+    document.getElementById('reaction-cue-text').textContent = text;
+}
+
+function setReactionStatus(text) {
+    document.getElementById('reaction-status').textContent = text;
+}
+
+function analyzeReactionTrials(trials) {
+    const valid = trials.filter(trial => trial.result === 'ok');
+    if (valid.length === 0) return null;
+    
+    const percentile = (values, p) => values[Math.min(values.length - 1, Math.ceil(p * values.length) - 1)];
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+    const reactions = valid.map(trial => trial.reaction).sort((a, b) => a - b);
+    const delays = valid.filter(trial => trial.pollDelay !== null).map(trial => trial.pollDelay).sort((a, b) => a - b);
+    const average = mean(reactions);
+    const variance = reactions.reduce((sum, value) => sum + (value - average) * (value - average), 0) / reactions.length;
+    
+    return {
+        valid: valid.length,
+        early: trials.filter(trial => trial.result === 'early').length,
+        missed: trials.filter(trial => trial.result === 'miss').length,
+        min: reactions[0],
+        median: percentile(reactions, 0.5),
+        average: average,
+        p90: percentile(reactions, 0.9),
+        spread: Math.sqrt(variance),
+        timestamped: delays.length,
+        pollDelayAverage: delays.length > 0 ? mean(delays) : null,
+        pollDelayMax: delays.length > 0 ? delays[delays.length - 1] : null
+    };
+}
+
+function renderReactionProgress() {
+    const test = GamepadTester.reaction;
+    const stats = analyzeReactionTrials(test.trials);
+    const valid = stats ? stats.valid : 0;
+    
+    document.getElementById('reaction-progress').style.width = `${Math.min(100, valid / test.target * 100)}%`;
+    setReactionStatus(stats
+        ? `${test.label}: ${valid} / ${test.target} trials · median ${stats.median.toFixed(1)} ms · ${stats.early} early, ${stats.missed} missed`
+        : `${test.label}: ${valid} / ${test.target} trials - press when the cue appears`);
+    drawReactionHistogram();
+}
+
+function renderReactionRuns() {
+    const runs = GamepadTester.reaction.runs;
+    const ms = (value) => value === null ? '-' : `${value.toFixed(1)} ms`;
+    
+    document.getElementById('reaction-runs').innerHTML = runs.map(run => {
+        const stats = run.stats;
+        const delay = stats.pollDelayAverage === null
+            ? 'No timestamps'
+            : `${ms(stats.pollDelayAverage)} / ${ms(stats.pollDelayMax)}`;
+        
+        return `
+            <tr>
+                <td>${escapeHtml(run.label)}</td>
+                <td>${escapeHtml(run.controller)}</td>
+                <td>${escapeHtml(run.cue)}</td>
+                <td>${stats.valid} / ${stats.early} / ${stats.missed}</td>
+                <td>${ms(stats.median)} / ${ms(stats.p90)}</td>
+                <td>${ms(stats.spread)}</td>
+                <td>${delay}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    document.getElementById('reaction-json').disabled = runs.length === 0;
+    document.getElementById('reaction-csv').disabled = runs.length === 0;
+    drawReactionHistogram();
+}
+
+function drawReactionHistogram() {
+    // One outline per run (plus the run in progress) on a shared millisecond axis
+    const test = GamepadTester.reaction;
+    const canvas = document.getElementById('reaction-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const bottom = height - 20;
+    const binCount = REACTION_HISTOGRAM_MAX_MS / REACTION_HISTOGRAM_BIN_MS;
+    const binWidth = width / binCount;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, bottom);
+    ctx.lineTo(width, bottom);
+    ctx.stroke();
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    for (let i = 0; i <= 6; i++) {
+        const value = REACTION_HISTOGRAM_MAX_MS * i / 6;
+        ctx.fillText(`${value} ms`, Math.min(i * width / 6, width - 50), height - 4);
+    }
+    
+    const series = test.runs.map(run => ({ label: run.label, trials: run.trials }));
+    if (test.running) {
+        series.push({ label: `${test.label} (running)`, trials: test.trials });
+    }
+    
+    series.forEach((entry, i) => {
+        const bins = new Array(binCount).fill(0);
+        entry.trials.forEach(trial => {
+            if (trial.result !== 'ok') return;
+            bins[Math.max(0, Math.min(binCount - 1, Math.floor(trial.reaction / REACTION_HISTOGRAM_BIN_MS)))]++;
+        });
+        const maxCount = Math.max.apply(null, bins) || 1;
+        const color = COMPARE_COLORS[i % COMPARE_COLORS.length];
+        
+        // Each run is scaled to its own peak so short and long runs compare by shape
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, bottom);
+        bins.forEach((count, bin) => {
+            const y = bottom - (count / maxCount) * (bottom - 30);
+            ctx.lineTo(bin * binWidth, y);
+            ctx.lineTo((bin + 1) * binWidth, y);
+        });
+        ctx.stroke();
+        
+        ctx.fillStyle = color;
+        ctx.fillText(entry.label, 8, 16 + i * 14);
+    });
+}
+
+function exportReactionJson() {
+    const data = {
+        format: REACTION_FORMAT,
+        version: REACTION_VERSION,
+        exportedAt: new Date().toISOString(),
+        runs: GamepadTester.reaction.runs
+    };
+    
+    downloadFile('reaction-times.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+function exportReactionCsv() {
+    const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const number = (value) => value === null ? '' : value.toFixed(3);
+    
+    const rows = [];
+    GamepadTester.reaction.runs.forEach(run => {
+        run.trials.forEach((trial, i) => {
+            rows.push([quote(run.label), quote(run.controller), run.cue, run.button, i + 1, trial.result,
+                number(trial.reaction), number(trial.pollDelay), number(trial.total)].join(','));
+        });
+    });
+    
+    const header = 'setup,controller,cue,button,trial,result,reaction_ms,poll_delay_ms,total_ms';
+    downloadFile('reaction-times.csv', [header].concat(rows).join('\n'), 'text/csv');
+}
+
+// ==========================================
+// VISUAL CONTROLLER UPDATE
+// ==========================================
+
+function updateVisualController(gamepad) {
+    // Non-standard devices get the every-input fallback instead of the drawn controller
+    if (GamepadTester.controllerProfile && GamepadTester.controllerProfile.layout === 'raw') {
+        updateRawLayout(gamepad);
+        return;
+    }
+    
+    // Update buttons
+    const buttonElements = getControllerButtonElements();
+    gamepad.buttons.forEach((button, index) => {
+        const buttonElement = buttonElements[index];
+        if (buttonElement) {
+            // A button is "pressed" when its value > 0.5 or pressed property is true
+            setElementClass(buttonElement, 'active', button.pressed || button.value > 0.5);
+        }
+    });
+    
+    // Update analog sticks
+    // The stick cap shows the processed output (configurable deadzone + curve),
+    // the small ring marks the raw position so the effect of the settings is visible
+    const leftRaw = { x: gamepad.axes[0] || 0, y: gamepad.axes[1] || 0 };
+    const rightRaw = { x: gamepad.axes[2] || 0, y: gamepad.axes[3] || 0 };
+    const left = processStick(leftRaw.x, leftRaw.y);
+    const right = processStick(rightRaw.x, rightRaw.y);
+    
+    // Update stick positions
+    // Each stick can move ±15px from center (adjust based on .stick-outer size)
+    const stickRange = 15;
+    
+    setElementStyle('stick-left', 'transform', `translate(${left.x * stickRange}px, ${left.y * stickRange}px)`);
+    setElementStyle('stick-right', 'transform', `translate(${right.x * stickRange}px, ${right.y * stickRange}px)`);
+    
+    setElementStyle('stick-left-raw', 'transform', `translate(${leftRaw.x * stickRange}px, ${leftRaw.y * stickRange}px)`);
+    setElementStyle('stick-right-raw', 'transform', `translate(${rightRaw.x * stickRange}px, ${rightRaw.y * stickRange}px)`);
+    
+    // Update triggers (buttons 6 and 7, or axes on some controllers)
+    // Standard mapping: LT = button[6], RT = button[7]
+    const leftTrigger = gamepad.buttons[6] ? gamepad.buttons[6].value : 0;
+    const rightTrigger = gamepad.buttons[7] ? gamepad.buttons[7].value : 0;
+    
+    setElementStyle('trigger-left-fill', 'height', `${leftTrigger * 100}%`);
+    setElementText('trigger-left-value', leftTrigger.toFixed(2));
+    
+    setElementStyle('trigger-right-fill', 'height', `${rightTrigger * 100}%`);
+    setElementText('trigger-right-value', rightTrigger.toFixed(2));
+}
+
+// ==========================================
+// RAW DATA TABLE
+// ==========================================
+
+// Rows are only built when the device's inputs or profile change; after that each frame
+// just rewrites the value and state cells whose text differs
+function updateRawDataTable(gamepad) {
+    const profile = GamepadTester.controllerProfile;
+    let table = GamepadTester.render.rawTable;
+    
+    if (!table || table.profile !== profile || table.axisCount !== gamepad.axes.length ||
+        table.buttonCount !== gamepad.buttons.length) {
+        table = buildRawDataTable(gamepad, profile);
+    }
+    
+    // Axes, with the normalized value when the device has a calibration
+    const calibration = GamepadTester.calibrations[gamepad.id];
+    gamepad.axes.forEach((value, index) => {
+        const cells = table.cells[index];
+        const calibrated = calibration ? normalizeAxis(value, calibration.axes[index]) : null;
+        setElementText(cells.value, value.toFixed(5));
+        setElementText(cells.calibrated, calibrated === null ? '-' : calibrated.toFixed(5));
+        setElementText(cells.state, Math.abs(value) > 0.05 ? 'Active' : 'Neutral');
+    });
+    
+    // Buttons
+    gamepad.buttons.forEach((button, index) => {
+        const cells = table.cells[gamepad.axes.length + index];
+        setElementText(cells.value, button.value.toFixed(5));
+        setElementText(cells.state, button.pressed ? 'Pressed' : 'Released');
+    });
+}
+
+function buildRawDataTable(gamepad, profile) {
+    const tableBody = document.getElementById('raw-data-table');
+    const row = (name) => `
+        <tr>
+            <td class="input-name">${name}</td>
+            <td class="input-value"></td>
+            <td class="input-value"></td>
+            <td class="input-state"></td>
+        </tr>
+    `;
+    
+    tableBody.innerHTML = gamepad.axes.map((value, index) => row(getAxisName(index))).join('') +
+        gamepad.buttons.map((button, index) => row(getButtonName(index))).join('');
+    
+    const table = {
+        profile: profile,
+        axisCount: gamepad.axes.length,
+        buttonCount: gamepad.buttons.length,
+        cells: Array.from(tableBody.rows).map(tr => ({ value: tr.cells[1], calibrated: tr.cells[2], state: tr.cells[3] }))
+    };
+    GamepadTester.render.rawTable = table;
+    return table;
+}
+
+// ==========================================
+// CONTROLLER INFO
+// ==========================================
+
+function updateControllerInfo(gamepad) {
+    setElementText('controller-name', gamepad.id);
+    setElementText('controller-mapping', gamepad.remapped
+        ? 'standard (learned mapping)'
+        : gamepad.mapping || 'Unknown');
+    
+    // Look the device up again only when a different controller becomes active
+    const profile = GamepadTester.controllerProfile;
+    if (!profile || profile.id !== gamepad.id || profile.mapping !== gamepad.mapping ||
+        profile.axisCount !== gamepad.axes.length || profile.buttonCount !== gamepad.buttons.length) {
+        applyControllerProfile(lookupControllerProfile(gamepad), gamepad);
+        renderMappingEditor();
+        renderCalibration();
+        renderScopeChannels(gamepad);
+    }
+    
+    // Keyboard / mouse legend is only relevant for simulated controllers
+    setElementClass('virtual-controls', 'hidden', !gamepad.virtual);
+}
+
+// ==========================================
+// CONTROLLER DATABASE LOOKUP & LAYOUTS
+// ==========================================
+
+// Vendor / product ids as reported by the browser:
+//   Chrome / Edge: "DualSense Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 0ce6)"
+//   Firefox:       "054c-0ce6-DualSense Wireless Controller"
+function parseControllerId(id) {
+    let match = /Vendor:\s*([0-9a-f]{1,4})\s+Product:\s*([0-9a-f]{1,4})/i.exec(id);
+    if (!match) {
+        match = /^([0-9a-f]{1,4})-([0-9a-f]{1,4})-/i.exec(id);
+    }
+    if (!match) return null;
+    
+    const pad = (value) => `0000${value.toLowerCase()}`.slice(-4);
+    return { vendor: pad(match[1]), product: pad(match[2]) };
+}
+
+function lookupControllerProfile(gamepad) {
+    const ids = parseControllerId(gamepad.id);
+    let entry = null;
+    let matchedBy = 'none';
+    
+    if (ids) {
+        entry = CONTROLLER_DATABASE[`${ids.vendor}:${ids.product}`] || null;
+        matchedBy = entry ? 'product' : 'none';
+        
+        if (!entry && CONTROLLER_DATABASE[ids.vendor]) {
+            entry = CONTROLLER_DATABASE[ids.vendor];
+            matchedBy = 'vendor';
+        }
+    }
+    
+    if (!entry) {
+        const byName = CONTROLLER_NAME_PATTERNS.find(item => item.pattern.test(gamepad.id));
+        if (byName) {
+            entry = { name: CONTROLLER_LAYOUTS[byName.layout].label + ' Controller', layout: byName.layout };
+            matchedBy = 'name';
+        }
+    }
+    
+    // Only the standard mapping guarantees what each index means; anything else is shown raw
+    let layout = entry ? entry.layout : 'generic';
+    if (gamepad.mapping !== 'standard') {
+        layout = 'raw';
+    }
+    
+    return {
+        id: gamepad.id,
+        mapping: gamepad.mapping,
+        axisCount: gamepad.axes.length,
+        buttonCount: gamepad.buttons.length,
+        vendor: ids ? ids.vendor : null,
+        product: ids ? ids.product : null,
+        name: entry ? entry.name : null,
+        matchedBy: matchedBy,
+        layout: layout,
+        buttons: Object.assign({}, CONTROLLER_LAYOUTS[layout].buttons, entry && entry.buttons),
+        axes: Object.assign({}, CONTROLLER_LAYOUTS[layout].axes, entry && entry.axes)
+    };
+}
+
+function getButtonName(index, profile = GamepadTester.controllerProfile) {
+    const names = profile ? profile.buttons : BUTTON_MAPPING;
+    return names[index] || `Button ${index}`;
+}
+
+function getAxisName(index, profile = GamepadTester.controllerProfile) {
+    const names = profile ? profile.axes : AXIS_MAPPING;
+    return names[index] || `Axis ${index}`;
+}
+
+function applyControllerProfile(profile, gamepad) {
+    GamepadTester.controllerProfile = profile;
+    
+    const visual = document.getElementById('controller-visual');
+    visual.className = `controller-visual layout-${profile.layout}`;
+    
+    const raw = profile.layout === 'raw';
+    visual.querySelector('.controller-body').classList.toggle('hidden', raw);
+    document.getElementById('raw-layout').classList.toggle('hidden', !raw);
+    
+    // Relabel the drawn controller with this family's glyphs
+    const glyphs = CONTROLLER_LAYOUTS[profile.layout].glyphs;
+    visual.querySelectorAll('.controller-body [data-button]').forEach(element => {
+        const glyph = glyphs[element.dataset.button];
+        if (glyph) {
+            (element.querySelector('span') || element).textContent = glyph;
+        }
+    });
+    visual.querySelector('.trigger-left .trigger-label').textContent = glyphs[6];
+    visual.querySelector('.trigger-right .trigger-label').textContent = glyphs[7];
+    
+    if (raw) {
+        buildRawLayout(gamepad, profile);
+    }
+    
+    const ids = profile.vendor ? ` (${profile.vendor}:${profile.product})` : '';
+    const known = profile.name ? `${profile.name}${ids}` : `Unknown device${ids}`;
+    document.getElementById('controller-profile').textContent = `${known} · ${CONTROLLER_LAYOUTS[profile.layout].label} layout`;
+}
+
+// Fallback layout: one bar per reported axis and one cell per reported button
+function buildRawLayout(gamepad, profile) {
+    document.getElementById('raw-layout-axes').innerHTML = gamepad.axes.map((value, index) => `
+        <div class="raw-axis">
+            <span class="raw-axis-name">${getAxisName(index, profile)}</span>
+            <div class="raw-axis-track"><div class="raw-axis-fill" id="raw-axis-${index}"></div></div>
+            <span class="raw-axis-value" id="raw-axis-value-${index}">0.000</span>
+        </div>
+    `).join('');
+    GamepadTester.render.rawLayout = null;
+    
+    document.getElementById('raw-layout-buttons').innerHTML = gamepad.buttons.map((button, index) => `
+        <div class="raw-button" id="raw-button-${index}" title="${getButtonName(index, profile)}">
+            <div class="raw-button-fill"></div>
+            <span>${index}</span>
+        </div>
+    `).join('');
+}
+
+function updateRawLayout(gamepad) {
+    // Element lookups are cached until buildRawLayout replaces the markup
+    let layout = GamepadTester.render.rawLayout;
+    if (!layout) {
+        layout = {
+            axes: gamepad.axes.map((value, index) => ({
+                fill: document.getElementById(`raw-axis-${index}`),
+                value: document.getElementById(`raw-axis-value-${index}`)
+            })),
+            buttons: gamepad.buttons.map((button, index) => {
+                const cell = document.getElementById(`raw-button-${index}`);
+                return { cell: cell, fill: cell ? cell.querySelector('.raw-button-fill') : null };
+            })
+        };
+        GamepadTester.render.rawLayout = layout;
+    }
+    
+    gamepad.axes.forEach((value, index) => {
+        const axis = layout.axes[index];
+        if (!axis || !axis.fill) return;
+        
+        // Bipolar bar growing from the center
+        setElementStyle(axis.fill, 'left', `${50 + Math.min(value, 0) * 50}%`);
+        setElementStyle(axis.fill, 'width', `${Math.abs(value) * 50}%`);
+        setElementText(axis.value, value.toFixed(3));
+    });
+    
+    gamepad.buttons.forEach((button, index) => {
+        const entry = layout.buttons[index];
+        if (!entry || !entry.cell) return;
+        
+        setElementClass(entry.cell, 'active', button.pressed);
+        setElementStyle(entry.fill, 'height', `${button.value * 100}%`);
+    });
+}
+
+// ==========================================
+// CONTROLLER REMAPPING
+// ==========================================
+// A learned mapping says where each standard control comes from on a non-standard device:
+//   buttons[i]: { type: 'button', index }             - a raw button
+//               { type: 'axis', index, rest, full }   - an axis used as a button (triggers, D-pad axes)
+//               { type: 'hat', index, value }         - one direction of a hat-switch axis
+//   axes[i]:    { index, center, range, invert }      - a raw axis, re-centred and scaled to ±1
+// remapGamepad() applies it to every snapshot, inputs the mapping doesn't use are appended
+// after the standard ones (as the W3C standard mapping does for extra inputs).
+
+function setupMappingControls() {
+    loadMappings();
+    
+    document.getElementById('mapping-learn').addEventListener('click', () => {
+        if (GamepadTester.mappingWizard.active) {
+            cancelMappingWizard();
+        } else {
+            startMappingWizard();
+        }
+    });
+    
+    document.getElementById('mapping-skip').addEventListener('click', () => {
+        // Control not present on this device
+        advanceMappingWizard(performance.now());
+    });
+    
+    document.getElementById('mapping-export').addEventListener('click', exportMapping);
+    
+    const fileInput = document.getElementById('mapping-file');
+    document.getElementById('mapping-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importMapping(file);
+        }
+        e.target.value = '';
+    });
+    
+    document.getElementById('mapping-clear').addEventListener('click', () => {
+        const gamepad = getActiveRawGamepad();
+        if (!gamepad || !GamepadTester.mappings[gamepad.id]) return;
+        
+        delete GamepadTester.mappings[gamepad.id];
+        saveMappings();
+        renderMappingEditor();
+        showToast('Mapping removed', 'success');
+    });
+    
+    renderMappingEditor();
+}
+
+function loadMappings() {
+    try {
+        const stored = localStorage.getItem(MAPPING_STORAGE_KEY);
+        const mappings = stored ? JSON.parse(stored) : {};
+        
+        // Drop sources an older import saved without checking them
+        GamepadTester.mappings = {};
+        Object.keys(mappings).forEach(id => {
+            const mapping = mappings[id];
+            if (!mapping || typeof mapping.buttons !== 'object' || typeof mapping.axes !== 'object') return;
+            GamepadTester.mappings[id] = Object.assign({}, mapping, normalizeMappingSources(mapping));
+        });
+    } catch (error) {
+        console.error('Mapping storage error:', error);
+        GamepadTester.mappings = {};
+    }
+}
+
+function saveMappings() {
+    try {
+        localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(GamepadTester.mappings));
+    } catch (error) {
+        console.error('Mapping storage error:', error);
+        showToast('Could not save mapping - browser storage unavailable', 'error');
+    }
+}
+
+function getActiveRawGamepad() {
+    if (GamepadTester.activeGamepadIndex === null) return null;
+    return readRawGamepads()[GamepadTester.activeGamepadIndex] || null;
+}
+
+function remapGamepad(gamepad) {
+    const mapping = GamepadTester.mappings[gamepad.id];
+    if (!mapping) return gamepad;
+    
+    const used = { axes: {}, buttons: {} };
+    const axes = [];
+    const buttons = [];
+    
+    for (let i = 0; i < MAPPING_STEPS.length; i++) {
+        const step = MAPPING_STEPS[i];
+        if (step.type === 'axis') {
+            axes[step.index] = readMappedAxis(gamepad, mapping.axes[step.index], used);
+        } else {
+            buttons[step.index] = readMappedButton(gamepad, mapping.buttons[step.index], used);
+        }
+    }
+    
+    gamepad.axes.forEach((value, index) => {
+        if (!used.axes[index]) axes.push(value);
+    });
+    gamepad.buttons.forEach((button, index) => {
+        if (!used.buttons[index]) buttons.push(button);
+    });
+    
+    return {
+        id: gamepad.id,
+        index: gamepad.index,
+        connected: gamepad.connected,
+        mapping: 'standard',
+        timestamp: gamepad.timestamp,
+        axes: axes,
+        buttons: buttons,
+        vibrationActuator: gamepad.vibrationActuator || null,
+        pose: gamepad.pose || null,
+        touches: gamepad.touches || null,
+        virtual: gamepad.virtual,
+        remapped: true
+    };
+}
+
+function readMappedAxis(gamepad, source, used) {
+    if (!source || gamepad.axes[source.index] === undefined) return 0;
+    
+    used.axes[source.index] = true;
+    const value = (gamepad.axes[source.index] - source.center) / (source.range || 1);
+    return clamp(source.invert ? -value : value, -1, 1);
+}
+
+function readMappedButton(gamepad, source, used) {
+    const released = { pressed: false, touched: false, value: 0 };
+    if (!source) return released;
+    
+    if (source.type === 'button') {
+        if (!gamepad.buttons[source.index]) return released;
+        used.buttons[source.index] = true;
+        return gamepad.buttons[source.index];
+    }
+    
+    const raw = gamepad.axes[source.index];
+    if (raw === undefined) return released;
+    used.axes[source.index] = true;
+    
+    if (source.type === 'hat') {
+        // Adjacent hat positions (diagonals) press both neighbouring directions
+        const position = getHatPosition(raw);
+        const target = getHatPosition(source.value);
+        const distance = Math.min(Math.abs(position - target), 8 - Math.abs(position - target));
+        const pressed = position >= 0 && target >= 0 && distance <= 1;
+        return { pressed: pressed, touched: pressed, value: pressed ? 1 : 0 };
+    }
+    
+    const value = clamp((raw - source.rest) / ((source.full - source.rest) || 1), 0, 1);
+    return { pressed: value >= 0.5, touched: value > 0, value: value };
+}
+
+// Hat switches report 8 positions evenly spaced over -1..1 (up, up-right, ... up-left)
+// and a value outside that range when centred. Returns 0-7, or -1 for centred.
+function getHatPosition(value) {
+    if (value < -1.05 || value > 1.05) return -1;
+    return Math.round((value + 1) * 7 / 2) % 8;
+}
+
+// ---------- Learn-mapping wizard ----------
+
+function startMappingWizard() {
+    const gamepad = getActiveRawGamepad();
+    if (!gamepad) {
+        showToast('Connect a controller first', 'error');
+        return;
+    }
+    
+    const wizard = GamepadTester.mappingWizard;
+    wizard.active = true;
+    wizard.gamepadIndex = gamepad.index;
+    wizard.id = gamepad.id;
+    wizard.step = 0;
+    wizard.phase = 'waiting';
+    wizard.baseline = captureMappingBaseline(gamepad);
+    wizard.candidate = null;
+    wizard.mapping = { buttons: {}, axes: {} };
+    
+    renderMappingEditor();
+}
+
+function cancelMappingWizard() {
+    GamepadTester.mappingWizard.active = false;
+    renderMappingEditor();
+    setMappingStatus('Learning cancelled - the previous mapping is unchanged', 0);
+}
+
+function captureMappingBaseline(gamepad) {
+    return {
+        axes: gamepad.axes.slice(),
+        buttons: gamepad.buttons.map(button => button.value)
+    };
+}
+
+function updateMappingWizard(timestamp) {
+    const wizard = GamepadTester.mappingWizard;
+    if (!wizard.active) return;
+    
+    const gamepad = readRawGamepads()[wizard.gamepadIndex];
+    if (!gamepad || gamepad.id !== wizard.id) {
+        cancelMappingWizard();
+        return;
+    }
+    
+    if (wizard.phase === 'settling') {
+        // Take the new rest state once everything has been let go
+        if (timestamp - wizard.phaseStart >= MAPPING_SETTLE_MS) {
+            wizard.baseline = captureMappingBaseline(gamepad);
+            wizard.phase = 'waiting';
+        }
+        return;
+    }
+    
+    if (wizard.phase === 'waiting') {
+        const candidate = detectMappingInput(gamepad, wizard.baseline, MAPPING_STEPS[wizard.step]);
+        if (candidate) {
+            wizard.candidate = candidate;
+            wizard.phase = 'holding';
+            setMappingStatus(`${MAPPING_STEPS[wizard.step].prompt} - detected ${describeMappingSource(candidate)}`, wizard.step / MAPPING_STEPS.length);
+        }
+        return;
+    }
+    
+    // Holding: follow the extreme until the input is released
+    const candidate = wizard.candidate;
+    const current = candidate.type === 'button' ? gamepad.buttons[candidate.index].value : gamepad.axes[candidate.index];
+    const rest = candidate.type === 'button' ? wizard.baseline.buttons[candidate.index] : wizard.baseline.axes[candidate.index];
+    
+    if (candidate.type !== 'hat' && Math.abs(current - rest) > Math.abs(candidate.peak - rest)) {
+        candidate.peak = current;
+    }
+    
+    if (Math.abs(current - candidate.peak) > Math.abs(candidate.peak - rest) * 0.5) {
+        recordMappingInput(wizard, candidate, gamepad);
+        advanceMappingWizard(timestamp);
+    }
+}
+
+function detectMappingInput(gamepad, baseline, step) {
+    let best = null;
+    
+    if (step.type === 'button') {
+        gamepad.buttons.forEach((button, index) => {
+            const change = button.value - (baseline.buttons[index] || 0);
+            if (change >= MAPPING_DETECT_THRESHOLD && (!best || change > best.change)) {
+                best = { type: 'button', index: index, change: change, peak: button.value };
+            }
+        });
+        if (best) return best;
+    }
+    
+    // Axes: the one that moved furthest from rest
+    gamepad.axes.forEach((value, index) => {
+        const change = Math.abs(value - baseline.axes[index]);
+        if (change >= MAPPING_DETECT_THRESHOLD && (!best || change > best.change)) {
+            best = { type: 'axis', index: index, change: change, peak: value };
+        }
+    });
+    
+    // A centred hat rests outside -1..1; its pressed value is the direction, not an extreme
+    if (best && step.type === 'button' && getHatPosition(baseline.axes[best.index]) === -1) {
+        best.type = 'hat';
+    }
+    
+    return best;
+}
+
+function recordMappingInput(wizard, candidate, gamepad) {
+    const step = MAPPING_STEPS[wizard.step];
+    const rest = wizard.baseline.axes[candidate.index];
+    
+    if (step.type === 'axis') {
+        // Sign: which way the raw axis moved when pushed in the step's direction
+        const moved = candidate.peak - rest;
+        wizard.mapping.axes[step.index] = {
+            index: candidate.index,
+            center: rest,
+            range: Math.abs(moved) || 1,
+            invert: Math.sign(moved) !== step.direction
+        };
+    } else if (candidate.type === 'button') {
+        wizard.mapping.buttons[step.index] = { type: 'button', index: candidate.index };
+    } else if (candidate.type === 'hat') {
+        wizard.mapping.buttons[step.index] = { type: 'hat', index: candidate.index, value: candidate.peak };
+    } else {
+        // Some drivers report an untouched trigger as 0 until it first moves, then -1 at rest,
+        // so the rest value is read after release rather than from the baseline
+        wizard.mapping.buttons[step.index] = {
+            type: 'axis',
+            index: candidate.index,
+            rest: gamepad.axes[candidate.index],
+            full: candidate.peak
+        };
+    }
+}
+
+function advanceMappingWizard(timestamp) {
+    const wizard = GamepadTester.mappingWizard;
+    if (!wizard.active) return;
+    
+    wizard.step++;
+    wizard.candidate = null;
+    wizard.phase = 'settling';
+    wizard.phaseStart = timestamp;
+    
+    if (wizard.step >= MAPPING_STEPS.length) {
+        finishMappingWizard();
+    } else {
+        renderMappingEditor();
+    }
+}
+
+function finishMappingWizard() {
+    const wizard = GamepadTester.mappingWizard;
+    wizard.active = false;
+    
+    GamepadTester.mappings[wizard.id] = buildMapping(wizard.id, wizard.mapping);
+    saveMappings();
+    
+    renderMappingEditor();
+    showToast('Mapping learned and saved for this controller', 'success');
+}
+
+function buildMapping(id, mapping) {
+    return {
+        format: MAPPING_FORMAT,
+        version: MAPPING_VERSION,
+        id: id,
+        createdAt: new Date().toISOString(),
+        buttons: mapping.buttons,
+        axes: mapping.axes
+    };
+}
+
+// ---------- Import / export ----------
+
+function exportMapping() {
+    const gamepad = getActiveRawGamepad();
+    const mapping = gamepad ? GamepadTester.mappings[gamepad.id] : null;
+    
+    if (!mapping) {
+        showToast('No learned mapping for this controller', 'error');
+        return;
+    }
+    
+    downloadFile('controller-mapping.json', JSON.stringify(mapping, null, 2), 'application/json');
+}
+
+function importMapping(file) {
+    file.text().then(text => {
+        const profile = JSON.parse(text);
+        
+        if (profile.format !== MAPPING_FORMAT || typeof profile.buttons !== 'object' || typeof profile.axes !== 'object') {
+            throw new Error('Not a controller mapping');
+        }
+        if (profile.version > MAPPING_VERSION) {
+            throw new Error(`Unsupported mapping version ${profile.version}`);
+        }
+        
+        // Apply to the connected controller - mappings are shared between units of the same model
+        const gamepad = getActiveRawGamepad();
+        const id = gamepad ? gamepad.id : profile.id;
+        GamepadTester.mappings[id] = buildMapping(id, normalizeMappingSources(profile));
+        saveMappings();
+        
+        renderMappingEditor();
+        showToast('Mapping imported', 'success');
+    }).catch(error => {
+        console.error('Mapping load error:', error);
+        showToast(`Could not load mapping: ${error.message}`, 'error');
+    });
+}
+
+// Keeps only the sources remapGamepad() can read, with every number it uses present
+function normalizeMappingSources(profile) {
+    const buttons = {};
+    const axes = {};
+    
+    Object.keys(profile.buttons || {}).forEach(key => {
+        const source = normalizeMappingButton(profile.buttons[key]);
+        if (source) buttons[key] = source;
+    });
+    Object.keys(profile.axes || {}).forEach(key => {
+        const source = profile.axes[key];
+        if (source && Number.isInteger(source.index)) {
+            axes[key] = {
+                index: source.index,
+                center: Number(source.center) || 0,
+                range: Number(source.range) || 1,
+                invert: !!source.invert
+            };
+        }
+    });
+    
+    return { buttons: buttons, axes: axes };
+}
+
+function normalizeMappingButton(source) {
+    if (!source || !Number.isInteger(source.index)) return null;
+    
+    if (source.type === 'button') {
+        return { type: 'button', index: source.index };
+    }
+    if (source.type === 'hat') {
+        // The hat value is the direction itself - there is no sensible default
+        const value = Number(source.value);
+        return Number.isFinite(value) ? { type: 'hat', index: source.index, value: value } : null;
+    }
+    if (source.type === 'axis') {
+        const rest = Number(source.rest);
+        const full = Number(source.full);
+        if (!Number.isFinite(rest) || !Number.isFinite(full)) return null;
+        return { type: 'axis', index: source.index, rest: rest, full: full };
+    }
+    
+    return null;
+}
+
+// ---------- UI ----------
+
+function describeMappingSource(source) {
+    if (!source) return 'not mapped';
+    if (source.type === 'button') return `Button ${source.index}`;
+    if (source.type === 'hat') return `Hat axis ${source.index} (${formatMappingNumber(source.value)})`;
+    if (source.type === 'axis') return `Axis ${source.index} (${formatMappingNumber(source.rest)} → ${formatMappingNumber(source.full)})`;
+    
+    // Stick axis
+    return `Axis ${source.index}${source.invert ? ' inverted' : ''} (center ${formatMappingNumber(source.center)}, range ${formatMappingNumber(source.range)})`;
+}
+
+function formatMappingNumber(value) {
+    return typeof value === 'number' && isFinite(value) ? value.toFixed(2) : '?';
+}
+
+function setMappingStatus(message, progress) {
+    document.getElementById('mapping-status').textContent = message;
+    document.getElementById('mapping-progress').style.width = `${clamp(progress, 0, 1) * 100}%`;
+}
+
+function renderMappingEditor() {
+    const wizard = GamepadTester.mappingWizard;
+    const gamepad = getActiveRawGamepad();
+    const saved = gamepad ? GamepadTester.mappings[gamepad.id] : null;
+    const mapping = wizard.active ? wizard.mapping : saved;
+    
+    document.getElementById('mapping-learn').textContent = wizard.active ? 'Cancel' : 'Learn Mapping';
+    document.getElementById('mapping-skip').disabled = !wizard.active;
+    
+    if (wizard.active) {
+        setMappingStatus(`Step ${wizard.step + 1} / ${MAPPING_STEPS.length}: ${MAPPING_STEPS[wizard.step].prompt} (Skip if the control doesn't exist)`,
+            wizard.step / MAPPING_STEPS.length);
+    } else if (!gamepad) {
+        setMappingStatus('Connect a controller to learn its mapping.', 0);
+    } else if (saved) {
+        setMappingStatus('Learned mapping active - every panel reads the remapped inputs.', 1);
+    } else if (gamepad.mapping !== 'standard') {
+        setMappingStatus('This controller has no standard mapping - press Learn Mapping to teach the tester its layout.', 0);
+    } else {
+        setMappingStatus('Standard mapping reported by the browser - learning a mapping is optional.', 0);
+    }
+    
+    document.getElementById('mapping-table').innerHTML = MAPPING_STEPS.map((step, i) => {
+        const source = mapping ? (step.type === 'axis' ? mapping.axes[step.index] : mapping.buttons[step.index]) : null;
+        const name = step.type === 'axis' ? AXIS_MAPPING[step.index] : BUTTON_MAPPING[step.index];
+        const current = wizard.active && i === wizard.step ? ' class="mapping-current"' : '';
+        
+        return `
+            <tr${current}>
+                <td class="input-name">${name}</td>
+                <td class="input-value">${describeMappingSource(source)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ==========================================
+// STICK RANGE CALIBRATION
+// ==========================================
+// Two phases: the resting position of every axis is averaged while hands are off, then the
+// user sweeps the sticks around their gates while the extremes are recorded. The profile
+// normalizes each side of an axis separately:
+//   calibrated = clamp((value + offset) * (value >= center ? scalePositive : scaleNegative), -1, 1)
+// with offset = -center. A side that wasn't moved has a null scale and passes through.
+// While a stick axis is pinned at ±1 the other axis of that stick keeps moving along the gate -
+// how far it gets is the width of the flat region, i.e. how early the axis saturates.
+
+function setupCalibrationControls() {
+    loadCalibrations();
+    
+    document.getElementById('calibration-start').addEventListener('click', () => {
+        if (GamepadTester.calibration.phase === 'idle') {
+            startCalibration();
+        } else {
+            cancelCalibration();
+        }
+    });
+    
+    document.getElementById('calibration-finish').addEventListener('click', finishCalibration);
+    document.getElementById('calibration-export').addEventListener('click', exportCalibration);
+    
+    const fileInput = document.getElementById('calibration-file');
+    document.getElementById('calibration-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importCalibration(file);
+        }
+        e.target.value = '';
+    });
+    
+    document.getElementById('calibration-clear').addEventListener('click', () => {
+        const gamepad = getActiveRawGamepad();
+        if (!gamepad || !GamepadTester.calibrations[gamepad.id]) return;
+        
+        delete GamepadTester.calibrations[gamepad.id];
+        saveCalibrations();
+        renderCalibration();
+        redrawCalibrationPreview();
+        showToast('Calibration removed', 'success');
+    });
+    
+    renderCalibration();
+}
+
+function loadCalibrations() {
+    try {
+        const stored = localStorage.getItem(CALIBRATION_STORAGE_KEY);
+        const calibrations = stored ? JSON.parse(stored) : {};
+        
+        // Entries saved before import was checked (or edited by hand) go through the same checks
+        GamepadTester.calibrations = {};
+        Object.keys(calibrations).forEach(id => {
+            const calibration = calibrations[id];
+            if (!calibration || !Array.isArray(calibration.axes)) return;
+            GamepadTester.calibrations[id] = normalizeCalibration(calibration, id, CALIBRATION_MAX_AXES);
+        });
+    } catch (error) {
+        console.error('Calibration storage error:', error);
+        GamepadTester.calibrations = {};
+    }
+}
+
+function saveCalibrations() {
+    try {
+        localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(GamepadTester.calibrations));
+    } catch (error) {
+        console.error('Calibration storage error:', error);
+        showToast('Could not save calibration - browser storage unavailable', 'error');
+    }
+}
+
+// Calibration of the device on screen (live or replayed), used by the previews
+function getActiveCalibration() {
+    const profile = GamepadTester.controllerProfile;
+    return profile ? GamepadTester.calibrations[profile.id] || null : null;
+}
+
+// Returns null when the axis has no calibration
+function normalizeAxis(value, axis) {
+    if (!axis) return null;
+    
+    const offset = value + axis.offset;
+    const scale = offset >= 0 ? axis.scalePositive : axis.scaleNegative;
+    if (scale === null) return value;
+    
+    return clamp(offset * scale, -1, 1);
+}
+
+function startCalibration() {
+    const gamepad = getActiveRawGamepad();
+    if (GamepadTester.replay.active || !gamepad) {
+        showToast('Connect a live controller to calibrate it', 'error');
+        return;
+    }
+    
+    const run = GamepadTester.calibration;
+    run.phase = 'centering';
+    run.phaseStart = 0; // Set on the first processed frame
+    run.gamepadId = gamepad.id;
+    run.axes = [];
+    
+    renderCalibration();
+}
+
+function cancelCalibration() {
+    if (GamepadTester.calibration.phase === 'idle') return;
+    
+    GamepadTester.calibration.phase = 'idle';
+    renderCalibration();
+    setCalibrationStatus('Calibration cancelled', 0);
+}
+
+function createCalibrationAxis() {
+    return { sum: 0, count: 0, min: 0, max: 0, pinned: { positive: null, negative: null } };
+}
+
+function updateCalibration(gamepad, timestamp) {
+    const run = GamepadTester.calibration;
+    if (run.phase === 'idle' || gamepad.id !== run.gamepadId) return;
+    
+    if (run.phaseStart === 0) {
+        run.phaseStart = timestamp;
+    }
+    
+    if (run.phase === 'centering') {
+        // A stick that is being held would skew the centre - start over
+        const touched = [0, 2].some(offset => {
+            const x = gamepad.axes[offset] || 0;
+            const y = gamepad.axes[offset + 1] || 0;
+            return Math.sqrt(x * x + y * y) > DRIFT_TOUCH_RADIUS;
+        });
+        if (touched) {
+            run.phaseStart = timestamp;
+            run.axes = [];
+            setCalibrationStatus('Stick moved - let go of both sticks...', 0);
+            return;
+        }
+        
+        gamepad.axes.forEach((value, index) => {
+            if (!run.axes[index]) {
+                run.axes[index] = createCalibrationAxis();
+            }
+            run.axes[index].sum += value;
+            run.axes[index].count++;
+        });
+        
+        const elapsed = timestamp - run.phaseStart;
+        setCalibrationStatus('Measuring the centre - let go of both sticks...', elapsed / CALIBRATION_CENTER_MS);
+        
+        if (elapsed >= CALIBRATION_CENTER_MS) {
+            run.phase = 'ranging';
+            run.phaseStart = timestamp;
+            run.axes.forEach(axis => {
+                axis.min = axis.sum / axis.count;
+                axis.max = axis.min;
+            });
+            renderCalibration();
+        }
+        return;
+    }
+    
+    // Ranging: extremes of every axis, plus the other stick axis' travel while one is pinned
+    gamepad.axes.forEach((value, index) => {
+        const axis = run.axes[index];
+        if (!axis) return;
+        
+        axis.min = Math.min(axis.min, value);
+        axis.max = Math.max(axis.max, value);
+        
+        const other = index < 4 ? gamepad.axes[index ^ 1] : undefined;
+        if (other === undefined || Math.abs(value) < CALIBRATION_SATURATION) return;
+        
+        const side = value > 0 ? 'positive' : 'negative';
+        const range = axis.pinned[side];
+        axis.pinned[side] = range
+            ? { min: Math.min(range.min, other), max: Math.max(range.max, other) }
+            : { min: other, max: other };
+    });
+    
+    // Progress: stick axis ends that have been pushed far enough
+    const ends = run.axes.slice(0, 4);
+    const reached = ends.reduce((count, axis) =>
+        count + (axis.max >= CALIBRATION_MIN_REACH ? 1 : 0) + (axis.min <= -CALIBRATION_MIN_REACH ? 1 : 0), 0);
+    setCalibrationStatus('Rotate both sticks around the edge of their gates a few times (and push any other axes to both ends), then press Finish',
+        ends.length > 0 ? reached / (ends.length * 2) : 1);
+    
+    renderCalibrationTable(buildCalibration(run.gamepadId, run.axes));
+}
+
+function finishCalibration() {
+    const run = GamepadTester.calibration;
+    if (run.phase !== 'ranging') return;
+    
+    const calibration = buildCalibration(run.gamepadId, run.axes);
+    GamepadTester.calibrations[run.gamepadId] = calibration;
+    saveCalibrations();
+    run.phase = 'idle';
+    
+    renderCalibration();
+    redrawCalibrationPreview();
+    
+    const warnings = calibration.axes.filter(axis => axis && describeCalibrationWarnings(axis).length > 0).length;
+    showToast(warnings > 0 ? `Calibration saved - ${warnings} axis warning${warnings === 1 ? '' : 's'}` : 'Calibration saved', 'success');
+}
+
+function buildCalibration(id, axes) {
+    const profile = GamepadTester.controllerProfile;
+    
+    return {
+        format: CALIBRATION_FORMAT,
+        version: CALIBRATION_VERSION,
+        id: id,
+        name: profile && profile.id === id ? profile.name : null,
+        createdAt: new Date().toISOString(),
+        axes: axes.map((axis, index) => {
+            const center = axis.count > 0 ? axis.sum / axis.count : 0;
+            const scale = (extent) => Math.abs(extent - center) >= CALIBRATION_MIN_SPAN ? 1 / Math.abs(extent - center) : null;
+            const flat = (range) => range ? range.max - range.min : null;
+            
+            return {
+                index: index,
+                min: axis.min,
+                center: center,
+                max: axis.max,
+                offset: -center,
+                scaleNegative: scale(axis.min),
+                scalePositive: scale(axis.max),
+                flat: { negative: flat(axis.pinned.negative), positive: flat(axis.pinned.positive) }
+            };
+        })
+    };
+}
+
+function describeCalibrationWarnings(axis) {
+    const warnings = [];
+    
+    [['negative', '-', axis.min, axis.scaleNegative], ['positive', '+', axis.max, axis.scalePositive]].forEach(side => {
+        if (side[3] === null) {
+            warnings.push(`${side[1]} side not moved`);
+        } else if (Math.abs(side[2]) < CALIBRATION_MIN_REACH) {
+            warnings.push(`Only reaches ${side[2].toFixed(3)}`);
+        }
+        
+        const flat = axis.flat[side[0]];
+        if (flat !== null && flat > CALIBRATION_FLAT_SPAN) {
+            warnings.push(`Saturates early at ${side[1]}1 (flat for ${flat.toFixed(2)} of the other axis)`);
+        }
+    });
+    
+    return warnings;
+}
+
+// Redraw what previews the calibration outside of the frame loop
+function redrawCalibrationPreview() {
+    const canvas = document.getElementById('circularity-canvas');
+    drawCircularityTest(canvas.getContext('2d'), canvas.width, canvas.height);
+}
+
+// ---------- Import / export ----------
+
+function exportCalibration() {
+    const gamepad = getActiveRawGamepad();
+    const calibration = gamepad ? GamepadTester.calibrations[gamepad.id] : null;
+    
+    if (!calibration) {
+        showToast('No calibration for this controller', 'error');
+        return;
+    }
+    
+    downloadFile('stick-calibration.json', JSON.stringify(calibration, null, 2), 'application/json');
+}
+
+function importCalibration(file) {
+    file.text().then(text => {
+        const profile = JSON.parse(text);
+        
+        if (profile.format !== CALIBRATION_FORMAT || !Array.isArray(profile.axes)) {
+            throw new Error('Not a stick calibration');
+        }
+        if (profile.version > CALIBRATION_VERSION) {
+            throw new Error(`Unsupported calibration version ${profile.version}`);
+        }
+        
+        // Apply to the connected controller - calibrations of one unit are a starting point for the model
+        const gamepad = getActiveRawGamepad();
+        const id = gamepad ? gamepad.id : profile.id;
+        GamepadTester.calibrations[id] = normalizeCalibration(profile, id, gamepad ? gamepad.axes.length : CALIBRATION_MAX_AXES);
+        saveCalibrations();
+        
+        renderCalibration();
+        redrawCalibrationPreview();
+        showToast('Calibration imported', 'success');
+    }).catch(error => {
+        console.error('Calibration load error:', error);
+        showToast(`Could not load calibration: ${error.message}`, 'error');
+    });
+}
+
+// Rebuilds a calibration with every number normalizeAxis() reads. Axes at or above axisLimit
+// (ones the controller doesn't have) are dropped - a huge index would build a huge sparse array.
+function normalizeCalibration(profile, id, axisLimit) {
+    const number = (value, fallback) => typeof value === 'number' && isFinite(value) ? value : fallback;
+    const scale = (value) => typeof value === 'number' && isFinite(value) && value > 0 ? value : null;
+    const span = (value) => typeof value === 'number' && isFinite(value) && value >= 0 ? value : null;
+    
+    const axes = [];
+    profile.axes.forEach(axis => {
+        if (!axis || !Number.isInteger(axis.index) || axis.index < 0 || axis.index >= axisLimit) return;
+        
+        const center = number(axis.center, 0);
+        const flat = axis.flat || {};
+        axes[axis.index] = {
+            index: axis.index,
+            min: number(axis.min, -1),
+            center: center,
+            max: number(axis.max, 1),
+            offset: -center,
+            scaleNegative: scale(axis.scaleNegative),
+            scalePositive: scale(axis.scalePositive),
+            flat: { negative: span(flat.negative), positive: span(flat.positive) }
+        };
+    });
+    
+    return {
+        format: CALIBRATION_FORMAT,
+        version: CALIBRATION_VERSION,
+        id: id,
+        name: typeof profile.name === 'string' ? profile.name : null,
+        createdAt: typeof profile.createdAt === 'string' ? profile.createdAt : new Date().toISOString(),
+        axes: axes
+    };
+}
+
+// ---------- UI ----------
+
+function setCalibrationStatus(message, progress) {
+    setElementText('calibration-status', message);
+    setElementStyle('calibration-progress', 'width', `${clamp(progress, 0, 1) * 100}%`);
+}
+
+function renderCalibration() {
+    const run = GamepadTester.calibration;
+    const gamepad = getActiveRawGamepad();
+    const saved = gamepad ? GamepadTester.calibrations[gamepad.id] : null;
+    
+    document.getElementById('calibration-start').textContent = run.phase === 'idle' ? 'Start Calibration' : 'Cancel';
+    document.getElementById('calibration-finish').disabled = run.phase !== 'ranging';
+    
+    if (run.phase !== 'idle') {
+        if (run.phase === 'centering') {
+            setCalibrationStatus('Measuring the centre - let go of both sticks...', 0);
+        }
+        renderCalibrationTable(run.phase === 'ranging' ? buildCalibration(run.gamepadId, run.axes) : null);
+        return;
+    }
+    
+    if (!gamepad) {
+        setCalibrationStatus('Connect a controller to calibrate its axes.', 0);
+    } else if (saved) {
+        const warnings = saved.axes.filter(axis => axis && describeCalibrationWarnings(axis).length > 0).length;
+        setCalibrationStatus(warnings > 0
+            ? `Calibration active - ${warnings} axis warning${warnings === 1 ? '' : 's'}, see below.`
+            : 'Calibration active - calibrated values shown in the raw table and on the circularity plot.', 1);
+    } else {
+        setCalibrationStatus('No calibration for this controller - press Start Calibration to measure its axis ranges.', 0);
+    }
+    
+    renderCalibrationTable(saved);
+}
+
+function renderCalibrationTable(calibration) {
+    if (!calibration) {
+        setElementHtml('calibration-table', '');
+        return;
+    }
+    
+    const format = (value) => value === null ? '-' : value.toFixed(3);
+    
+    setElementHtml('calibration-table', calibration.axes.map(axis => {
+        if (!axis) return '';
+        
+        const warnings = describeCalibrationWarnings(axis);
+        return `
+            <tr>
+                <td class="input-name">${escapeHtml(getAxisName(axis.index))}</td>
+                <td class="input-value">${format(axis.min)}</td>
+                <td class="input-value">${format(axis.center)}</td>
+                <td class="input-value">${format(axis.max)}</td>
+                <td class="input-value">${format(axis.scaleNegative)} / ${format(axis.scalePositive)}</td>
+                <td class="input-state${warnings.length > 0 ? ' calibration-warning' : ''}">${warnings.length > 0 ? escapeHtml(warnings.join('; ')) : 'OK'}</td>
+            </tr>
+        `;
+    }).join(''));
+}
+
+// ==========================================
+// TRIGGER PRESSURE ANALYZER
+// ==========================================
+
+function updateTriggerPressure(gamepad) {
+    // Get trigger values
+    const leftTrigger = gamepad.buttons[6] ? gamepad.buttons[6].value : 0;
+    const rightTrigger = gamepad.buttons[7] ? gamepad.buttons[7].value : 0;
+    
+    // Update pressure bars
+    setElementStyle('pressure-bar-left', 'width', `${leftTrigger * 100}%`);
+    setElementText('pressure-label-left', leftTrigger.toFixed(5));
+    
+    setElementStyle('pressure-bar-right', 'width', `${rightTrigger * 100}%`);
+    setElementText('pressure-label-right', rightTrigger.toFixed(5));
+    
+    // Track distinct values for resolution calculation
+    // The spacing between adjacent values reveals 8-bit (1/255), 10-bit (1/1023) or digital-only triggers,
+    // which - unlike counting values - doesn't depend on how much of the travel was covered
+    [['left', leftTrigger], ['right', rightTrigger]].forEach(pair => {
+        const tracking = GamepadTester.triggerTracking;
+        
+        if (trackTriggerValue(tracking, pair[0], pair[1])) {
+            document.getElementById(`resolution-${pair[0]}`).textContent = describeQuantization(tracking.estimates[pair[0]]);
+        }
+    });
+}
+
+// Returns true when the value hadn't been seen before (and the side's estimate was redone)
+function trackTriggerValue(tracking, side, value) {
+    const values = tracking[side];
+    if (values.has(value) || values.size >= TRIGGER_DISTINCT_LIMIT) return false;
+    
+    values.add(value);
+    tracking.estimates[side] = estimateQuantization(values, 1);
+    return true;
+}
+
+function resetTriggerTracking() {
+    GamepadTester.triggerTracking.left.clear();
+    GamepadTester.triggerTracking.right.clear();
+    GamepadTester.triggerTracking.estimates = { left: null, right: null };
+    
+    document.getElementById('resolution-left').textContent = '- steps';
+    document.getElementById('resolution-right').textContent = '- steps';
+}
+
+// Estimate the quantization step of an analog input from the distinct values it reported.
+// range is the full span of the input (1 for triggers, 2 for axes).
+function estimateQuantization(values, range) {
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    if (sorted.length < 2) return null;
+    
+    // Only the two extremes ever reported: an on/off input with no analog travel
+    if (sorted.length === 2 && sorted[0] <= 0.001 && sorted[1] >= 0.999) {
+        return { digital: true, levels: 2, step: range, bits: 1, distinct: 2 };
+    }
+    
+    // Adjacent reported levels are one step apart, fast movements skip levels (multiples of the step).
+    // The smallest spacing that occurs repeatedly is the step; a lone tiny gap is a float artefact.
+    const diffs = [];
+    for (let i = 1; i < sorted.length; i++) {
+        const diff = sorted[i] - sorted[i - 1];
+        if (diff > 1e-7) diffs.push(diff);
+    }
+    
+    const counts = {};
+    diffs.forEach(diff => {
+        const key = diff.toFixed(6);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    
+    const candidates = Object.keys(counts).map(Number).sort((a, b) => a - b);
+    const repeated = candidates.find(diff => counts[diff.toFixed(6)] >= 2);
+    const base = repeated !== undefined ? repeated : candidates[0];
+    
+    // Refine with every spacing close to the base estimate
+    const close = diffs.filter(diff => Math.abs(diff - base) <= base * 0.1);
+    const step = close.reduce((a, b) => a + b, 0) / close.length;
+    const levels = Math.round(range / step);
+    
+    return {
+        digital: false,
+        step: step,
+        levels: levels + 1,
+        bits: Math.log2(levels + 1),
+        distinct: sorted.length
+    };
+}
+
+function describeQuantization(estimate) {
+    if (!estimate) return '- steps';
+    if (estimate.digital) return 'Digital only (on/off)';
+    
+    const roundedBits = Math.round(estimate.bits);
+    const label = Math.abs(estimate.bits - roundedBits) < 0.05 ? `${roundedBits}-bit` : `~${estimate.levels} levels`;
+    
+    return `${label} (step ${estimate.step.toFixed(5)}, ${estimate.distinct} seen)`;
+}
+
+// ==========================================
+// TRIGGER SLOW-PULL TEST (Linearity & Resolution)
+// ==========================================
+// The user releases the trigger, then follows an on-screen guide that sweeps from
+// 0 to 100% at a steady pace. Comparing the reported value with the guide position
+// shows dead travel at either end, linearity and sticky spots; the distinct values
+// reveal the real quantization step.
+
+function setupTriggerTestControls() {
+    document.getElementById('trigger-test-start').addEventListener('click', () => {
+        const phase = GamepadTester.triggerTest.phase;
+        if (phase === 'ready' || phase === 'pull' || phase === 'hold') {
+            cancelTriggerTest();
+        } else {
+            startTriggerTest();
+        }
+    });
+    
+    document.getElementById('trigger-test-reset').addEventListener('click', () => {
+        cancelTriggerTest();
+        resetTriggerTracking();
+        GamepadTester.triggerTest.samples = [];
+        GamepadTester.triggerTest.results = null;
+        renderTriggerTestResults(null);
+        drawTriggerTestGraph();
+    });
+    
+    drawTriggerTestGraph();
+}
+
+function startTriggerTest() {
+    const test = GamepadTester.triggerTest;
+    test.trigger = document.getElementById('trigger-test-select').value;
+    test.phase = 'ready';
+    test.phaseStart = 0; // Set on the first processed frame
+    test.startTime = 0;
+    test.restSamples = [];
+    test.samples = [];
+    test.results = null;
+    
+    document.getElementById('trigger-test-start').textContent = 'Cancel';
+    renderTriggerTestResults(null);
+    setTriggerTestStatus('Release the trigger completely...', 0);
+}
+
+function cancelTriggerTest() {
+    const test = GamepadTester.triggerTest;
+    if (test.phase === 'idle' || test.phase === 'done') return;
+    
+    test.phase = 'idle';
+    document.getElementById('trigger-test-start').textContent = 'Start Slow-Pull Test';
+    setTriggerTestStatus('Test cancelled', 0);
+}
+
+function updateTriggerTest(gamepad, timestamp) {
+    const test = GamepadTester.triggerTest;
+    if (test.phase !== 'ready' && test.phase !== 'pull' && test.phase !== 'hold') return;
+    
+    const button = gamepad.buttons[test.trigger === 'left' ? 6 : 7];
+    const value = button ? button.value : 0;
+    
+    if (test.phaseStart === 0) {
+        test.phaseStart = timestamp;
+    }
+    const elapsed = timestamp - test.phaseStart;
+    
+    if (test.phase === 'ready') {
+        test.restSamples.push(value);
+        setTriggerTestStatus(`Release the trigger completely... pull starts in ${Math.ceil((TRIGGER_TEST_READY_MS - elapsed) / 1000)}`, 0);
+        
+        if (elapsed >= TRIGGER_TEST_READY_MS) {
+            test.phase = 'pull';
+            test.phaseStart = timestamp;
+            test.startTime = timestamp;
+        }
+        return;
+    }
+    
+    // Guide position: sweeps 0 -> 1 during the pull, stays at 1 while holding
+    const guide = test.phase === 'pull' ? Math.min(1, elapsed / TRIGGER_TEST_PULL_MS) : 1;
+    test.samples.push({ t: timestamp - test.startTime, guide: guide, value: value });
+    
+    if (test.phase === 'pull') {
+        setTriggerTestStatus('Follow the guide - pull slowly and steadily', guide);
+        
+        if (elapsed >= TRIGGER_TEST_PULL_MS) {
+            test.phase = 'hold';
+            test.phaseStart = timestamp;
+        }
+    } else {
+        setTriggerTestStatus('Hold fully pulled...', 1);
+        
+        if (elapsed >= TRIGGER_TEST_HOLD_MS) {
+            finishTriggerTest();
+        }
+    }
+    
+    drawTriggerTestGraph();
+}
+
+function finishTriggerTest() {
+    const test = GamepadTester.triggerTest;
+    test.phase = 'done';
+    test.results = analyzeTriggerPull(test.samples, test.restSamples);
+    
+    document.getElementById('trigger-test-start').textContent = 'Start Slow-Pull Test';
+    setTriggerTestStatus(test.results ? 'Test complete - release the trigger' : 'The trigger never moved - try again', 1);
+    renderTriggerTestResults(test.results);
+    drawTriggerTestGraph();
+}
+
+function analyzeTriggerPull(samples, restSamples) {
+    if (samples.length === 0) return null;
+    
+    const values = samples.map(sample => sample.value);
+    const rest = restSamples.length > 0 ? restSamples.reduce((a, b) => a + b, 0) / restSamples.length : 0;
+    const min = Math.min.apply(null, values);
+    const max = Math.max.apply(null, values);
+    const quantization = estimateQuantization(new Set(values.concat(restSamples)), 1);
+    
+    // A change smaller than half a step can't be real movement
+    const epsilon = quantization && !quantization.digital ? quantization.step / 2 : 0.001;
+    
+    const first = samples.find(sample => sample.value > rest + epsilon);
+    if (!first) return null;
+    
+    const full = samples.find(sample => sample.value >= max - epsilon);
+    const startDeadTravel = first.guide;
+    const endDeadTravel = Math.max(0, 1 - full.guide);
+    
+    // Linearity: compare the ramp against a straight line between the two ends of live travel
+    const span = 1 - endDeadTravel - startDeadTravel;
+    let maxDeviation = 0;
+    if (span > 0 && max > rest) {
+        samples.forEach(sample => {
+            if (sample.guide <= startDeadTravel || sample.guide >= 1 - endDeadTravel) return;
+            
+            const expected = rest + (max - rest) * (sample.guide - startDeadTravel) / span;
+            maxDeviation = Math.max(maxDeviation, Math.abs(sample.value - expected) / (max - rest));
+        });
+    }
+    
+    return {
+        rest: rest,
+        min: min,
+        max: max,
+        startDeadTravel: startDeadTravel,
+        endDeadTravel: endDeadTravel,
+        linearityError: maxDeviation * 100,
+        stickySpots: findStickySpots(samples.slice(samples.indexOf(first), samples.indexOf(full) + 1)),
+        quantization: quantization,
+        resolution: describeQuantization(quantization)
+    };
+}
+
+function findStickySpots(ramp) {
+    // During a steady pull every level should be held for a similar time; levels held much
+    // longer than typical mid-travel are sticky spots (worn potentiometer tracks, binding)
+    const runs = [];
+    let runStart = 0;
+    
+    for (let i = 1; i <= ramp.length; i++) {
+        if (i === ramp.length || ramp[i].value !== ramp[runStart].value) {
+            runs.push({ value: ramp[runStart].value, duration: ramp[i - 1].t - ramp[runStart].t });
+            runStart = i;
+        }
+    }
+    
+    if (runs.length < 3) return [];
+    
+    const durations = runs.map(run => run.duration).sort((a, b) => a - b);
+    const median = durations[Math.floor(durations.length / 2)];
+    const limit = Math.max(median * 4, 150);
+    
+    return runs.filter(run => run.duration > limit);
+}
+
+function setTriggerTestStatus(message, progress) {
+    document.getElementById('trigger-test-status').textContent = message;
+    document.getElementById('trigger-test-progress').style.width = `${clamp(progress, 0, 1) * 100}%`;
+}
+
+function renderTriggerTestResults(results) {
+    const set = (id, text) => {
+        document.getElementById(id).textContent = text;
+    };
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+    
+    if (!results) {
+        ['trigger-test-range', 'trigger-test-dead', 'trigger-test-linearity', 'trigger-test-sticky',
+         'trigger-test-resolution'].forEach(id => set(id, '-'));
+        return;
+    }
+    
+    set('trigger-test-range', `${results.min.toFixed(4)} – ${results.max.toFixed(4)}`);
+    set('trigger-test-dead', `start ${percent(results.startDeadTravel)} / end ${percent(results.endDeadTravel)}`);
+    set('trigger-test-linearity', `max deviation ${results.linearityError.toFixed(1)}%`);
+    set('trigger-test-sticky', results.stickySpots.length === 0 ? 'None' :
+        results.stickySpots.map(spot => `${spot.value.toFixed(3)} (${Math.round(spot.duration)} ms)`).join(', '));
+    set('trigger-test-resolution', results.resolution);
+}
+
+function drawTriggerTestGraph() {
+    const canvas = document.getElementById('trigger-test-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 10;
+    const plotHeight = height - padding * 2;
+    const totalTime = TRIGGER_TEST_PULL_MS + TRIGGER_TEST_HOLD_MS;
+    const toX = (t) => (t / totalTime) * width;
+    const toY = (value) => height - padding - value * plotHeight;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    // 25% grid
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.1)';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        ctx.beginPath();
+        ctx.moveTo(0, toY(i / 4));
+        ctx.lineTo(width, toY(i / 4));
+        ctx.stroke();
+    }
+    
+    // Guide (ideal steady pull)
+    ctx.strokeStyle = 'rgba(255, 204, 0, 0.6)';
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, toY(0));
+    ctx.lineTo(toX(TRIGGER_TEST_PULL_MS), toY(1));
+    ctx.lineTo(width, toY(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    const samples = GamepadTester.triggerTest.samples;
+    if (samples.length > 1) {
+        ctx.strokeStyle = '#00f3ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        samples.forEach((sample, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(sample.t), toY(sample.value));
+            } else {
+                ctx.lineTo(toX(sample.t), toY(sample.value));
+            }
+        });
+        ctx.stroke();
+    }
+    
+    // Sticky spots
+    const results = GamepadTester.triggerTest.results;
+    if (results) {
+        ctx.fillStyle = '#ff3366';
+        results.stickySpots.forEach(spot => {
+            ctx.fillRect(0, toY(spot.value) - 1, width, 2);
+        });
+    }
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText('1.0', 4, toY(1) + 12);
+    ctx.fillText('0.0', 4, toY(0) - 4);
+    ctx.fillStyle = 'rgba(255, 204, 0, 0.8)';
+    ctx.fillText('guide', width - 50, toY(1) + 16);
+}
+
+// ==========================================
+// RENDERING PERFORMANCE
+// ==========================================
+// Every panel updates on every animation frame, so the per-frame paths avoid work that
+// doesn't change anything: DOM writes are skipped when the value is what was written last
+// time, static canvas backgrounds are painted once into a layer and blitted, and the
+// oscilloscope is plotted by a worker on an OffscreenCanvas where the browser supports it.
+
+// Static elements only - markup rebuilt with innerHTML must not be looked up through here
+function getCachedElement(id) {
+    const elements = GamepadTester.render.elements;
+    let element = elements.get(id);
+    if (!element) {
+        element = document.getElementById(id);
+        elements.set(id, element);
+    }
+    return element;
+}
+
+// The setters below take an element or the id of a static element
+function resolveElement(target) {
+    return typeof target === 'string' ? getCachedElement(target) : target;
+}
+
+function setElementText(target, text) {
+    const element = resolveElement(target);
+    if (element.textContent !== text) {
+        element.textContent = text;
+    }
+}
+
+function setElementClass(target, name, enabled) {
+    const element = resolveElement(target);
+    if (element.classList.contains(name) !== enabled) {
+        element.classList.toggle(name, enabled);
+    }
+}
+
+// Styles and markup are compared with what was last written rather than read back,
+// since browsers normalize both
+function setElementStyle(target, property, value) {
+    const element = resolveElement(target);
+    if (getWrittenValues(element)[property] === value) return;
+    
+    getWrittenValues(element)[property] = value;
+    element.style[property] = value;
+}
+
+function setElementHtml(target, html) {
+    const element = resolveElement(target);
+    if (getWrittenValues(element).innerHTML === html) return;
+    
+    getWrittenValues(element).innerHTML = html;
+    element.innerHTML = html;
+}
+
+function getWrittenValues(element) {
+    const written = GamepadTester.render.written;
+    let values = written.get(element);
+    if (!values) {
+        values = {};
+        written.set(element, values);
+    }
+    return values;
+}
+
+function getControllerButtonElements() {
+    const render = GamepadTester.render;
+    if (!render.buttons) {
+        render.buttons = [];
+        document.querySelectorAll('#controller-visual [data-button]').forEach(element => {
+            const index = parseInt(element.dataset.button);
+            if (!render.buttons[index]) {
+                render.buttons[index] = element;
+            }
+        });
+    }
+    return render.buttons;
+}
+
+// Canvas used for off-screen painting: OffscreenCanvas where available, otherwise a
+// canvas element that is never attached to the page
+function createLayerCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Static backgrounds (grids, scales, labels) are painted once per size and blitted each frame
+function getCanvasLayer(name, width, height, paint) {
+    const layers = GamepadTester.render.layers;
+    let layer = layers.get(name);
+    
+    if (!layer || layer.width !== width || layer.height !== height) {
+        layer = createLayerCanvas(width, height);
+        paint(layer.getContext('2d'), width, height);
+        layers.set(name, layer);
+    }
+    return layer;
+}
+
+// The oscilloscope canvas is transferred to a worker built from the pure paint functions,
+// so plotting a few thousand points per frame stays off the thread that polls the controller.
+// Without OffscreenCanvas / Worker support everything keeps painting on the main thread.
+function setupScopeRenderer() {
+    const canvas = document.getElementById('oscilloscope-canvas');
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || !canvas.transferControlToOffscreen) return;
+    
+    try {
+        const source = [paintOscilloscopeGrid, paintScopeFrame, runScopeWorker]
+            .map(fn => fn.toString())
+            .join('\n\n') + '\n\nrunScopeWorker();\n';
+        const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        
+        // A frame that fails also frees the slot - otherwise the scope would stop for good
+        const release = () => {
+            const render = GamepadTester.render;
+            render.scopeBusy = false;
+            
+            if (render.scopePending) {
+                const frame = render.scopePending;
+                render.scopePending = null;
+                postScopeFrame(frame);
+            }
+        };
+        worker.addEventListener('message', release);
+        worker.addEventListener('error', (e) => {
+            console.error('Scope worker error:', e.message);
+            release();
+        });
+        worker.addEventListener('messageerror', () => {
+            console.error('Scope worker error: frame could not be delivered');
+            release();
+        });
+        
+        const offscreen = canvas.transferControlToOffscreen();
+        worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+        GamepadTester.render.scopeWorker = worker;
+    } catch (error) {
+        console.error('Scope worker error:', error);
+    }
+}
+
+// Entry point of the worker. It is stringified together with the two paint functions,
+// so it can't use anything else from this file.
+function runScopeWorker() {
+    let ctx = null;
+    let grid = null;
+    
+    self.onmessage = (e) => {
+        if (e.data.type === 'init') {
+            ctx = e.data.canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            return;
+        }
+        
+        const frame = e.data.frame;
+        try {
+            if (!grid || grid.width !== frame.width || grid.height !== frame.height) {
+                grid = new OffscreenCanvas(frame.width, frame.height);
+                paintOscilloscopeGrid(grid.getContext('2d'), frame.width, frame.height);
+            }
+            paintScopeFrame(ctx, frame, grid);
+        } catch (error) {
+            console.error('Scope worker error:', error);
+        }
+        // Always answer, the main thread holds further frames until it hears back
+        self.postMessage({ type: 'painted' });
+    };
+}
+
+// One frame in flight at a time; frames produced meanwhile replace each other, so a slow
+// worker drops frames instead of queueing them
+function postScopeFrame(frame) {
+    const render = GamepadTester.render;
+    if (render.scopeBusy) {
+        render.scopePending = frame;
+        return;
+    }
+    
+    render.scopeBusy = true;
+    render.scopeWorker.postMessage({ type: 'frame', frame: frame }, frame.traces.map(trace => trace.points.buffer));
+}
+
+// Called at the end of every processed frame with the main-thread time spent per stage (ms)
+function recordRenderTiming(dom, canvas, analysis) {
+    const render = GamepadTester.render;
+    const timings = render.timings;
+    
+    [['dom', dom], ['canvas', canvas], ['analysis', analysis], ['total', dom + canvas + analysis]].forEach(pair => {
+        timings[pair[0]].push(pair[1]);
+        if (timings[pair[0]].length > RENDER_TIMING_WINDOW) {
+            timings[pair[0]].shift();
+        }
+    });
+    
+    const now = performance.now();
+    if (render.overlay && now - render.overlayUpdated >= RENDER_OVERLAY_INTERVAL_MS) {
+        render.overlayUpdated = now;
+        renderPerfOverlay();
+    }
+}
+
+function togglePerfOverlay() {
+    const render = GamepadTester.render;
+    render.overlay = !render.overlay;
+    
+    document.getElementById('perf-overlay').classList.toggle('hidden', !render.overlay);
+    document.getElementById('perf-overlay-toggle').textContent = render.overlay ? 'Hide Render Cost' : 'Show Render Cost';
+    
+    if (render.overlay) {
+        renderPerfOverlay();
+    }
+}
+
+function renderPerfOverlay() {
+    const timings = GamepadTester.render.timings;
+    const overlay = document.getElementById('perf-overlay');
+    
+    if (timings.total.length === 0) {
+        setElementHtml(overlay, '<div class="perf-overlay-title">Render cost</div><div>Waiting for controller input</div>');
+        return;
+    }
+    
+    const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+    const format = (value) => `${value.toFixed(2)} ms`;
+    
+    // The budget is the real frame interval, so the share is what's left for the browser
+    const deltas = GamepadTester.performance.frameDeltas;
+    const budget = deltas.length > 0 ? average(deltas) : 1000 / 60;
+    const share = average(timings.total) / budget * 100;
+    
+    const rows = [['DOM', timings.dom], ['Canvas', timings.canvas], ['Analysis', timings.analysis], ['Total', timings.total]]
+        .map(row => `<tr><td>${row[0]}</td><td>${format(average(row[1]))}</td><td>${format(Math.max(...row[1]))}</td></tr>`)
+        .join('');
+    
+    setElementHtml(overlay, `
+        <div class="perf-overlay-title">Render cost (last ${timings.total.length} frames)</div>
+        <table>
+            <tr><th></th><th>avg</th><th>max</th></tr>
+            ${rows}
+        </table>
+        <div class="${share > 50 ? 'perf-overlay-warn' : ''}">${share.toFixed(1)}% of the ${budget.toFixed(1)} ms frame</div>
+        <div>Oscilloscope: ${GamepadTester.render.scopeWorker ? 'worker (OffscreenCanvas)' : 'main thread'}</div>
+    `);
+}
+
+// ==========================================
+// CANVAS SETUP
+// ==========================================
+
+function setupCanvases() {
+    // Oscilloscope canvas (a transferred canvas is configured by its worker)
+    if (!GamepadTester.render.scopeWorker) {
+        const oscCtx = document.getElementById('oscilloscope-canvas').getContext('2d');
+        oscCtx.imageSmoothingEnabled = false;
+    }
+    
+    // Circularity canvas
+    const circCanvas = document.getElementById('circularity-canvas');
+    const circCtx = circCanvas.getContext('2d');
+    circCtx.imageSmoothingEnabled = false;
+    
+    // Draw initial state
+    drawScope();
+    drawCircularityGrid(circCtx, circCanvas.width, circCanvas.height);
+    
+    // Cached layers may have been painted before the web font loaded - repaint them with it
+    if (document.fonts) {
+        document.fonts.ready.then(() => {
+            GamepadTester.render.layers.clear();
+            GamepadTester.render.circularityKey = null;
+            drawScope();
+            drawCircularityTest(circCtx, circCanvas.width, circCanvas.height);
+        });
+    }
+}
+
+// ==========================================
+// OSCILLOSCOPE (Analog Input Tracking)
+// ==========================================
+// Any mix of axes, button values and processed stick output can be shown as channels
+// over a time base in milliseconds. Like a bench scope it can freeze the screen, wait for
+// an edge trigger (a channel crossing a level) before capturing, and measure Δt / Δvalue
+// between two cursors - e.g. how long a stick takes to snap back to centre.
+
+function setupScopeControls() {
+    const scope = GamepadTester.scope;
+    
+    document.getElementById('scope-channels').addEventListener('change', (e) => {
+        const key = e.target.value;
+        if (e.target.checked) {
+            if (!scope.channels.includes(key)) {
+                scope.channels.push(key);
+            }
+        } else {
+            scope.channels = scope.channels.filter(channel => channel !== key);
+        }
+        
+        renderScopeTriggerChannels();
+        drawScope();
+    });
+    
+    document.getElementById('scope-timebase').addEventListener('change', (e) => {
+        scope.timebase = parseInt(e.target.value);
+        scope.cursors = [null, null];
+        
+        // A capture sized for the old screen width is no use any more
+        setScopePaused(false);
+    });
+    
+    document.getElementById('scope-pause').addEventListener('click', () => setScopePaused(!scope.paused));
+    document.getElementById('clear-scope').addEventListener('click', clearOscilloscope);
+    
+    document.getElementById('scope-trigger-mode').addEventListener('change', (e) => {
+        scope.trigger.mode = e.target.value;
+        setScopePaused(false);
+    });
+    
+    document.getElementById('scope-trigger-channel').addEventListener('change', (e) => {
+        scope.trigger.channel = e.target.value;
+        setScopePaused(false);
+    });
+    
+    document.getElementById('scope-trigger-edge').addEventListener('change', (e) => {
+        scope.trigger.edge = e.target.value;
+    });
+    
+    document.getElementById('scope-trigger-level').addEventListener('change', (e) => {
+        const level = parseFloat(e.target.value);
+        scope.trigger.level = isNaN(level) ? 0.5 : clamp(level, -1, 1);
+        e.target.value = scope.trigger.level;
+        drawScope();
+    });
+    
+    // Click places cursor A, then B; a third click starts over
+    const canvas = document.getElementById('oscilloscope-canvas');
+    canvas.addEventListener('click', (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const offset = clamp((e.clientX - rect.left) / rect.width, 0, 1) * scope.timebase;
+        
+        if (scope.cursors[0] === null || scope.cursors[1] !== null) {
+            scope.cursors = [offset, null];
+        } else {
+            scope.cursors[1] = offset;
+        }
+        drawScope();
+    });
+    
+    document.getElementById('scope-cursor-clear').addEventListener('click', () => {
+        scope.cursors = [null, null];
+        drawScope();
+    });
+    
+    renderScopeChannels(null);
+    setScopePaused(false);
+}
+
+function setScopePaused(paused) {
+    const scope = GamepadTester.scope;
+    scope.paused = paused;
+    scope.trigger.time = null;
+    
+    if (paused) {
+        scope.frozen = scope.frozen || getScopeWindow();
+    } else {
+        scope.frozen = null;
+        scope.trigger.armed = scope.trigger.mode !== 'off';
+    }
+    
+    renderScopeStatus();
+    drawScope();
+}
+
+function updateOscilloscope(gamepad, timestamp) {
+    const scope = GamepadTester.scope;
+    const samples = GamepadTester.oscilloscopeData.samples;
+    const previous = samples[samples.length - 1];
+    
+    const sample = recordOscilloscopeSample(GamepadTester.oscilloscopeData, gamepad, timestamp);
+    
+    if (!scope.paused && scope.trigger.mode !== 'off') {
+        updateScopeTrigger(previous, sample);
+    }
+    
+    drawScope();
+}
+
+// Append a snapshot of every input to an oscilloscope buffer, returns the new sample
+function recordOscilloscopeSample(oscilloscopeData, gamepad, timestamp) {
+    const axis = (index) => gamepad.axes[index] || 0;
+    
+    // Processed (deadzone + curve) output for the before/after comparison
+    const left = processStick(axis(0), axis(1));
+    const right = processStick(axis(2), axis(3));
+    
+    const sample = {
+        t: timestamp,
+        axes: Array.from(gamepad.axes),
+        buttons: gamepad.buttons.map(button => button.value),
+        processed: [left.x, left.y, right.x, right.y]
+    };
+    
+    // Keep enough history for the longest time base
+    const samples = oscilloscopeData.samples;
+    samples.push(sample);
+    while (samples.length > SCOPE_BUFFER_LIMIT || samples[0].t < timestamp - SCOPE_MAX_TIMEBASE_MS) {
+        samples.shift();
+    }
+    
+    return sample;
+}
+
+function updateScopeTrigger(previous, sample) {
+    const scope = GamepadTester.scope;
+    const trigger = scope.trigger;
+    
+    if (trigger.time === null) {
+        // No channel selected (every channel unchecked) - nothing to watch
+        if (!trigger.armed || !previous || !trigger.channel) return;
+        
+        const before = readScopeChannel(previous, trigger.channel);
+        const after = readScopeChannel(sample, trigger.channel);
+        if (before === null || after === null) return;
+        
+        const rising = before < trigger.level && after >= trigger.level;
+        const falling = before > trigger.level && after <= trigger.level;
+        if ((rising && trigger.edge !== 'falling') || (falling && trigger.edge !== 'rising')) {
+            trigger.time = sample.t;
+            renderScopeStatus();
+        }
+        return;
+    }
+    
+    // Keep capturing until the part of the screen after the trigger point is filled
+    const start = trigger.time - scope.timebase * SCOPE_PRETRIGGER;
+    const end = start + scope.timebase;
+    if (sample.t < end) return;
+    
+    scope.frozen = {
+        start: start,
+        end: end,
+        triggerTime: trigger.time,
+        samples: getScopeSamples(GamepadTester.oscilloscopeData.samples, start, end)
+    };
+    trigger.time = null;
+    
+    // Normal mode stays armed and replaces the capture on the next crossing
+    if (trigger.mode === 'single') {
+        trigger.armed = false;
+        scope.paused = true;
+    }
+    renderScopeStatus();
+}
+
+// Samples inside [start, end], plus the one before so the trace reaches the left edge
+function getScopeSamples(samples, start, end) {
+    let first = samples.findIndex(sample => sample.t >= start);
+    if (first === -1) return [];
+    
+    let last = first;
+    while (last < samples.length && samples[last].t <= end) {
+        last++;
+    }
+    
+    return samples.slice(Math.max(0, first - 1), last);
+}
+
+function getScopeWindow() {
+    const scope = GamepadTester.scope;
+    if (scope.frozen) return scope.frozen;
+    
+    const samples = GamepadTester.oscilloscopeData.samples;
+    const end = samples.length > 0 ? samples[samples.length - 1].t : 0;
+    const start = end - scope.timebase;
+    
+    return { start: start, end: end, triggerTime: null, samples: getScopeSamples(samples, start, end) };
+}
+
+function readScopeChannel(sample, key) {
+    const parts = key.split(':');
+    const index = parseInt(parts[1]);
+    const values = parts[0] === 'axis' ? sample.axes : parts[0] === 'button' ? sample.buttons : sample.processed;
+    
+    return values[index] !== undefined ? values[index] : null;
+}
+
+// Value at time t: the most recent report at or before it (reports are sample-and-hold)
+function readScopeChannelAt(samples, key, t) {
+    let value = null;
+    for (let i = 0; i < samples.length && samples[i].t <= t; i++) {
+        value = readScopeChannel(samples[i], key);
+    }
+    return value;
+}
+
+function getScopeChannelName(key) {
+    const parts = key.split(':');
+    const index = parseInt(parts[1]);
+    
+    if (parts[0] === 'axis') return getAxisName(index);
+    if (parts[0] === 'button') return getButtonName(index);
+    return `${getAxisName(index)} (processed)`;
+}
+
+function getScopeChannelColor(key) {
+    const index = GamepadTester.scope.channels.indexOf(key);
+    return SCOPE_CHANNEL_COLORS[Math.max(0, index) % SCOPE_CHANNEL_COLORS.length];
+}
+
+function renderScopeChannels(gamepad) {
+    const scope = GamepadTester.scope;
+    const axisCount = gamepad ? gamepad.axes.length : 4;
+    const buttonCount = gamepad ? gamepad.buttons.length : 0;
+    
+    const groups = [
+        ['Axes', Array.from({ length: axisCount }, (_, i) => `axis:${i}`)],
+        ['Processed', Array.from({ length: Math.min(axisCount, 4) }, (_, i) => `processed:${i}`)],
+        ['Buttons', Array.from({ length: buttonCount }, (_, i) => `button:${i}`)]
+    ];
+    
+    // Channels the new controller doesn't have are dropped
+    const available = [].concat.apply([], groups.map(group => group[1]));
+    scope.channels = scope.channels.filter(channel => available.includes(channel));
+    
+    document.getElementById('scope-channels').innerHTML = groups.filter(group => group[1].length > 0).map(group => `
+        <div class="scope-channel-group">${group[0]}</div>
+        ${group[1].map(key => `
+            <label>
+                <input type="checkbox" value="${key}" ${scope.channels.includes(key) ? 'checked' : ''}>
+                <span>${escapeHtml(group[0] === 'Processed' ? getAxisName(parseInt(key.split(':')[1])) : getScopeChannelName(key))}</span>
+            </label>
+        `).join('')}
+    `).join('');
+    
+    renderScopeTriggerChannels();
+}
+
+function renderScopeTriggerChannels() {
+    const scope = GamepadTester.scope;
+    const select = document.getElementById('scope-trigger-channel');
+    
+    if (!scope.channels.includes(scope.trigger.channel)) {
+        scope.trigger.channel = scope.channels[0] || null;
+        scope.trigger.time = null;
+    }
+    
+    select.innerHTML = scope.channels.map(channel => {
+        return `<option value="${channel}">${escapeHtml(getScopeChannelName(channel))}</option>`;
+    }).join('');
+    select.value = scope.trigger.channel || '';
+    
+    renderScopeStatus();
+}
+
+function renderScopeStatus() {
+    const scope = GamepadTester.scope;
+    const trigger = scope.trigger;
+    let status;
+    
+    if (trigger.mode !== 'off' && !trigger.channel) {
+        status = 'Select a channel to trigger on';
+    } else if (scope.paused) {
+        status = scope.frozen && scope.frozen.triggerTime !== null ? 'Triggered - press Run to re-arm' : 'Paused';
+    } else if (trigger.mode === 'off') {
+        status = 'Running';
+    } else if (trigger.time !== null) {
+        status = 'Triggered - capturing...';
+    } else {
+        const edge = trigger.edge === 'both' ? 'cross' : trigger.edge === 'rising' ? 'rise through' : 'fall through';
+        status = `Armed - waiting for ${getScopeChannelName(trigger.channel)} to ${edge} ${trigger.level.toFixed(2)}` +
+            (scope.frozen ? ' (showing last capture)' : '');
+    }
+    
+    document.getElementById('scope-status').textContent = status;
+    document.getElementById('scope-pause').textContent = scope.paused ? 'Run' : 'Pause';
+}
+
+function drawOscilloscopeGrid(ctx, width, height) {
+    ctx.drawImage(getCanvasLayer('oscilloscope-grid', width, height, paintOscilloscopeGrid), 0, 0);
+}
+
+// Also runs inside the render worker - must only use its arguments
+function paintOscilloscopeGrid(ctx, width, height) {
+    // Clear
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Grid lines
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.1)';
+    ctx.lineWidth = 1;
+    
+    // Horizontal lines
+    for (let i = 0; i <= 4; i++) {
+        const y = (height / 4) * i;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    }
+    
+    // Vertical lines
+    for (let i = 0; i <= 10; i++) {
+        const x = (width / 10) * i;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+    
+    // Center line (0 value)
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.3)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+    
+    // Labels
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText('+1.0', 10, 20);
+    ctx.fillText('0.0', 10, height / 2 - 10);
+    ctx.fillText('-1.0', 10, height - 10);
+}
+
+function drawScopeTrace(ctx, samples, channel, transform) {
+    ctx.beginPath();
+    let drawing = false;
+    
+    samples.forEach(sample => {
+        const value = readScopeChannel(sample, channel);
+        if (value === null) return;
+        
+        const x = transform.toX(sample.t);
+        const y = transform.toY(value);
+        if (drawing) {
+            ctx.lineTo(x, y);
+        } else {
+            ctx.moveTo(x, y);
+            drawing = true;
+        }
+    });
+    ctx.stroke();
+}
+
+function drawScope() {
+    const canvas = document.getElementById('oscilloscope-canvas');
+    const view = getScopeWindow();
+    const frame = buildScopeFrame(canvas.width, canvas.height, view);
+    
+    if (GamepadTester.render.scopeWorker) {
+        postScopeFrame(frame);
+    } else {
+        paintScopeFrame(canvas.getContext('2d'), frame, getCanvasLayer('oscilloscope-grid', canvas.width, canvas.height, paintOscilloscopeGrid));
+    }
+    
+    renderScopeCursors(view);
+}
+
+// Everything needed to paint one oscilloscope frame as plain data (screen coordinates,
+// colors, labels), so it can be posted to the render worker
+function buildScopeFrame(width, height, view) {
+    const scope = GamepadTester.scope;
+    const toX = (t) => ((t - view.start) / scope.timebase) * width;
+    const toY = (value) => height / 2 - value * (height / 2);
+    
+    // Samples where a channel has no value are skipped, the line continues across them
+    const traces = scope.channels.map(channel => {
+        const points = new Float32Array(view.samples.length * 2);
+        let count = 0;
+        
+        view.samples.forEach(sample => {
+            const value = readScopeChannel(sample, channel);
+            if (value === null) return;
+            
+            points[count * 2] = toX(sample.t);
+            points[count * 2 + 1] = toY(value);
+            count++;
+        });
+        
+        return {
+            name: getScopeChannelName(channel),
+            color: getScopeChannelColor(channel),
+            dashed: channel.startsWith('processed'),
+            points: points,
+            count: count
+        };
+    });
+    
+    let trigger = null;
+    if (scope.trigger.mode !== 'off' && scope.trigger.channel) {
+        trigger = {
+            color: getScopeChannelColor(scope.trigger.channel),
+            y: toY(scope.trigger.level),
+            x: view.triggerTime !== null ? toX(view.triggerTime) : null
+        };
+    }
+    
+    return {
+        width: width,
+        height: height,
+        traces: traces,
+        trigger: trigger,
+        cursors: scope.cursors.map(offset => offset === null ? null : (offset / scope.timebase) * width),
+        timebase: `${scope.timebase / 10} ms/div`
+    };
+}
+
+// Paints a frame from buildScopeFrame over the grid layer. Also runs inside the render
+// worker - must only use its arguments.
+function paintScopeFrame(ctx, frame, grid) {
+    const width = frame.width;
+    const height = frame.height;
+    
+    ctx.drawImage(grid, 0, 0);
+    
+    // Processed channels dashed, so they read as "the same stick, after shaping"
+    ctx.lineWidth = 2;
+    frame.traces.forEach(trace => {
+        ctx.strokeStyle = trace.color;
+        ctx.setLineDash(trace.dashed ? [4, 4] : []);
+        ctx.beginPath();
+        for (let i = 0; i < trace.count; i++) {
+            if (i === 0) {
+                ctx.moveTo(trace.points[0], trace.points[1]);
+            } else {
+                ctx.lineTo(trace.points[i * 2], trace.points[i * 2 + 1]);
+            }
+        }
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    
+    // Trigger level and the trigger point of a capture
+    if (frame.trigger) {
+        ctx.strokeStyle = frame.trigger.color;
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, frame.trigger.y);
+        ctx.lineTo(width, frame.trigger.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+        
+        if (frame.trigger.x !== null) {
+            const x = frame.trigger.x;
+            ctx.fillStyle = frame.trigger.color;
+            ctx.beginPath();
+            ctx.moveTo(x - 6, 0);
+            ctx.lineTo(x + 6, 0);
+            ctx.lineTo(x, 8);
+            ctx.fill();
+        }
+    }
+    
+    // Cursors
+    ctx.font = '12px Share Tech Mono';
+    frame.cursors.forEach((x, i) => {
+        if (x === null) return;
+        
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillStyle = '#ffcc00';
+        ctx.fillText(i === 0 ? 'A' : 'B', x + 4, height - 24);
+    });
+    
+    // Legend
+    ctx.textAlign = 'right';
+    frame.traces.forEach((trace, i) => {
+        ctx.fillStyle = trace.color;
+        ctx.fillText(trace.name, width - 10, 20 + i * 16);
+    });
+    ctx.fillStyle = '#a0a0a8';
+    ctx.fillText(frame.timebase, width - 10, height - 10);
+    ctx.textAlign = 'left';
+}
+
+// A canvas handed to the worker can't be read back, so exports paint the current frame
+// onto a fresh one
+function getScopeSnapshotCanvas() {
+    const canvas = document.getElementById('oscilloscope-canvas');
+    if (!GamepadTester.render.scopeWorker) return canvas;
+    
+    const snapshot = document.createElement('canvas');
+    snapshot.width = canvas.width;
+    snapshot.height = canvas.height;
+    paintScopeFrame(
+        snapshot.getContext('2d'),
+        buildScopeFrame(canvas.width, canvas.height, getScopeWindow()),
+        getCanvasLayer('oscilloscope-grid', canvas.width, canvas.height, paintOscilloscopeGrid)
+    );
+    return snapshot;
+}
+
+function renderScopeCursors(view) {
+    const scope = GamepadTester.scope;
+    const tbody = document.getElementById('scope-cursor-table');
+    const readout = document.getElementById('scope-cursor-dt');
+    const a = scope.cursors[0];
+    const b = scope.cursors[1];
+    
+    if (a === null) {
+        setElementText(readout, 'Click the graph to place cursors A and B');
+        setElementHtml(tbody, '');
+        return;
+    }
+    
+    const format = (value) => value === null ? '-' : value.toFixed(4);
+    const dt = b !== null ? b - a : null;
+    setElementText(readout, dt !== null
+        ? `Δt ${Math.abs(dt).toFixed(1)} ms${Math.abs(dt) > 0 ? ` (${(1000 / Math.abs(dt)).toFixed(1)} Hz)` : ''}`
+        : 'Click again to place cursor B');
+    
+    setElementHtml(tbody, scope.channels.map(channel => {
+        const valueA = readScopeChannelAt(view.samples, channel, view.start + a);
+        const valueB = b !== null ? readScopeChannelAt(view.samples, channel, view.start + b) : null;
+        const delta = valueA !== null && valueB !== null ? valueB - valueA : null;
+        
+        return `
+            <tr>
+                <td class="input-name" style="color: ${getScopeChannelColor(channel)}">${escapeHtml(getScopeChannelName(channel))}</td>
+                <td class="input-value">${format(valueA)}</td>
+                <td class="input-value">${format(valueB)}</td>
+                <td class="input-value">${delta === null ? '-' : `${delta >= 0 ? '+' : ''}${delta.toFixed(4)}`}</td>
+            </tr>
+        `;
+    }).join(''));
+}
+
+function clearOscilloscope() {
+    GamepadTester.oscilloscopeData.samples = [];
+    GamepadTester.scope.frozen = null;
+    
+    setScopePaused(false);
+}
+
+// ==========================================
+// NOISE SPECTRUM & JITTER
+// ==========================================
+// Tells apart the three usual reasons a resting axis twitches: random sensor noise (a flat,
+// broadband spectrum), periodic interference (a clear peak - often a power supply or a rumble
+// motor) and quantization (the value flickering between two adjacent ADC levels). The samples
+// are the oscilloscope's, one per poll, so the spectrum only reaches half the polling rate and
+// faster interference folds down into it.
+
+function setupNoiseControls() {
+    const noise = GamepadTester.noise;
+    
+    document.getElementById('noise-axis').addEventListener('change', (e) => {
+        noise.axis = parseInt(e.target.value);
+        noise.lastUpdate = 0;
+    });
+    
+    document.getElementById('noise-size').addEventListener('change', (e) => {
+        noise.size = parseInt(e.target.value);
+        noise.lastUpdate = 0;
+    });
+    
+    document.getElementById('noise-clear').addEventListener('click', () => {
+        noise.values = [];
+        noise.quantization = {};
+        noise.lastUpdate = 0;
+    });
+    
+    renderNoiseAnalysis(null);
+}
+
+function resetNoiseAnalysis() {
+    const noise = GamepadTester.noise;
+    noise.values = [];
+    noise.quantization = {};
+    noise.lastUpdate = 0;
+    noise.result = null;
+    renderNoiseAnalysis(null);
+}
+
+function updateNoiseAnalysis(gamepad, timestamp) {
+    const noise = GamepadTester.noise;
+    
+    gamepad.axes.forEach((value, index) => {
+        if (!noise.values[index]) {
+            noise.values[index] = new Set();
+        }
+        // Capped so a high-resolution stick doesn't grow the set (and its re-sorts) all session
+        if (noise.values[index].size < NOISE_DISTINCT_LIMIT) {
+            noise.values[index].add(value);
+        }
+    });
+    
+    if (gamepad.axes.length !== noise.axisCount) {
+        noise.axisCount = gamepad.axes.length;
+        renderNoiseAxisOptions();
+    }
+    
+    // Replay seeks move time backwards - recompute right away then
+    if (timestamp - noise.lastUpdate < NOISE_UPDATE_MS && timestamp >= noise.lastUpdate) return;
+    noise.lastUpdate = timestamp;
+    
+    noise.result = analyzeAxisNoise(GamepadTester.oscilloscopeData.samples, noise.axis, noise.size);
+    renderNoiseAnalysis(noise.result);
+}
+
+function renderNoiseAxisOptions() {
+    const noise = GamepadTester.noise;
+    if (noise.axis >= noise.axisCount) {
+        noise.axis = 0;
+    }
+    
+    const select = document.getElementById('noise-axis');
+    select.innerHTML = Array.from({ length: noise.axisCount }, (_, i) =>
+        `<option value="${i}">${escapeHtml(getAxisName(i))}</option>`).join('');
+    select.value = String(noise.axis);
+}
+
+function getAxisQuantization(axis) {
+    // Sorting every value seen is the expensive part - only redo it when new ones arrived
+    const noise = GamepadTester.noise;
+    const values = noise.values[axis];
+    if (!values) return null;
+    
+    const cached = noise.quantization[axis];
+    if (!cached || cached.distinct !== values.size) {
+        noise.quantization[axis] = { distinct: values.size, estimate: estimateQuantization(values, 2) };
+    }
+    return noise.quantization[axis].estimate;
+}
+
+function analyzeAxisNoise(samples, axis, size) {
+    const series = samples.filter(sample => sample.axes[axis] !== undefined);
+    if (series.length < NOISE_MIN_SAMPLES) return null;
+    
+    // Polls aren't evenly spaced; resample at the median poll interval, holding the last value
+    // (which is what the game would have read at that moment)
+    const intervals = [];
+    for (let i = 1; i < series.length; i++) {
+        const interval = series[i].t - series[i - 1].t;
+        if (interval > 0) intervals.push(interval);
+    }
+    if (intervals.length === 0) return null;
+    intervals.sort((a, b) => a - b);
+    const interval = intervals[Math.floor(intervals.length / 2)];
+    
+    const count = Math.min(size, Math.pow(2, Math.floor(Math.log2(series.length))));
+    const values = new Float64Array(count);
+    const end = series[series.length - 1].t;
+    let index = series.length - 1;
+    for (let k = count - 1; k >= 0; k--) {
+        const time = end - (count - 1 - k) * interval;
+        while (index > 0 && series[index].t > time) index--;
+        values[k] = series[index].axes[axis];
+    }
+    
+    // Distinct values in the window and their counts, for the histogram
+    const counts = new Map();
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+    
+    // Remove a slow lean (least-squares line) so a stick settling or creeping doesn't read as noise
+    const meanK = (count - 1) / 2;
+    const meanValue = values.reduce((a, b) => a + b, 0) / count;
+    let covariance = 0;
+    let varianceK = 0;
+    for (let k = 0; k < count; k++) {
+        covariance += (k - meanK) * (values[k] - meanValue);
+        varianceK += (k - meanK) * (k - meanK);
+    }
+    const slope = covariance / varianceK;
+    const residual = values.map((value, k) => value - meanValue - slope * (k - meanK));
+    const rms = Math.sqrt(residual.reduce((sum, value) => sum + value * value, 0) / count);
+    
+    const sampleRate = 1000 / interval;
+    const spectrum = computePowerSpectrum(residual);
+    const peaks = findSpectrumPeaks(spectrum, sampleRate, count);
+    const quantization = getAxisQuantization(axis);
+    
+    return {
+        axis: axis,
+        count: count,
+        sampleRate: sampleRate,
+        duration: count * interval,
+        spectrum: spectrum,
+        peaks: peaks,
+        rms: rms,
+        peakToPeak: max - min,
+        histogram: Array.from(counts.entries()).sort((a, b) => a[0] - b[0]),
+        quantization: quantization,
+        verdict: classifyAxisNoise(Array.from(counts.keys()), max - min, rms, peaks, GamepadTester.noise.values[axis])
+    };
+}
+
+function computePowerSpectrum(residual) {
+    // Hann-windowed FFT, one-sided and scaled so the bins add up to the residual's variance
+    const count = residual.length;
+    const re = new Float64Array(count);
+    const im = new Float64Array(count);
+    let windowPower = 0;
+    
+    for (let k = 0; k < count; k++) {
+        const weight = 0.5 - 0.5 * Math.cos(2 * Math.PI * k / (count - 1));
+        re[k] = residual[k] * weight;
+        windowPower += weight * weight;
+    }
+    
+    fft(re, im);
+    
+    const power = new Float64Array(count / 2 + 1);
+    for (let k = 0; k <= count / 2; k++) {
+        const scale = k === 0 || k === count / 2 ? 1 : 2;
+        power[k] = scale * (re[k] * re[k] + im[k] * im[k]) / (count * windowPower);
+    }
+    return power;
+}
+
+// In-place radix-2 FFT; the length must be a power of two
+function fft(re, im) {
+    const n = re.length;
+    
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        
+        if (i < j) {
+            let swap = re[i];
+            re[i] = re[j];
+            re[j] = swap;
+            swap = im[i];
+            im[i] = im[j];
+            im[j] = swap;
+        }
+    }
+    
+    for (let length = 2; length <= n; length <<= 1) {
+        const angle = -2 * Math.PI / length;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        const half = length / 2;
+        
+        for (let start = 0; start < n; start += length) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const bRe = re[b] * wRe - im[b] * wIm;
+                const bIm = re[b] * wIm + im[b] * wRe;
+                
+                re[b] = re[a] - bRe;
+                im[b] = im[a] - bIm;
+                re[a] += bRe;
+                im[a] += bIm;
+                
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+}
+
+function getSpectrumFloor(spectrum) {
+    // Median of the non-DC bins; a spectrum that's mostly exact zeros falls back to a fraction of the mean
+    const bins = Array.from(spectrum).slice(1).sort((a, b) => a - b);
+    const median = bins[Math.floor(bins.length / 2)];
+    const mean = bins.reduce((a, b) => a + b, 0) / bins.length;
+    return median > 0 ? median : mean / 100;
+}
+
+function findSpectrumPeaks(spectrum, sampleRate, count) {
+    const floor = getSpectrumFloor(spectrum);
+    if (!(floor > 0)) return [];
+    
+    const peaks = [];
+    for (let k = 1; k < spectrum.length - 1; k++) {
+        if (spectrum[k] <= spectrum[k - 1] || spectrum[k] < spectrum[k + 1]) continue;
+        
+        const prominence = 10 * Math.log10(spectrum[k] / floor);
+        if (prominence >= NOISE_PEAK_DB) {
+            peaks.push({ frequency: k * sampleRate / count, prominence: prominence, bin: k });
+        }
+    }
+    
+    return peaks.sort((a, b) => b.prominence - a.prominence).slice(0, NOISE_PEAK_LIMIT);
+}
+
+function classifyAxisNoise(levels, peakToPeak, rms, peaks, seen) {
+    if (peakToPeak > NOISE_MOVING_RANGE) {
+        return { type: 'moving', text: 'Stick is moving - leave it at rest for a noise reading' };
+    }
+    if (levels.length <= 1 || rms === 0) {
+        return { type: 'quiet', text: 'Quiet - the axis holds a single value' };
+    }
+    
+    // Flicker between neighbouring levels: two or three values, and the axis has never reported
+    // anything in between them
+    if (levels.length <= 3) {
+        const low = Math.min.apply(null, levels);
+        const high = Math.max.apply(null, levels);
+        let between = 0;
+        seen.forEach(value => {
+            if (value > low && value < high && !levels.includes(value)) between++;
+        });
+        if (between === 0) {
+            return { type: 'quantization', text: 'Quantization flicker - toggling between adjacent ADC levels' };
+        }
+    }
+    if (peaks.length > 0 && peaks[0].prominence >= NOISE_PERIODIC_DB) {
+        return { type: 'periodic', text: `Periodic interference at ${peaks[0].frequency.toFixed(1)} Hz` };
+    }
+    return { type: 'random', text: 'Random (broadband) sensor noise' };
+}
+
+function renderNoiseAnalysis(result) {
+    const spectrumCanvas = document.getElementById('noise-spectrum-canvas');
+    const histogramCanvas = document.getElementById('noise-histogram-canvas');
+    drawNoiseSpectrum(spectrumCanvas.getContext('2d'), spectrumCanvas.width, spectrumCanvas.height, result);
+    drawNoiseHistogram(histogramCanvas.getContext('2d'), histogramCanvas.width, histogramCanvas.height, result);
+    
+    if (!result) {
+        ['noise-verdict', 'noise-peaks', 'noise-rms', 'noise-distinct', 'noise-bits', 'noise-rate'].forEach(id => setElementText(id, '-'));
+        setElementText('noise-status', 'Collecting samples - leave the stick at rest');
+        return;
+    }
+    
+    const quantization = result.quantization;
+    const step = quantization && !quantization.digital ? quantization.step : null;
+    const inSteps = (value, digits) => step ? ` (${(value / step).toFixed(digits)} steps)` : '';
+    const seen = GamepadTester.noise.values[result.axis];
+    
+    setElementText('noise-status', `${getAxisName(result.axis)}: last ${result.count} polls (${(result.duration / 1000).toFixed(1)} s)`);
+    setElementText('noise-verdict', result.verdict.text);
+    setElementText('noise-peaks', result.peaks.length > 0
+        ? result.peaks.map(peak => `${peak.frequency.toFixed(1)} Hz (+${peak.prominence.toFixed(0)} dB)`).join(' · ')
+        : 'None - no periodic component');
+    setElementText('noise-rms', `${result.rms.toFixed(5)}${inSteps(result.rms, 2)} / ${result.peakToPeak.toFixed(5)}${inSteps(result.peakToPeak, 1)}`);
+    setElementText('noise-distinct', `${result.histogram.length} in window · ${seen ? seen.size : 0} since reset`);
+    setElementText('noise-bits', describeQuantization(quantization));
+    setElementText('noise-rate', `${result.sampleRate.toFixed(0)} Hz polling - spectrum up to ${(result.sampleRate / 2).toFixed(0)} Hz`);
+}
+
+function drawNoiseSpectrum(ctx, width, height, result) {
+    const bottom = height - 20;
+    const left = 40;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '12px Share Tech Mono';
+    
+    if (!result || !(getSpectrumFloor(result.spectrum) > 0)) {
+        ctx.fillStyle = '#a0a0a8';
+        ctx.fillText(result ? 'No variation on this axis' : 'Collecting samples...', left, 20);
+        return;
+    }
+    
+    // Power in dB, the top of the scale follows the strongest bin
+    const spectrum = result.spectrum;
+    const decibels = Array.from(spectrum).map(power => 10 * Math.log10(Math.max(power, 1e-30)));
+    const top = Math.ceil(Math.max.apply(null, decibels.slice(1)) / 10) * 10;
+    const toX = (bin) => left + (bin / (spectrum.length - 1)) * (width - left - 10);
+    const toY = (db) => 10 + clamp((top - db) / NOISE_SPECTRUM_RANGE_DB, 0, 1) * (bottom - 10);
+    
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.1)';
+    ctx.fillStyle = '#a0a0a8';
+    ctx.lineWidth = 1;
+    for (let db = top; db >= top - NOISE_SPECTRUM_RANGE_DB; db -= 20) {
+        ctx.beginPath();
+        ctx.moveTo(left, toY(db));
+        ctx.lineTo(width - 10, toY(db));
+        ctx.stroke();
+        ctx.fillText(`${db}`, 4, toY(db) + 4);
+    }
+    
+    const nyquist = result.sampleRate / 2;
+    for (let i = 0; i <= 4; i++) {
+        const x = left + (width - left - 10) * i / 4;
+        ctx.fillText(`${(nyquist * i / 4).toFixed(1)} Hz`, Math.min(x, width - 60), height - 4);
+    }
+    
+    ctx.strokeStyle = '#00f3ff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let k = 1; k < spectrum.length; k++) {
+        if (k === 1) {
+            ctx.moveTo(toX(k), toY(decibels[k]));
+        } else {
+            ctx.lineTo(toX(k), toY(decibels[k]));
+        }
+    }
+    ctx.stroke();
+    
+    ctx.fillStyle = '#ffcc00';
+    result.peaks.forEach(peak => {
+        const x = toX(peak.bin);
+        const y = toY(decibels[peak.bin]);
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillText(`${peak.frequency.toFixed(1)} Hz`, Math.min(x + 6, width - 70), Math.max(y - 6, 20));
+    });
+}
+
+function drawNoiseHistogram(ctx, width, height, result) {
+    const bottom = height - 20;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    if (!result) return;
+    
+    // One bar per distinct value when there are few (the quantization levels show directly),
+    // equal-width bins otherwise
+    const histogram = result.histogram;
+    const min = histogram[0][0];
+    const max = histogram[histogram.length - 1][0];
+    let bars = histogram.map(entry => entry[1]);
+    
+    if (histogram.length > NOISE_HISTOGRAM_BARS) {
+        bars = new Array(NOISE_HISTOGRAM_BARS).fill(0);
+        histogram.forEach(entry => {
+            const bin = Math.min(NOISE_HISTOGRAM_BARS - 1, Math.floor((entry[0] - min) / (max - min) * NOISE_HISTOGRAM_BARS));
+            bars[bin] += entry[1];
+        });
+    }
+    
+    const maxCount = Math.max.apply(null, bars) || 1;
+    const barWidth = width / bars.length;
+    
+    ctx.fillStyle = '#00f3ff';
+    bars.forEach((count, i) => {
+        const barHeight = (count / maxCount) * (bottom - 10);
+        ctx.fillRect(i * barWidth + 1, bottom - barHeight, Math.max(1, barWidth - 2), barHeight);
+    });
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText(min.toFixed(5), 4, height - 4);
+    ctx.fillText(max.toFixed(5), width - 70, height - 4);
+    ctx.fillText(`${histogram.length} distinct`, width / 2 - 30, height - 4);
+}
+
+// ==========================================
+// CIRCULARITY TEST (Dead Zone Visualization)
+// ==========================================
+
+function updateCircularity(gamepad) {
+    const canvas = document.getElementById('circularity-canvas');
+    const ctx = canvas.getContext('2d');
+    
+    if (recordCircularitySample(GamepadTester.circularityData, gamepad)) {
+        renderCircularityAnalysis(GamepadTester.circularityData.analysis[GamepadTester.selectedCircle]);
+    }
+    
+    // Redraw only when something on the plot changed - a resting stick adds nothing.
+    // Settings changes and controller switches redraw directly.
+    const data = GamepadTester.circularityData[GamepadTester.selectedCircle];
+    const events = GamepadTester.returnToCenter.events;
+    const key = [GamepadTester.selectedCircle, data.length, data[0], data[data.length - 1], events.length, events[events.length - 1], getActiveCalibration()];
+    const previous = GamepadTester.render.circularityKey;
+    
+    if (previous && key.every((value, i) => value === previous[i])) return;
+    
+    GamepadTester.render.circularityKey = key;
+    drawCircularityTest(ctx, canvas.width, canvas.height);
+}
+
+// Add the selected stick's position to a circularity buffer, returns true when its analysis changed
+function recordCircularitySample(circularityData, gamepad) {
+    // Determine which stick to track
+    const stick = GamepadTester.selectedCircle;
+    const axisOffset = stick === 'left' ? 0 : 2;
+    const xValue = gamepad.axes[axisOffset] || 0;
+    const yValue = gamepad.axes[axisOffset + 1] || 0;
+    
+    // Only add point if stick is moved significantly
+    if (Math.abs(xValue) <= 0.1 && Math.abs(yValue) <= 0.1) return false;
+    
+    const data = circularityData[stick];
+    data.push({ x: xValue, y: yValue });
+    
+    // Limit points
+    if (data.length > circularityData.maxPoints) {
+        data.shift();
+    }
+    
+    // Track the outer-radius profile - unlike the point buffer this never drops history
+    if (!recordCircularitySector(circularityData.sectors[stick], xValue, yValue)) return false;
+    
+    circularityData.analysis[stick] = analyzeCircularity(circularityData.sectors[stick]);
+    return true;
+}
+
+function drawCircularityGrid(ctx, width, height) {
+    ctx.drawImage(getCanvasLayer('circularity-grid', width, height, paintCircularityGrid), 0, 0);
+}
+
+function paintCircularityGrid(ctx, width, height) {
+    // Clear
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.min(width, height) / 2 - 20;
+    
+    // Draw grid
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.1)';
+    ctx.lineWidth = 1;
+    
+    // Vertical and horizontal center lines
+    ctx.beginPath();
+    ctx.moveTo(centerX, 0);
+    ctx.lineTo(centerX, height);
+    ctx.moveTo(0, centerY);
+    ctx.lineTo(width, centerY);
+    ctx.stroke();
+    
+    // Perfect circle overlay (ideal stick movement)
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.3)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    // Square boundary (maximum stick range)
+    ctx.strokeStyle = 'rgba(255, 0, 255, 0.2)';
+    ctx.strokeRect(20, 20, width - 40, height - 40);
+    
+    // Labels
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText('+1', centerX + 5, 25);
+    ctx.fillText('-1', centerX + 5, height - 10);
+    ctx.fillText('-1', 10, centerY - 5);
+    ctx.fillText('+1', width - 30, centerY - 5);
+}
+
+function drawCircularityTest(ctx, width, height) {
+    // Redraw grid
+    drawCircularityGrid(ctx, width, height);
+    
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const scale = (Math.min(width, height) / 2 - 20);
+    
+    // Where the stick came to rest after each release
+    drawRestScatter(ctx, centerX, centerY, scale);
+    
+    const data = GamepadTester.circularityData[GamepadTester.selectedCircle];
+    if (data.length === 0) return;
+    
+    // Deadzone boundaries for the current processing settings
+    drawDeadzoneOverlay(ctx, centerX, centerY, scale);
+    
+    // Outer-radius profile from the sector maxima
+    drawCircularityOutline(ctx, centerX, centerY, scale);
+    
+    // Draw data points
+    ctx.fillStyle = '#00ff88';
+    
+    data.forEach(point => {
+        const x = centerX + (point.x * scale);
+        const y = centerY + (point.y * scale);
+        
+        ctx.beginPath();
+        ctx.arc(x, y, 2, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    
+    // Processed positions, so raw vs processed can be compared point for point
+    ctx.fillStyle = 'rgba(255, 204, 0, 0.7)';
+    
+    data.forEach(point => {
+        const processed = processStick(point.x, point.y);
+        
+        ctx.beginPath();
+        ctx.arc(centerX + (processed.x * scale), centerY + (processed.y * scale), 1.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    
+    // Normalized by the device's calibration profile, if it has one
+    const calibration = getActiveCalibration();
+    const axisOffset = GamepadTester.selectedCircle === 'left' ? 0 : 2;
+    if (!calibration || !calibration.axes[axisOffset] || !calibration.axes[axisOffset + 1]) return;
+    
+    ctx.fillStyle = 'rgba(0, 128, 255, 0.8)';
+    
+    data.forEach(point => {
+        const x = normalizeAxis(point.x, calibration.axes[axisOffset]);
+        const y = normalizeAxis(point.y, calibration.axes[axisOffset + 1]);
+        
+        ctx.beginPath();
+        ctx.arc(centerX + (x * scale), centerY + (y * scale), 1.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText('calibrated', 10, 20);
+}
+
+function drawCircularityOutline(ctx, centerX, centerY, scale) {
+    const sectors = GamepadTester.circularityData.sectors[GamepadTester.selectedCircle];
+    const sectorAngle = (Math.PI * 2) / CIRCULARITY_SECTORS;
+    
+    ctx.strokeStyle = '#ff00ff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    
+    // Connect consecutive covered sectors; gaps in coverage break the outline
+    let drawing = false;
+    for (let i = 0; i <= CIRCULARITY_SECTORS; i++) {
+        const sector = i % CIRCULARITY_SECTORS;
+        const radius = sectors[sector];
+        
+        if (radius < CIRCULARITY_MIN_RADIUS) {
+            drawing = false;
+            continue;
+        }
+        
+        // Sector angles run counter-clockwise from the right, with screen Y pointing down
+        const angle = (sector + 0.5) * sectorAngle;
+        const x = centerX + Math.cos(angle) * radius * scale;
+        const y = centerY - Math.sin(angle) * radius * scale;
+        
+        if (drawing) {
+            ctx.lineTo(x, y);
+        } else {
+            ctx.moveTo(x, y);
+            drawing = true;
+        }
+    }
+    ctx.stroke();
+}
+
+function clearCircularity() {
+    GamepadTester.circularityData.left = [];
+    GamepadTester.circularityData.right = [];
+    GamepadTester.circularityData.sectors.left = new Array(CIRCULARITY_SECTORS).fill(0);
+    GamepadTester.circularityData.sectors.right = new Array(CIRCULARITY_SECTORS).fill(0);
+    GamepadTester.circularityData.analysis.left = null;
+    GamepadTester.circularityData.analysis.right = null;
+    
+    // Full redraw keeps the return-to-centre scatter, and the cache key in step with the plot
+    const canvas = document.getElementById('circularity-canvas');
+    GamepadTester.render.circularityKey = null;
+    drawCircularityTest(canvas.getContext('2d'), canvas.width, canvas.height);
+    
+    renderCircularityAnalysis(null);
+}
+
+// Returns true when the sector's maximum radius grew
+function recordCircularitySector(sectors, x, y) {
+    const radius = Math.sqrt(x * x + y * y);
+    const angle = (Math.atan2(-y, x) + Math.PI * 2) % (Math.PI * 2);
+    const sector = Math.floor(angle / (Math.PI * 2) * CIRCULARITY_SECTORS) % CIRCULARITY_SECTORS;
+    
+    if (radius > sectors[sector]) {
+        sectors[sector] = radius;
+        return true;
+    }
+    return false;
+}
+
+function analyzeCircularity(sectors) {
+    const sectorDegrees = 360 / CIRCULARITY_SECTORS;
+    const covered = [];
+    
+    sectors.forEach((radius, sector) => {
+        if (radius >= CIRCULARITY_MIN_RADIUS) {
+            covered.push({ sector: sector, angle: (sector + 0.5) * sectorDegrees, radius: radius });
+        }
+    });
+    
+    const coverage = covered.length / CIRCULARITY_SECTORS;
+    if (covered.length === 0) {
+        return { coverage: 0, averageError: null, worst: null, diagonals: null, gate: null };
+    }
+    
+    // Error relative to the ideal unit circle, per covered sector
+    const averageError = covered.reduce((sum, s) => sum + Math.abs(s.radius - 1), 0) / covered.length * 100;
+    const worst = covered.reduce((a, b) => Math.abs(b.radius - 1) > Math.abs(a.radius - 1) ? b : a);
+    
+    // Diagonals: average of the sectors within ±5° of each 45° direction
+    const diagonals = {};
+    [['NE', 45], ['NW', 135], ['SW', 225], ['SE', 315]].forEach(pair => {
+        const near = covered.filter(s => Math.abs(s.angle - pair[1]) <= 5);
+        diagonals[pair[0]] = near.length > 0
+            ? (near.reduce((sum, s) => sum + s.radius, 0) / near.length - 1) * 100
+            : null;
+    });
+    
+    return {
+        coverage: coverage,
+        averageError: averageError,
+        worst: {
+            from: worst.sector * sectorDegrees,
+            to: (worst.sector + 1) * sectorDegrees,
+            radius: worst.radius,
+            error: (worst.radius - 1) * 100
+        },
+        diagonals: diagonals,
+        gate: coverage >= CIRCULARITY_MIN_COVERAGE ? classifyGateShape(covered) : null
+    };
+}
+
+function classifyGateShape(covered) {
+    // Fit each ideal gate outline (scaled to the data) and keep the one with the smallest residual
+    const toRadians = Math.PI / 180;
+    const models = {
+        circular: () => 1,
+        square: (angle) => 1 / Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle))),
+        // Regular octagon with its corners (notches) on the 8 cardinal / diagonal directions
+        octagonal: (angle) => {
+            const phase = ((angle % (Math.PI / 4)) + Math.PI / 4) % (Math.PI / 4);
+            return Math.cos(Math.PI / 8) / Math.cos(phase - Math.PI / 8);
+        }
+    };
+    
+    let best = null;
+    Object.keys(models).forEach(name => {
+        const shape = covered.map(s => models[name](s.angle * toRadians));
+        
+        // Least-squares scale factor, then RMS residual relative to that scale
+        const scale = covered.reduce((sum, s, i) => sum + s.radius * shape[i], 0) /
+                      shape.reduce((sum, value) => sum + value * value, 0);
+        const residual = Math.sqrt(covered.reduce((sum, s, i) => {
+            const diff = s.radius - scale * shape[i];
+            return sum + diff * diff;
+        }, 0) / covered.length) / scale;
+        
+        if (!best || residual < best.residual) {
+            best = { shape: name, residual: residual, scale: scale };
+        }
+    });
+    
+    return best;
+}
+
+function renderCircularityAnalysis(analysis) {
+    const set = (id, text) => {
+        document.getElementById(id).textContent = text;
+    };
+    const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    
+    if (!analysis || analysis.averageError === null) {
+        set('circularity-error', '0.00%');
+        set('circularity-worst', '-');
+        set('circularity-diagonals', '-');
+        set('circularity-coverage', analysis ? `${(analysis.coverage * 100).toFixed(0)}%` : '0%');
+        set('circularity-gate', '-');
+        return;
+    }
+    
+    set('circularity-error', `${analysis.averageError.toFixed(2)}%`);
+    set('circularity-worst', `${analysis.worst.from}°–${analysis.worst.to}° (${signed(analysis.worst.error)})`);
+    set('circularity-diagonals', ['NE', 'NW', 'SW', 'SE'].map(name => {
+        const value = analysis.diagonals[name];
+        return `${name} ${value === null ? '-' : signed(value)}`;
+    }).join('  '));
+    set('circularity-coverage', `${(analysis.coverage * 100).toFixed(0)}%`);
+    set('circularity-gate', analysis.gate
+        ? `${analysis.gate.shape.charAt(0).toUpperCase()}${analysis.gate.shape.slice(1)} (fit ±${(analysis.gate.residual * 100).toFixed(1)}%)`
+        : 'Rotate the stick around the full edge');
+}
+
+// ==========================================
+// RETURN-TO-CENTER (Snap-back Analysis)
+// ==========================================
+// Watches both sticks for releases - the stick falling from the edge to near centre faster
+// than a thumb would guide it - and analyzes the spring's return: time until it stays put,
+// how far it overshoots past centre, how often it rings across centre and where it ends up.
+// Results are grouped by the direction of the flick, since worn springs are rarely uniform.
+
+function updateReturnToCenter(gamepad, timestamp) {
+    const sticks = { left: 0, right: 2 };
+    
+    Object.keys(sticks).forEach(stick => {
+        const offset = sticks[stick];
+        if (gamepad.axes.length < offset + 2) return;
+        
+        const x = gamepad.axes[offset];
+        const y = gamepad.axes[offset + 1];
+        trackStickRelease(stick, x, y, timestamp);
+    });
+}
+
+function trackStickRelease(stick, x, y, t) {
+    const data = GamepadTester.returnToCenter;
+    const tracker = data.trackers[stick];
+    const radius = Math.sqrt(x * x + y * y);
+    
+    if (tracker.phase === 'settling') {
+        // Grabbed again before it settled - not a clean release
+        if (radius >= RETURN_FLICK_RADIUS) {
+            data.trackers[stick] = { phase: 'held', direction: { x: x / radius, y: y / radius }, edgeTime: t };
+            return;
+        }
+        
+        tracker.samples.push({ t: t, x: x, y: y });
+        if (t - tracker.releaseTime >= RETURN_WINDOW_MS) {
+            data.events.push(analyzeStickRelease(stick, tracker.direction, tracker.releaseTime, tracker.samples));
+            if (data.events.length > RETURN_EVENT_LIMIT) {
+                data.events.shift();
+            }
+            data.trackers[stick] = { phase: 'idle' };
+            renderReturnToCenter();
+        }
+        return;
+    }
+    
+    if (radius >= RETURN_FLICK_RADIUS) {
+        data.trackers[stick] = { phase: 'held', direction: { x: x / radius, y: y / radius }, edgeTime: t };
+        return;
+    }
+    
+    if (tracker.phase !== 'held') return;
+    
+    if (t - tracker.edgeTime > RETURN_RELEASE_MAX_MS) {
+        data.trackers[stick] = { phase: 'idle' };
+    } else if (radius < RETURN_RELEASE_RADIUS) {
+        data.trackers[stick] = {
+            phase: 'settling',
+            direction: tracker.direction,
+            releaseTime: tracker.edgeTime,
+            samples: [{ t: t, x: x, y: y }]
+        };
+    }
+}
+
+function analyzeStickRelease(stick, direction, releaseTime, samples) {
+    const tail = samples.filter(sample => sample.t >= releaseTime + RETURN_WINDOW_MS - RETURN_REST_MS);
+    const rest = {
+        x: tail.reduce((sum, sample) => sum + sample.x, 0) / tail.length,
+        y: tail.reduce((sum, sample) => sum + sample.y, 0) / tail.length
+    };
+    
+    // Position along the flick direction: positive towards where it was pushed
+    const along = (sample) => sample.x * direction.x + sample.y * direction.y;
+    const overshoot = Math.max(0, -Math.min.apply(null, samples.map(along)));
+    
+    // Centre crossings, with hysteresis so noise around rest doesn't count
+    const restAlong = along(rest);
+    let side = 0;
+    let oscillations = 0;
+    samples.forEach(sample => {
+        const position = along(sample) - restAlong;
+        if (position > RETURN_RING_THRESHOLD && side < 0) oscillations++;
+        if (position < -RETURN_RING_THRESHOLD && side > 0) oscillations++;
+        if (Math.abs(position) > RETURN_RING_THRESHOLD) side = Math.sign(position);
+    });
+    
+    // Settled from the first sample after the last excursion outside the band around rest
+    let last = -1;
+    samples.forEach((sample, i) => {
+        if (Math.sqrt((sample.x - rest.x) ** 2 + (sample.y - rest.y) ** 2) > RETURN_SETTLE_BAND) {
+            last = i;
+        }
+    });
+    const settled = last < samples.length - 1;
+    
+    const angle = Math.atan2(-direction.y, direction.x);
+    const sector = (Math.round(angle / (Math.PI / 4)) + 8) % 8;
+    
+    return {
+        stick: stick,
+        direction: RETURN_DIRECTIONS[sector],
+        time: releaseTime,
+        settleTime: settled ? samples[last + 1].t - releaseTime : null,
+        overshoot: overshoot,
+        oscillations: oscillations,
+        rest: rest,
+        restOffset: Math.sqrt(rest.x * rest.x + rest.y * rest.y)
+    };
+}
+
+function resetReturnToCenter() {
+    GamepadTester.returnToCenter.trackers = { left: { phase: 'idle' }, right: { phase: 'idle' } };
+    GamepadTester.returnToCenter.events = [];
+    
+    renderReturnToCenter();
+    
+    const canvas = document.getElementById('circularity-canvas');
+    drawCircularityTest(canvas.getContext('2d'), canvas.width, canvas.height);
+}
+
+function renderReturnToCenter() {
+    const stick = GamepadTester.selectedCircle;
+    const events = GamepadTester.returnToCenter.events.filter(event => event.stick === stick);
+    const status = document.getElementById('return-status');
+    const ms = (value) => value === null ? 'never' : `${value.toFixed(0)} ms`;
+    
+    if (events.length === 0) {
+        status.textContent = `Flick the ${stick} stick to the edge and let go - releases are detected automatically.`;
+    } else {
+        const last = events[events.length - 1];
+        status.textContent = `${events.length} release(s) on the ${stick} stick · last: ${last.direction}, settled ${ms(last.settleTime)}, ` +
+            `overshoot ${(last.overshoot * 100).toFixed(1)}%, rest offset ${last.restOffset.toFixed(4)}`;
+    }
+    
+    // Compass order, so opposite directions are easy to compare
+    const order = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    document.getElementById('return-table').innerHTML = order.map(direction => {
+        const group = events.filter(event => event.direction === direction);
+        if (group.length === 0) {
+            return `
+                <tr>
+                    <td class="input-name">${direction}</td>
+                    <td class="input-value">0</td>
+                    <td class="input-value">-</td>
+                    <td class="input-value">-</td>
+                    <td class="input-value">-</td>
+                    <td class="input-value">-</td>
+                </tr>
+            `;
+        }
+        
+        const settleTimes = group.map(event => event.settleTime);
+        const unsettled = settleTimes.some(value => value === null);
+        const maxSettle = unsettled ? null : Math.max.apply(null, settleTimes);
+        const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        const settledTimes = settleTimes.filter(value => value !== null);
+        const restOffset = average(group.map(event => event.restOffset));
+        
+        return `
+            <tr>
+                <td class="input-name">${direction}</td>
+                <td class="input-value">${group.length}</td>
+                <td class="input-value ${unsettled ? 'fail' : ''}">${settledTimes.length > 0 ? ms(average(settledTimes)) : '-'} / ${ms(maxSettle)}</td>
+                <td class="input-value">${(Math.max.apply(null, group.map(event => event.overshoot)) * 100).toFixed(1)}%</td>
+                <td class="input-value">${average(group.map(event => event.oscillations)).toFixed(1)}</td>
+                <td class="input-value ${restOffset > RETURN_SETTLE_BAND ? 'fail' : ''}">${restOffset.toFixed(4)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function drawRestScatter(ctx, centerX, centerY, scale) {
+    const events = GamepadTester.returnToCenter.events.filter(event => event.stick === GamepadTester.selectedCircle);
+    if (events.length === 0) return;
+    
+    // Rest offsets are a few % at most, so the scatter is magnified around centre
+    const zoom = scale * RETURN_SCATTER_ZOOM;
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, RETURN_SETTLE_BAND * zoom, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    events.forEach(event => {
+        ctx.fillStyle = event.restOffset > RETURN_SETTLE_BAND ? '#ff3366' : '#ffffff';
+        ctx.beginPath();
+        ctx.arc(centerX + event.rest.x * zoom, centerY + event.rest.y * zoom, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    ctx.fillText(`rest positions ×${RETURN_SCATTER_ZOOM}`, 10, 2 * centerY - 10);
+}
+
+// ==========================================
+// STICK PROCESSING (Deadzone & Response Curve)
+// ==========================================
+// Deadzone shapes follow the usual game-input formulations:
+//   axial         - each axis is zeroed independently below the inner deadzone
+//   radial        - the stick is zeroed while its distance from center is inside the deadzone
+//   scaled-radial - radial, then the remaining travel is rescaled to start at 0
+//   hybrid        - scaled radial followed by a sloped axial deadzone (snaps near-cardinal input)
+// The outer deadzone is the amount of travel at the edge treated as full deflection.
+// The response curve is applied to the deflection after the deadzone.
+
+function processStick(x, y, settings = GamepadTester.stickProcessing) {
+    const limit = Math.max(1 - settings.outer, 0.01);
+    const inner = Math.min(settings.inner, limit - 0.01);
+    
+    if (settings.shape === 'axial') {
+        // Axial deadzone and curve act on each axis separately
+        const shapeAxis = (value) => {
+            const magnitude = Math.abs(value);
+            if (magnitude < inner) return 0;
+            return Math.sign(value) * applyResponseCurve(Math.min(1, magnitude / limit), settings);
+        };
+        
+        return { x: shapeAxis(x), y: shapeAxis(y) };
+    }
+    
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude < inner || magnitude === 0) {
+        return { x: 0, y: 0 };
+    }
+    
+    // Deflection after the inner / outer deadzone, in 0..1
+    let deflection;
+    if (settings.shape === 'radial') {
+        deflection = Math.min(1, magnitude / limit);
+    } else {
+        deflection = clamp((magnitude - inner) / (limit - inner), 0, 1);
+    }
+    
+    const scale = applyResponseCurve(deflection, settings) / magnitude;
+    let outX = x * scale;
+    let outY = y * scale;
+    
+    if (settings.shape === 'hybrid') {
+        // Sloped axial: the deadzone on one axis grows with deflection on the other
+        if (Math.abs(outX) < inner * Math.abs(outY)) outX = 0;
+        if (Math.abs(outY) < inner * Math.abs(outX)) outY = 0;
+    }
+    
+    return { x: outX, y: outY };
+}
+
+function applyResponseCurve(value, settings = GamepadTester.stickProcessing) {
+    if (settings.curve === 'exponential') {
+        return Math.pow(value, settings.exponent);
+    }
+    
+    if (settings.curve === 'bezier') {
+        return evaluateBezierCurve(value, settings.bezier);
+    }
+    
+    return value;
+}
+
+function evaluateBezierCurve(x, controlPoints) {
+    // CSS-style cubic-bezier from (0,0) to (1,1): find t where bezierX(t) = x, return bezierY(t)
+    const x1 = controlPoints[0];
+    const y1 = controlPoints[1];
+    const x2 = controlPoints[2];
+    const y2 = controlPoints[3];
+    const bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+    
+    // Bisection is plenty fast for a handful of calls per frame and never diverges
+    let low = 0;
+    let high = 1;
+    let t = x;
+    
+    for (let i = 0; i < 30; i++) {
+        const estimate = bezier(t, x1, x2);
+        if (Math.abs(estimate - x) < 1e-5) break;
+        
+        if (estimate < x) {
+            low = t;
+        } else {
+            high = t;
+        }
+        t = (low + high) / 2;
+    }
+    
+    return clamp(bezier(t, y1, y2), 0, 1);
+}
+
+function setupStickProcessingControls() {
+    const settings = GamepadTester.stickProcessing;
+    
+    document.getElementById('deadzone-shape').addEventListener('change', (e) => {
+        settings.shape = e.target.value;
+        onStickProcessingChanged();
+    });
+    
+    document.getElementById('deadzone-inner').addEventListener('input', (e) => {
+        settings.inner = parseFloat(e.target.value);
+        onStickProcessingChanged();
+    });
+    
+    document.getElementById('deadzone-outer').addEventListener('input', (e) => {
+        settings.outer = parseFloat(e.target.value);
+        onStickProcessingChanged();
+    });
+    
+    document.getElementById('curve-type').addEventListener('change', (e) => {
+        settings.curve = e.target.value;
+        onStickProcessingChanged();
+    });
+    
+    document.getElementById('curve-exponent').addEventListener('input', (e) => {
+        settings.exponent = parseFloat(e.target.value);
+        onStickProcessingChanged();
+    });
+    
+    document.querySelectorAll('.bezier-point').forEach((input, i) => {
+        input.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) return;
+            
+            // X control points must stay in 0..1 for the curve to remain a function
+            settings.bezier[i] = i % 2 === 0 ? clamp(value, 0, 1) : value;
+            onStickProcessingChanged();
+        });
+    });
+    
+    document.getElementById('deadzone-use-drift').addEventListener('click', () => {
+        const results = GamepadTester.driftTest.results;
+        if (!results) {
+            showToast('Run the drift test first', 'error');
+            return;
+        }
+        
+        const recommended = [results.left, results.right]
+            .filter(Boolean)
+            .reduce((max, stick) => Math.max(max, stick.recommendedDeadzone), 0);
+        settings.inner = Math.min(recommended, 0.5);
+        onStickProcessingChanged();
+        showToast(`Inner deadzone set to ${settings.inner.toFixed(2)}`, 'success');
+    });
+    
+    document.getElementById('export-stick-profile').addEventListener('click', exportStickProfile);
+    
+    const fileInput = document.getElementById('stick-profile-file');
+    document.getElementById('import-stick-profile').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importStickProfile(file);
+        }
+        e.target.value = '';
+    });
+    
+    document.getElementById('reset-stick-profile').addEventListener('click', () => {
+        Object.assign(settings, {
+            shape: 'axial',
+            inner: 0.05,
+            outer: 0,
+            curve: 'linear',
+            exponent: 2,
+            bezier: [0.4, 0, 0.6, 1]
+        });
+        onStickProcessingChanged();
+    });
+    
+    syncStickProcessingUI();
+    drawResponseCurve();
+}
+
+function onStickProcessingChanged() {
+    syncStickProcessingUI();
+    drawResponseCurve();
+    
+    // Redraw the circularity plot immediately so the overlay follows the sliders
+    const canvas = document.getElementById('circularity-canvas');
+    drawCircularityTest(canvas.getContext('2d'), canvas.width, canvas.height);
+}
+
+function syncStickProcessingUI() {
+    const settings = GamepadTester.stickProcessing;
+    
+    document.getElementById('deadzone-shape').value = settings.shape;
+    document.getElementById('deadzone-inner').value = settings.inner;
+    document.getElementById('deadzone-inner-value').textContent = settings.inner.toFixed(2);
+    document.getElementById('deadzone-outer').value = settings.outer;
+    document.getElementById('deadzone-outer-value').textContent = settings.outer.toFixed(2);
+    document.getElementById('curve-type').value = settings.curve;
+    document.getElementById('curve-exponent').value = settings.exponent;
+    document.getElementById('curve-exponent-value').textContent = settings.exponent.toFixed(1);
+    
+    document.querySelectorAll('.bezier-point').forEach((input, i) => {
+        if (document.activeElement !== input) {
+            input.value = settings.bezier[i];
+        }
+    });
+    
+    document.getElementById('curve-exponent-group').classList.toggle('hidden', settings.curve !== 'exponential');
+    document.getElementById('curve-bezier-group').classList.toggle('hidden', settings.curve !== 'bezier');
+}
+
+function drawResponseCurve() {
+    const canvas = document.getElementById('curve-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 20;
+    const size = width - padding * 2;
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Identity line for reference
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(padding, padding, size, size);
+    ctx.beginPath();
+    ctx.moveTo(padding, height - padding);
+    ctx.lineTo(width - padding, padding);
+    ctx.stroke();
+    
+    // Input deflection -> output deflection along one axis, deadzones included
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    
+    for (let i = 0; i <= size; i++) {
+        const input = i / size;
+        const output = processStick(input, 0).x;
+        const x = padding + i;
+        const y = height - padding - output * size;
+        
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    ctx.stroke();
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '10px Share Tech Mono';
+    ctx.fillText('in', width - padding - 10, height - 6);
+    ctx.fillText('out', 2, padding - 6);
+}
+
+function drawDeadzoneOverlay(ctx, centerX, centerY, scale) {
+    const settings = GamepadTester.stickProcessing;
+    
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 204, 0, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    
+    // Inner deadzone: a band around each axis for axial, a circle otherwise
+    if (settings.inner > 0) {
+        const inner = settings.inner * scale;
+        
+        if (settings.shape === 'axial') {
+            ctx.strokeRect(centerX - inner, centerY - scale, inner * 2, scale * 2);
+            ctx.strokeRect(centerX - scale, centerY - inner, scale * 2, inner * 2);
+        } else {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, inner, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+    
+    // Outer deadzone: input beyond this is reported as full deflection
+    if (settings.outer > 0) {
+        const outer = (1 - settings.outer) * scale;
+        
+        ctx.beginPath();
+        if (settings.shape === 'axial') {
+            ctx.rect(centerX - outer, centerY - outer, outer * 2, outer * 2);
+        } else {
+            ctx.arc(centerX, centerY, outer, 0, Math.PI * 2);
+        }
+        ctx.stroke();
+    }
+    
+    ctx.restore();
+}
+
+function buildStickProfile() {
+    const settings = GamepadTester.stickProcessing;
+    const gamepad = GamepadTester.gamepads[GamepadTester.activeGamepadIndex];
+    
+    return {
+        format: STICK_PROFILE_FORMAT,
+        version: STICK_PROFILE_VERSION,
+        device: gamepad ? gamepad.id : null,
+        deadzone: {
+            shape: settings.shape,
+            inner: settings.inner,
+            outer: settings.outer
+        },
+        curve: {
+            type: settings.curve,
+            exponent: settings.exponent,
+            bezier: settings.bezier.slice()
+        }
+    };
+}
+
+function exportStickProfile() {
+    downloadFile('stick-profile.json', JSON.stringify(buildStickProfile(), null, 2), 'application/json');
+}
+
+function importStickProfile(file) {
+    file.text().then(text => {
+        const profile = JSON.parse(text);
+        
+        if (profile.format !== STICK_PROFILE_FORMAT || !profile.deadzone || !profile.curve) {
+            throw new Error('Not a stick profile');
+        }
+        if (profile.version > STICK_PROFILE_VERSION) {
+            throw new Error(`Unsupported profile version ${profile.version}`);
+        }
+        
+        const settings = GamepadTester.stickProcessing;
+        const shapes = ['axial', 'radial', 'scaled-radial', 'hybrid'];
+        const curves = ['linear', 'exponential', 'bezier'];
+        
+        settings.shape = shapes.includes(profile.deadzone.shape) ? profile.deadzone.shape : settings.shape;
+        settings.inner = clamp(Number(profile.deadzone.inner) || 0, 0, 0.5);
+        settings.outer = clamp(Number(profile.deadzone.outer) || 0, 0, 0.5);
+        settings.curve = curves.includes(profile.curve.type) ? profile.curve.type : settings.curve;
+        settings.exponent = clamp(Number(profile.curve.exponent) || 1, 0.1, 5);
+        // Same rules as the control point inputs - a non-numeric point keeps the current curve
+        const bezier = Array.isArray(profile.curve.bezier) && profile.curve.bezier.length === 4
+            ? profile.curve.bezier.map(Number)
+            : null;
+        if (bezier && bezier.every(value => isFinite(value))) {
+            settings.bezier = bezier.map((value, i) => i % 2 === 0 ? clamp(value, 0, 1) : value);
+        }
+        
+        onStickProcessingChanged();
+        showToast('Stick profile loaded', 'success');
+    }).catch(error => {
+        console.error('Profile load error:', error);
+        showToast(`Could not load profile: ${error.message}`, 'error');
+    });
+}
+
+// ==========================================
+// STICK DRIFT DIAGNOSTIC
+// ==========================================
+// Guided test: the user lets go of both sticks, we wait for them to settle and
+// then sample the resting axes. Drift shows up as a mean offset from center,
+// noise as peak-to-peak / standard deviation around that mean.
+
+function setupDriftTestControls() {
+    document.getElementById('drift-duration').value = DRIFT_DEFAULTS.duration;
+    document.getElementById('drift-max-offset').value = DRIFT_DEFAULTS.maxOffset;
+    document.getElementById('drift-max-noise').value = DRIFT_DEFAULTS.maxNoise;
+    
+    document.getElementById('drift-start').addEventListener('click', () => {
+        if (GamepadTester.driftTest.phase === 'settling' || GamepadTester.driftTest.phase === 'sampling') {
+            cancelDriftTest();
+        } else {
+            startDriftTest();
+        }
+    });
+    
+    // Re-judge the last run when thresholds change - no need to sample again
+    ['drift-max-offset', 'drift-max-noise'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const test = GamepadTester.driftTest;
+            if (test.phase === 'done') {
+                test.results = analyzeDriftTest(test.samples, getDriftThresholds());
+                renderDriftResults(test.results);
+            }
+        });
+    });
+}
+
+function getDriftThresholds() {
+    const read = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) || value < 0 ? fallback : value;
+    };
+    
+    return {
+        duration: read('drift-duration', DRIFT_DEFAULTS.duration),
+        maxOffset: read('drift-max-offset', DRIFT_DEFAULTS.maxOffset),
+        maxNoise: read('drift-max-noise', DRIFT_DEFAULTS.maxNoise)
+    };
+}
+
+function startDriftTest() {
+    const test = GamepadTester.driftTest;
+    test.phase = 'settling';
+    test.phaseStart = 0; // Set on the first processed frame so replay timing works too
+    test.samples = { left: [], right: [] };
+    test.results = null;
+    
+    document.getElementById('drift-results').classList.add('hidden');
+    document.getElementById('drift-start').textContent = 'Cancel';
+    setDriftStatus('Let go of both sticks...', 0);
+}
+
+function cancelDriftTest() {
+    GamepadTester.driftTest.phase = 'idle';
+    document.getElementById('drift-start').textContent = 'Start Drift Test';
+    setDriftStatus('Test cancelled', 0);
+}
+
+function updateDriftTest(gamepad, timestamp) {
+    const test = GamepadTester.driftTest;
+    if (test.phase !== 'settling' && test.phase !== 'sampling') return;
+    
+    if (test.phaseStart === 0) {
+        test.phaseStart = timestamp;
+    }
+    
+    const elapsed = timestamp - test.phaseStart;
+    
+    // Give springs time to return the sticks to rest before sampling
+    if (test.phase === 'settling') {
+        setDriftStatus('Let go of both sticks...', 0);
+        
+        if (elapsed >= DRIFT_SETTLE_MS) {
+            test.phase = 'sampling';
+            test.phaseStart = timestamp;
+        }
+        return;
+    }
+    
+    const sticks = { left: 0, right: 2 };
+    let touched = false;
+    
+    Object.keys(sticks).forEach(stick => {
+        const offset = sticks[stick];
+        if (gamepad.axes.length < offset + 2) return;
+        
+        const x = gamepad.axes[offset];
+        const y = gamepad.axes[offset + 1];
+        
+        if (Math.sqrt(x * x + y * y) > DRIFT_TOUCH_RADIUS) {
+            touched = true;
+        }
+        
+        test.samples[stick].push({ x: x, y: y });
+    });
+    
+    // A deliberate movement invalidates the run - start sampling over
+    if (touched) {
+        test.phase = 'settling';
+        test.phaseStart = timestamp;
+        test.samples = { left: [], right: [] };
+        showToast('Stick moved during drift test - restarting, keep hands off', 'error');
+        return;
+    }
+    
+    const duration = getDriftThresholds().duration * 1000;
+    setDriftStatus('Sampling resting position - keep hands off...', elapsed / duration);
+    
+    if (elapsed >= duration) {
+        finishDriftTest();
+    }
+}
+
+function finishDriftTest() {
+    const test = GamepadTester.driftTest;
+    test.phase = 'done';
+    test.results = analyzeDriftTest(test.samples, getDriftThresholds());
+    
+    document.getElementById('drift-start').textContent = 'Run Again';
+    setDriftStatus('Test complete', 1);
+    renderDriftResults(test.results);
+}
+
+function analyzeDriftTest(samples, thresholds) {
+    const results = {
+        thresholds: thresholds,
+        left: analyzeDriftSamples(samples.left, thresholds),
+        right: analyzeDriftSamples(samples.right, thresholds)
+    };
+    
+    const sticks = [results.left, results.right].filter(Boolean);
+    results.pass = sticks.length > 0 && sticks.every(stick => stick.pass);
+    
+    return results;
+}
+
+function analyzeDriftSamples(samples, thresholds) {
+    if (samples.length === 0) return null;
+    
+    const xs = samples.map(sample => sample.x);
+    const ys = samples.map(sample => sample.y);
+    const x = describeAxisSamples(xs);
+    const y = describeAxisSamples(ys);
+    
+    const offset = Math.sqrt(x.mean * x.mean + y.mean * y.mean);
+    const noise = Math.max(x.peakToPeak, y.peakToPeak);
+    
+    // The smallest radial deadzone that swallows every resting sample, rounded up to 0.01
+    const maxRadius = samples.reduce((max, sample) => {
+        return Math.max(max, Math.sqrt(sample.x * sample.x + sample.y * sample.y));
+    }, 0);
+    const recommendedDeadzone = Math.ceil(maxRadius * 100) / 100;
+    
+    return {
+        sampleCount: samples.length,
+        x: x,
+        y: y,
+        offset: offset,
+        direction: describeDriftDirection(x.mean, y.mean, offset),
+        noise: noise,
+        maxRadius: maxRadius,
+        recommendedDeadzone: recommendedDeadzone,
+        offsetPass: offset <= thresholds.maxOffset,
+        noisePass: noise <= thresholds.maxNoise,
+        pass: offset <= thresholds.maxOffset && noise <= thresholds.maxNoise
+    };
+}
+
+function describeAxisSamples(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+    const min = Math.min.apply(null, values);
+    const max = Math.max.apply(null, values);
+    
+    return {
+        mean: mean,
+        stdDev: Math.sqrt(variance),
+        min: min,
+        max: max,
+        peakToPeak: max - min
+    };
+}
+
+function describeDriftDirection(meanX, meanY, offset) {
+    // Offsets this small are indistinguishable from quantization noise
+    if (offset < 0.005) return 'Centered';
+    
+    // Gamepad Y is positive downwards, flip it so 0° points right and 90° points up
+    const angle = (Math.atan2(-meanY, meanX) * 180 / Math.PI + 360) % 360;
+    const directions = ['Right', 'Up-Right', 'Up', 'Up-Left', 'Left', 'Down-Left', 'Down', 'Down-Right'];
+    const direction = directions[Math.round(angle / 45) % 8];
+    
+    return `${direction} (${Math.round(angle)}°)`;
+}
+
+function setDriftStatus(message, progress) {
+    document.getElementById('drift-status').textContent = message;
+    document.getElementById('drift-progress').style.width = `${clamp(progress, 0, 1) * 100}%`;
+}
+
+function renderDriftResults(results) {
+    document.getElementById('drift-results').classList.remove('hidden');
+    
+    ['left', 'right'].forEach(stick => {
+        const result = results[stick];
+        const card = document.getElementById(`drift-${stick}`);
+        const verdict = card.querySelector('.drift-verdict');
+        
+        if (!result) {
+            verdict.textContent = 'N/A';
+            verdict.className = 'drift-verdict';
+            card.querySelector('.drift-rows').innerHTML = '<div class="drift-row"><span>Stick not reported by this controller</span></div>';
+            return;
+        }
+        
+        verdict.textContent = result.pass ? 'PASS' : 'FAIL';
+        verdict.className = `drift-verdict ${result.pass ? 'pass' : 'fail'}`;
+        
+        const rows = [
+            ['Mean offset (X, Y)', `${result.x.mean.toFixed(4)}, ${result.y.mean.toFixed(4)}`],
+            ['Offset magnitude', result.offset.toFixed(4), result.offsetPass],
+            ['Drift direction', result.direction],
+            ['Peak-to-peak (X / Y)', `${result.x.peakToPeak.toFixed(4)} / ${result.y.peakToPeak.toFixed(4)}`, result.noisePass],
+            ['Std deviation (X / Y)', `${result.x.stdDev.toFixed(4)} / ${result.y.stdDev.toFixed(4)}`],
+            ['Recommended deadzone', result.recommendedDeadzone.toFixed(2)],
+            ['Samples', result.sampleCount]
+        ];
+        
+        card.querySelector('.drift-rows').innerHTML = rows.map(row => {
+            const stateClass = row[2] === undefined ? '' : (row[2] ? 'pass' : 'fail');
+            return `<div class="drift-row"><span>${row[0]}</span><span class="drift-value ${stateClass}">${row[1]}</span></div>`;
+        }).join('');
+    });
+}
+
+// ==========================================
+// BUTTON DEBOUNCE & CHATTER DETECTOR
+// ==========================================
+// Worn switches bounce: a single physical press shows up as very short presses or
+// two presses in quick succession. Every press / release edge is logged with the
+// device timestamp; short holds and short release-to-press gaps are flagged.
+
+function setupChatterControls() {
+    document.getElementById('chatter-short-press').value = CHATTER_DEFAULTS.shortPress;
+    document.getElementById('chatter-gap').value = CHATTER_DEFAULTS.chatterGap;
+    document.getElementById('chatter-guided-presses').value = CHATTER_DEFAULTS.guidedPresses;
     
-    if (lastTime > 0) {
-        // Calculate frame delta (time between frames in milliseconds)
-        const frameDelta = currentTime - lastTime;
-        GamepadTester.performance.frameDeltas.push(frameDelta);
+    document.getElementById('chatter-guided').addEventListener('click', () => {
+        if (GamepadTester.buttonEdges.guided && GamepadTester.buttonEdges.guided.active) {
+            finishGuidedButtonTest();
+        } else {
+            startGuidedButtonTest();
+        }
+    });
+    
+    document.getElementById('chatter-reset').addEventListener('click', () => {
+        resetButtonEdges();
+        renderButtonEdges();
+    });
+    
+    renderButtonEdges();
+}
+
+function getChatterThresholds() {
+    const read = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) || value < 0 ? fallback : value;
+    };
+    
+    return {
+        shortPress: read('chatter-short-press', CHATTER_DEFAULTS.shortPress),
+        chatterGap: read('chatter-gap', CHATTER_DEFAULTS.chatterGap),
+        guidedPresses: Math.max(1, Math.round(read('chatter-guided-presses', CHATTER_DEFAULTS.guidedPresses)))
+    };
+}
+
+function resetButtonEdges() {
+    const edges = GamepadTester.buttonEdges;
+    edges.buttons = {};
+    edges.log = [];
+    edges.guided = null;
+    document.getElementById('chatter-guided').textContent = 'Start Guided Test';
+}
+
+function updateButtonEdges(gamepad, timestamp) {
+    const edges = GamepadTester.buttonEdges;
+    const thresholds = getChatterThresholds();
+    
+    // Prefer the device's own timestamp; fall back to the poll time if it isn't reported
+    const time = gamepad.timestamp || timestamp;
+    let changed = false;
+    
+    gamepad.buttons.forEach((button, index) => {
+        let stats = edges.buttons[index];
+        if (!stats) {
+            stats = edges.buttons[index] = {
+                pressed: button.pressed,
+                pressTime: null,
+                lastRelease: null,
+                presses: 0,
+                minHold: null,
+                suspicious: []
+            };
+            return;
+        }
         
-        // Keep only last 60 frames for averaging
-        if (GamepadTester.performance.frameDeltas.length > 60) {
-            GamepadTester.performance.frameDeltas.shift();
+        if (button.pressed === stats.pressed) return;
+        stats.pressed = button.pressed;
+        changed = true;
+        
+        // A clock that went backwards (replay seek) gives no duration rather than a bogus short one
+        if (button.pressed) {
+            stats.presses++;
+            stats.pressTime = time;
+            
+            const gap = stats.lastRelease !== null && time >= stats.lastRelease ? time - stats.lastRelease : null;
+            const flagged = gap !== null && gap < thresholds.chatterGap;
+            if (flagged) {
+                stats.suspicious.push({ type: 'chatter', time: time, duration: gap });
+            }
+            logButtonEdge(index, 'press', time, gap, flagged);
+        } else {
+            stats.lastRelease = time;
+            
+            const hold = stats.pressTime !== null && time >= stats.pressTime ? time - stats.pressTime : null;
+            const flagged = hold !== null && hold < thresholds.shortPress;
+            if (hold !== null) {
+                stats.minHold = stats.minHold === null ? hold : Math.min(stats.minHold, hold);
+            }
+            if (flagged) {
+                stats.suspicious.push({ type: 'short', time: time, duration: hold });
+            }
+            logButtonEdge(index, 'release', time, hold, flagged);
+        }
+    });
+    
+    if (changed) {
+        renderButtonEdges();
+    }
+}
+
+function logButtonEdge(button, type, time, duration, suspicious) {
+    const log = GamepadTester.buttonEdges.log;
+    log.unshift({ button: button, type: type, time: time, duration: duration, suspicious: suspicious });
+    
+    if (log.length > BUTTON_LOG_LIMIT) {
+        log.pop();
+    }
+}
+
+function startGuidedButtonTest() {
+    resetButtonEdges();
+    
+    // Seed the edge tracker with the current state so held buttons don't count as presses
+    const gamepad = GamepadTester.gamepads[GamepadTester.activeGamepadIndex];
+    if (gamepad) {
+        updateButtonEdges(gamepad, performance.now());
+    }
+    
+    GamepadTester.buttonEdges.guided = {
+        active: true,
+        target: getChatterThresholds().guidedPresses,
+        results: null
+    };
+    
+    document.getElementById('chatter-guided').textContent = 'Finish Guided Test';
+    renderButtonEdges();
+}
+
+function finishGuidedButtonTest() {
+    const edges = GamepadTester.buttonEdges;
+    edges.guided.active = false;
+    edges.guided.results = evaluateGuidedButtonTest(edges.buttons, edges.guided.target);
+    
+    document.getElementById('chatter-guided').textContent = 'Start Guided Test';
+    renderButtonEdges();
+    
+    const results = Object.values(edges.guided.results);
+    const failed = results.filter(result => result === 'fail').length;
+    const passed = results.filter(result => result === 'pass').length;
+    showToast(`Button test: ${passed} passed, ${failed} failed`, failed > 0 ? 'error' : 'success');
+}
+
+function evaluateGuidedButtonTest(buttons, target) {
+    // Exactly N presses with no suspicious edges passes; extra presses are ghost presses
+    const results = {};
+    
+    Object.keys(buttons).forEach(index => {
+        const stats = buttons[index];
+        if (stats.presses > target || stats.suspicious.length > 0) {
+            results[index] = 'fail';
+        } else if (stats.presses === target) {
+            results[index] = 'pass';
+        } else {
+            results[index] = stats.presses === 0 ? 'untested' : 'incomplete';
         }
+    });
+    
+    return results;
+}
+
+function renderButtonEdges() {
+    const edges = GamepadTester.buttonEdges;
+    const guided = edges.guided;
+    const ms = (value) => value === null ? '-' : `${value.toFixed(1)} ms`;
+    
+    const rows = Object.keys(edges.buttons).map(index => {
+        const stats = edges.buttons[index];
+        const name = getButtonName(index);
+        let result = '-';
+        let resultClass = '';
         
-        // Calculate average frame delta
-        const avgFrameDelta = GamepadTester.performance.frameDeltas.reduce((a, b) => a + b, 0) / 
-                              GamepadTester.performance.frameDeltas.length;
+        if (guided && guided.results) {
+            // Buttons first pressed after the test finished have no result
+            result = guided.results[index] ? guided.results[index].toUpperCase() : '-';
+            resultClass = guided.results[index] === 'pass' ? 'pass' : guided.results[index] === 'fail' ? 'fail' : '';
+        } else if (guided && guided.active) {
+            result = `${stats.presses} / ${guided.target}`;
+            resultClass = stats.presses > guided.target || stats.suspicious.length > 0 ? 'fail' :
+                          stats.presses === guided.target ? 'pass' : '';
+        }
         
-        // Calculate polling rate in Hz
-        // Polling rate = 1000ms / average frame delta
-        const pollingRate = 1000 / avgFrameDelta;
-        GamepadTester.performance.pollingRates.push(pollingRate);
+        return `
+            <tr>
+                <td class="input-name">${name}</td>
+                <td class="input-value">${stats.presses}</td>
+                <td class="input-state">${ms(stats.minHold)}</td>
+                <td class="input-state ${stats.suspicious.length > 0 ? 'fail' : ''}">${stats.suspicious.length}</td>
+                <td class="input-state ${resultClass}">${result}</td>
+            </tr>
+        `;
+    });
+    
+    document.getElementById('chatter-table').innerHTML = rows.join('');
+    
+    document.getElementById('chatter-log').innerHTML = edges.log.length === 0
+        ? '<li>Press buttons to log edges</li>'
+        : edges.log.map(entry => {
+            const name = getButtonName(entry.button);
+            const detail = entry.duration === null ? '' :
+                entry.type === 'press' ? ` (gap ${ms(entry.duration)})` : ` (held ${ms(entry.duration)})`;
+            return `<li class="${entry.suspicious ? 'fail' : ''}">${entry.time.toFixed(1)} · ${name} ${entry.type}${detail}${entry.suspicious ? ' ⚠️' : ''}</li>`;
+        }).join('');
+}
+
+// ==========================================
+// FIGHTING-GAME INPUT DISPLAY & MOTION RECOGNIZER
+// ==========================================
+// Like a training mode: the left stick (8-way) and the D-pad (buttons 12-15) are combined
+// into one numpad direction (5 = neutral, 6 = right, 2 = down, ...), and every change of
+// direction or held buttons starts a new history entry with its duration in 60 Hz frames.
+// Opposite directions held together (SOCD, e.g. stick left + D-pad right) are flagged and
+// resolved with the selected mode. Motions are matched backwards from the newest direction;
+// directions in between that aren't part of the motion are allowed but counted as extra.
+
+function setupInputDisplayControls() {
+    const display = GamepadTester.inputDisplay;
+    
+    document.getElementById('input-socd').addEventListener('change', (e) => {
+        display.socd = e.target.value;
+    });
+    
+    document.getElementById('input-facing').addEventListener('change', (e) => {
+        display.facing = e.target.value;
+    });
+    
+    document.getElementById('input-clear').addEventListener('click', () => {
+        resetInputDisplay();
+    });
+    
+    renderInputDisplay();
+}
+
+function resetInputDisplay() {
+    const display = GamepadTester.inputDisplay;
+    display.history = [];
+    display.directions = [];
+    display.motions = [];
+    display.consumed = {};
+    display.heldSince = { up: null, down: null, left: null, right: null };
+    
+    renderInputDisplay();
+}
+
+function updateInputDisplay(gamepad, timestamp) {
+    const display = GamepadTester.inputDisplay;
+    
+    // Edges use the device's own timestamp, like the button edge tracker. It stops moving while
+    // the input doesn't change, so the held entry's running count follows the poll time instead.
+    const time = gamepad.timestamp || timestamp;
+    const input = readInputDirection(gamepad, time);
+    const held = INPUT_DISPLAY_BUTTONS.filter(index => gamepad.buttons[index] && gamepad.buttons[index].pressed);
+    const current = display.history[0];
+    
+    if (current && current.direction === input.direction && current.socd === input.socd && current.buttons.join() === held.join()) {
+        // Same input as before - only the top entry's frame count moves
+        setElementText(document.querySelector('#input-history .input-frames'), String(countInputFrames(timestamp - current.polledAt)));
+        return;
+    }
+    
+    if (current) {
+        current.frames = countInputFrames(time - current.time);
+    }
+    
+    const pressed = held.filter(index => !current || !current.buttons.includes(index));
+    display.history.unshift({ direction: input.direction, socd: input.socd, buttons: held, pressed: pressed, time: time, polledAt: timestamp, frames: null });
+    if (display.history.length > INPUT_HISTORY_LIMIT) {
+        display.history.pop();
+    }
+    
+    if (!current || current.direction !== input.direction) {
+        display.directions.push({ direction: input.direction, time: time });
+        if (display.directions.length > INPUT_DIRECTION_LIMIT) {
+            display.directions.shift();
+        }
+        recognizeInputMotion();
+    }
+    
+    // A button pressed right after a motion completes is the special move's button
+    const motion = display.motions[0];
+    if (pressed.length > 0 && motion && motion.button === null &&
+        time - motion.time <= INPUT_MOTION_BUTTON_FRAMES * INPUT_FRAME_MS) {
+        motion.button = pressed.map(getInputButtonLabel).join('+');
+        motion.buttonFrames = Math.round((time - motion.time) / INPUT_FRAME_MS);
+    }
+    
+    renderInputDisplay();
+}
+
+// At least one frame - an input that was seen was held for one
+function countInputFrames(duration) {
+    return Math.max(1, Math.round(duration / INPUT_FRAME_MS));
+}
+
+// Left stick (8-way) and D-pad combined into a numpad direction, with SOCD resolved
+function readInputDirection(gamepad, time) {
+    const display = GamepadTester.inputDisplay;
+    const pressed = (index) => !!(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+    const stick = stickToDirection(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+    
+    const raw = {
+        up: pressed(12) || [7, 8, 9].includes(stick),
+        down: pressed(13) || [1, 2, 3].includes(stick),
+        left: pressed(14) || [1, 4, 7].includes(stick),
+        right: pressed(15) || [3, 6, 9].includes(stick)
+    };
+    
+    // When each direction went down, for last-input-wins
+    Object.keys(raw).forEach(key => {
+        if (!raw[key]) {
+            display.heldSince[key] = null;
+        } else if (display.heldSince[key] === null) {
+            display.heldSince[key] = time;
+        }
+    });
+    
+    let horizontal = (raw.right ? 1 : 0) - (raw.left ? 1 : 0);
+    let vertical = (raw.up ? 1 : 0) - (raw.down ? 1 : 0);
+    const socd = [];
+    
+    // neutral: opposites cancel · last: the later press wins · up: left + right cancel, up beats down
+    if (raw.left && raw.right) {
+        socd.push('L+R');
+        horizontal = display.socd === 'last' ? (display.heldSince.right > display.heldSince.left ? 1 : -1) : 0;
+    }
+    if (raw.up && raw.down) {
+        socd.push('U+D');
+        vertical = display.socd === 'last' ? (display.heldSince.up > display.heldSince.down ? 1 : -1) :
+                   display.socd === 'up' ? 1 : 0;
+    }
+    
+    return { direction: 5 + horizontal + vertical * 3, socd: socd.length > 0 ? socd.join(' ') : null };
+}
+
+function stickToDirection(x, y) {
+    if (Math.sqrt(x * x + y * y) < INPUT_STICK_THRESHOLD) return 5;
+    
+    // 45° sectors centred on the eight directions, counter-clockwise from right with screen Y down
+    const sector = Math.round(Math.atan2(-y, x) / (Math.PI / 4));
+    return [6, 9, 8, 7, 4, 1, 2, 3][(sector + 8) % 8];
+}
+
+function getInputButtonLabel(index) {
+    const profile = GamepadTester.controllerProfile;
+    const glyphs = CONTROLLER_LAYOUTS[profile ? profile.layout : 'generic'].glyphs;
+    return glyphs[index] || `B${index}`;
+}
+
+// Longer motions are tried first, so a half-circle isn't reported as the quarter-circle it ends with.
+// Directions used by a reported motion can't start another one (no quarter-circle out of the end
+// of a dragon punch), except that a 360 may run through a half-circle on its way round.
+function recognizeInputMotion() {
+    const display = GamepadTester.inputDisplay;
+    
+    for (let i = 0; i < INPUT_MOTIONS.length; i++) {
+        const motion = INPUT_MOTIONS[i];
+        const group = motion.rotation ? 'rotation' : 'sequence';
+        const since = group in display.consumed ? display.consumed[group] : -Infinity;
+        const match = motion.rotation
+            ? matchInputRotation(display.directions, motion.window, since)
+            : matchInputSequence(display.directions, display.facing === 'left' ? motion.sequence.map(d => INPUT_MIRROR[d]) : motion.sequence, motion.window, since);
         
-        // Keep only last 60 samples
-        if (GamepadTester.performance.pollingRates.length > 60) {
-            GamepadTester.performance.pollingRates.shift();
+        if (match) {
+            display.consumed[group] = match.end;
+            display.motions.unshift({
+                name: motion.name,
+                frames: Math.round((match.end - match.start) / INPUT_FRAME_MS) + 1,
+                duration: match.end - match.start,
+                extra: match.extra,
+                time: match.end,
+                button: null,
+                buttonFrames: null
+            });
+            if (display.motions.length > INPUT_MOTION_LIMIT) {
+                display.motions.pop();
+            }
+            return;
         }
+    }
+}
+
+// The sequence in order, ending with the newest direction, within the window and after `since`
+function matchInputSequence(directions, sequence, window, since) {
+    const newest = directions.length - 1;
+    if (newest < 0 || directions[newest].direction !== sequence[sequence.length - 1]) return null;
+    
+    const end = directions[newest].time;
+    let step = sequence.length - 2;
+    let first = newest;
+    
+    for (let i = newest - 1; i >= 0 && step >= 0; i--) {
+        const entry = directions[i];
+        if (entry.time <= since || end - entry.time > window * INPUT_FRAME_MS) break;
         
-        // Calculate average polling rate
-        const avgPollingRate = GamepadTester.performance.pollingRates.reduce((a, b) => a + b, 0) / 
-                               GamepadTester.performance.pollingRates.length;
+        if (entry.direction === sequence[step]) {
+            step--;
+            first = i;
+        }
+    }
+    
+    if (step >= 0) return null;
+    return { start: directions[first].time, end: end, extra: newest - first + 1 - sequence.length };
+}
+
+// Four cardinals in a row, all turning the same way (diagonals and repeats in between are fine)
+function matchInputRotation(directions, window, since) {
+    const newest = directions.length - 1;
+    if (newest < 0) return null;
+    
+    const end = directions[newest].time;
+    let previous = INPUT_ROTATION.indexOf(directions[newest].direction);
+    if (previous < 0) return null;
+    
+    let turn = 0;
+    let cardinals = 1;
+    
+    for (let i = newest - 1; i >= 0; i--) {
+        const entry = directions[i];
+        if (entry.time <= since || end - entry.time > window * INPUT_FRAME_MS) break;
         
-        // Update UI
-        document.getElementById('polling-rate').textContent = `${Math.round(avgPollingRate)} Hz`;
-        document.getElementById('frame-delta').textContent = `${avgFrameDelta.toFixed(2)} ms`;
+        const position = INPUT_ROTATION.indexOf(entry.direction);
+        if (position < 0 || position === previous) continue;
+        
+        // +1 when this older cardinal is one step before the newer one clockwise, -1 counter-clockwise
+        const step = (previous - position + 4) % 4;
+        const direction = step === 1 ? 1 : step === 3 ? -1 : 0;
+        if (direction === 0 || (turn !== 0 && direction !== turn)) return null;
+        
+        turn = direction;
+        previous = position;
+        cardinals++;
+        
+        if (cardinals === 4) {
+            return { start: entry.time, end: end, extra: null };
+        }
+    }
+    
+    return null;
+}
+
+function renderInputDisplay() {
+    const display = GamepadTester.inputDisplay;
+    
+    setElementHtml('input-history', display.history.length === 0
+        ? '<li>Move the left stick or D-pad, or press buttons</li>'
+        : display.history.map(entry => `
+            <li class="${entry.socd ? 'socd' : ''}">
+                <span class="input-frames">${entry.frames === null ? 1 : entry.frames}</span>
+                <span class="input-direction" title="${entry.direction}">${INPUT_DIRECTION_GLYPHS[entry.direction]}</span>
+                <span class="input-buttons">${entry.buttons.map(index =>
+                    `<span class="input-button${entry.pressed.includes(index) ? ' new' : ''}">${escapeHtml(getInputButtonLabel(index))}</span>`).join('')}</span>
+                ${entry.socd ? `<span class="input-socd">SOCD ${entry.socd}</span>` : ''}
+            </li>
+        `).join(''));
+    
+    setElementHtml('input-motions', display.motions.map(motion => `
+        <tr>
+            <td class="input-name">${motion.name}</td>
+            <td class="input-value">${motion.frames}f</td>
+            <td class="input-state">${motion.duration.toFixed(1)} ms</td>
+            <td class="input-state ${motion.extra === 0 ? 'pass' : ''}">${motion.extra === null ? '-' : motion.extra === 0 ? 'Clean' : `+${motion.extra} extra`}</td>
+            <td class="input-state">${motion.button === null ? '-' : `${escapeHtml(motion.button)} (+${motion.buttonFrames}f)`}</td>
+        </tr>
+    `).join(''));
+}
+
+// ==========================================
+// SIMULTANEOUS INPUT & GHOSTING MATRIX
+// ==========================================
+// Button matrices in cheap arcade sticks and hitboxes drop presses or report buttons that
+// aren't pressed once several are held. The user holds each requested combination and lets
+// go; the largest part of it that stayed registered for GHOST_SETTLE_MS decides the step, and
+// any other button that showed up while two or more were down is a phantom. Pairs fill the
+// button × button matrix, the growing groups after them give the rollover count.
+
+function setupGhostTestControls() {
+    document.getElementById('ghost-start').addEventListener('click', () => {
+        if (GamepadTester.ghostTest.active) {
+            stopGhostTest();
+        } else {
+            startGhostTest();
+        }
+    });
+    
+    document.getElementById('ghost-skip').addEventListener('click', () => {
+        const test = GamepadTester.ghostTest;
+        if (!test.active) return;
+        
+        test.steps[test.index].result = 'skipped';
+        advanceGhostTest();
+    });
+    
+    renderGhostTest();
+}
+
+function buildGhostSteps(buttons) {
+    const steps = [];
+    const step = (combo) => ({ buttons: combo, result: null, dropped: [], phantom: [] });
+    
+    for (let i = 0; i < buttons.length; i++) {
+        for (let j = i + 1; j < buttons.length; j++) {
+            steps.push(step([buttons[i], buttons[j]]));
+        }
+    }
+    for (let count = 3; count <= buttons.length; count++) {
+        steps.push(step(buttons.slice(0, count)));
+    }
+    
+    return steps;
+}
+
+function createGhostStepState(armed) {
+    return { armed: armed, key: null, since: 0, best: null, phantom: [] };
+}
+
+function startGhostTest() {
+    const gamepad = getLiveGamepad();
+    if (!gamepad) {
+        showToast('Connect a controller first', 'error');
+        return;
+    }
+    
+    const buttons = GHOST_BUTTON_SETS[document.getElementById('ghost-set').value].filter(index => index < gamepad.buttons.length);
+    if (buttons.length < 2) {
+        showToast('This controller doesn\'t report enough buttons for the test', 'error');
+        return;
+    }
+    
+    // Both highlight the controller - only one guided test at a time
+    cancelTestWizard();
+    
+    const test = GamepadTester.ghostTest;
+    test.active = true;
+    test.buttons = buttons;
+    test.steps = buildGhostSteps(buttons);
+    test.index = 0;
+    test.state = createGhostStepState(false);
+    
+    renderGhostTest();
+}
+
+// Stopping early keeps the combinations tested so far
+function stopGhostTest() {
+    const test = GamepadTester.ghostTest;
+    if (!test.active) return;
+    
+    test.active = false;
+    test.state = null;
+    renderGhostTest();
+}
+
+function advanceGhostTest() {
+    const test = GamepadTester.ghostTest;
+    test.index++;
+    
+    if (test.index >= test.steps.length) {
+        test.active = false;
+        test.state = null;
+        renderGhostTest();
+        
+        const failed = test.steps.filter(step => step.result === 'drop' || step.result === 'ghost').length;
+        showToast(failed > 0 ? `Ghosting test: ${failed} combination${failed === 1 ? '' : 's'} failed` : 'Ghosting test: every combination registered',
+            failed > 0 ? 'error' : 'success');
+        return;
+    }
+    
+    // Everything was just released, so the next step is armed straight away
+    test.state = createGhostStepState(true);
+    renderGhostTest();
+}
+
+function updateGhostTest(gamepad, timestamp) {
+    const test = GamepadTester.ghostTest;
+    if (!test.active) return;
+    
+    const state = test.state;
+    const step = test.steps[test.index];
+    const held = [];
+    gamepad.buttons.forEach((button, index) => {
+        if (button.pressed) held.push(index);
+    });
+    
+    // Nothing counts until every button has been let go once
+    if (!state.armed) {
+        if (held.length === 0) {
+            state.armed = true;
+            renderGhostTest();
+        }
+        return;
+    }
+    
+    // Judge the combination once everything is released again
+    if (held.length === 0) {
+        if (state.best) {
+            step.dropped = step.buttons.filter(index => !state.best.includes(index));
+            step.phantom = state.phantom;
+            step.result = step.dropped.length > 0 ? 'drop' : step.phantom.length > 0 ? 'ghost' : 'pass';
+            advanceGhostTest();
+        }
+        return;
+    }
+    
+    const key = held.join();
+    if (key !== state.key) {
+        state.key = key;
+        state.since = timestamp;
+        return;
+    }
+    if (timestamp - state.since < GHOST_SETTLE_MS) return;
+    
+    const registered = held.filter(index => step.buttons.includes(index));
+    if (registered.length === 0) return;
+    
+    if (held.length >= 2) {
+        held.filter(index => !step.buttons.includes(index) && !state.phantom.includes(index)).forEach(index => {
+            state.phantom.push(index);
+        });
     }
     
-    GamepadTester.performance.lastTimestamp = currentTime;
+    if (!state.best || registered.length > state.best.length) {
+        state.best = registered;
+        setGhostStatus(`Registered ${registered.map(getInputButtonLabel).join(' + ')} of ${step.buttons.map(getInputButtonLabel).join(' + ')} - release to continue`,
+            test.index / test.steps.length);
+    }
+}
+
+// Largest number of buttons for which every tested combination of that size (and smaller)
+// registered cleanly. limited says why it stops there: a failed or a not yet tested combination.
+function computeGhostRollover(test) {
+    let keys = 1;
+    let limited = null;
     
-    // Update timestamp display (using gamepad's internal timestamp)
-    document.getElementById('timestamp-display').textContent = gamepadTimestamp.toFixed(2);
+    for (let count = 2; count <= test.buttons.length; count++) {
+        const steps = test.steps.filter(step => step.buttons.length === count);
+        if (steps.some(step => step.result === 'drop' || step.result === 'ghost')) {
+            limited = 'fail';
+            break;
+        }
+        if (steps.some(step => step.result !== 'pass')) {
+            limited = 'untested';
+            break;
+        }
+        keys = count;
+    }
+    
+    return { keys: keys, limited: limited };
 }
 
-// ==========================================
-// VISUAL CONTROLLER UPDATE
-// ==========================================
+function setGhostStatus(message, progress) {
+    document.getElementById('ghost-status').textContent = message;
+    document.getElementById('ghost-progress').style.width = `${clamp(progress, 0, 1) * 100}%`;
+}
 
-function updateVisualController(gamepad) {
-    // Update buttons
-    gamepad.buttons.forEach((button, index) => {
-        const buttonElement = document.querySelector(`[data-button="${index}"]`);
-        if (buttonElement) {
-            // A button is "pressed" when its value > 0.5 or pressed property is true
-            if (button.pressed || button.value > 0.5) {
-                buttonElement.classList.add('active');
-            } else {
-                buttonElement.classList.remove('active');
-            }
-        }
+function renderGhostTest() {
+    const test = GamepadTester.ghostTest;
+    const step = test.active ? test.steps[test.index] : null;
+    const label = (buttons) => buttons.map(getInputButtonLabel).join(' + ');
+    
+    document.getElementById('ghost-start').textContent = test.active ? 'Stop' : 'Start Test';
+    document.getElementById('ghost-skip').disabled = !test.active;
+    document.getElementById('ghost-set').disabled = test.active;
+    
+    // Highlight the buttons to hold, the same way the guided wizard does
+    document.querySelectorAll('#controller-visual .wizard-target').forEach(element => {
+        element.classList.remove('wizard-target');
     });
+    if (step) {
+        step.buttons.forEach(index => {
+            document.querySelectorAll(`#controller-visual [data-button="${index}"]`).forEach(element => {
+                element.classList.add('wizard-target');
+            });
+        });
+    }
     
-    // Update analog sticks
-    // Apply a small deadzone (0.05) to prevent drift on worn controllers
-    const DEADZONE = 0.05;
+    if (step) {
+        setGhostStatus(test.state.armed
+            ? `Step ${test.index + 1} / ${test.steps.length}: hold ${label(step.buttons)} together, then release`
+            : 'Release all buttons to begin', test.index / test.steps.length);
+    } else if (test.steps.length === 0) {
+        setGhostStatus('Press Start Test and hold each combination of buttons when asked.', 0);
+    } else {
+        const done = test.steps.filter(s => s.result !== null).length;
+        setGhostStatus(done === test.steps.length ? 'Test complete' : `Stopped after ${done} of ${test.steps.length} combinations`, done / test.steps.length);
+    }
+    
+    renderGhostMatrix();
+    renderGhostSummary();
+}
+
+function renderGhostMatrix() {
+    const test = GamepadTester.ghostTest;
+    const current = test.active ? test.steps[test.index] : null;
+    const table = document.getElementById('ghost-matrix');
     
-    // Left stick (axes 0 and 1)
-    let leftX = Math.abs(gamepad.axes[0]) > DEADZONE ? gamepad.axes[0] : 0;
-    let leftY = Math.abs(gamepad.axes[1]) > DEADZONE ? gamepad.axes[1] : 0;
+    if (test.buttons.length === 0) {
+        table.innerHTML = '';
+        return;
+    }
     
-    // Right stick (axes 2 and 3)
-    let rightX = Math.abs(gamepad.axes[2]) > DEADZONE ? gamepad.axes[2] : 0;
-    let rightY = Math.abs(gamepad.axes[3]) > DEADZONE ? gamepad.axes[3] : 0;
+    const pair = (a, b) => test.steps.find(step => step.buttons.length === 2 && step.buttons.includes(a) && step.buttons.includes(b));
+    const symbols = { pass: '✓', drop: '✗', ghost: '!', skipped: '-' };
     
-    // Update stick positions
-    // Each stick can move ±15px from center (adjust based on .stick-outer size)
-    const stickRange = 15;
+    const cell = (a, b) => {
+        if (a === b) return '<td class="ghost-self"></td>';
+        
+        const step = pair(a, b);
+        const classes = [step.result || 'pending'];
+        if (step === current) classes.push('current');
+        
+        const details = [];
+        if (step.dropped.length > 0) details.push(`Dropped ${step.dropped.map(getInputButtonLabel).join(', ')}`);
+        if (step.phantom.length > 0) details.push(`Phantom ${step.phantom.map(getInputButtonLabel).join(', ')}`);
+        
+        return `<td class="${classes.join(' ')}" title="${escapeHtml(details.join(' · '))}">${step.result ? symbols[step.result] : '·'}</td>`;
+    };
     
-    const leftStick = document.getElementById('stick-left');
-    leftStick.style.transform = `translate(${leftX * stickRange}px, ${leftY * stickRange}px)`;
+    table.innerHTML = `
+        <thead>
+            <tr><th></th>${test.buttons.map(index => `<th>${escapeHtml(getInputButtonLabel(index))}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${test.buttons.map(a => `
+                <tr><th>${escapeHtml(getInputButtonLabel(a))}</th>${test.buttons.map(b => cell(a, b)).join('')}</tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+function renderGhostSummary() {
+    const test = GamepadTester.ghostTest;
+    const container = document.getElementById('ghost-summary');
     
-    const rightStick = document.getElementById('stick-right');
-    rightStick.style.transform = `translate(${rightX * stickRange}px, ${rightY * stickRange}px)`;
+    if (test.steps.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
     
-    // Update triggers (buttons 6 and 7, or axes on some controllers)
-    // Standard mapping: LT = button[6], RT = button[7]
-    const leftTrigger = gamepad.buttons[6] ? gamepad.buttons[6].value : 0;
-    const rightTrigger = gamepad.buttons[7] ? gamepad.buttons[7].value : 0;
+    const label = (buttons) => buttons.map(getInputButtonLabel).join(' + ');
+    const tested = test.steps.filter(step => step.result !== null && step.result !== 'skipped');
+    const rollover = computeGhostRollover(test);
+    
+    let rolloverText = `${rollover.keys}-key rollover`;
+    if (rollover.limited === null) {
+        rolloverText = `Full ${rollover.keys}-key rollover (every tested button at once)`;
+    } else if (rollover.limited === 'untested') {
+        rolloverText += ` so far - ${rollover.keys + 1} buttons not fully tested`;
+    }
+    
+    const dropped = test.steps.filter(step => step.dropped.length > 0)
+        .map(step => `${label(step.buttons)} (lost ${label(step.dropped)})`);
+    const phantom = test.steps.filter(step => step.phantom.length > 0)
+        .map(step => `${label(step.buttons)} (+${label(step.phantom)})`);
     
-    document.getElementById('trigger-left-fill').style.height = `${leftTrigger * 100}%`;
-    document.getElementById('trigger-left-value').textContent = leftTrigger.toFixed(2);
+    const rows = [
+        ['Reliable simultaneous buttons', rolloverText],
+        ['Combinations registered', `${tested.filter(step => step.result === 'pass').length} / ${tested.length} tested`],
+        ['Dropped inputs', dropped.length > 0 ? dropped.join(', ') : 'None'],
+        ['Phantom buttons', phantom.length > 0 ? phantom.join(', ') : 'None']
+    ];
     
-    document.getElementById('trigger-right-fill').style.height = `${rightTrigger * 100}%`;
-    document.getElementById('trigger-right-value').textContent = rightTrigger.toFixed(2);
+    container.innerHTML = rows.map(row => `
+        <div class="analysis-row">
+            <span class="result-label">${row[0]}:</span>
+            <span class="analysis-value">${escapeHtml(row[1])}</span>
+        </div>
+    `).join('');
 }
 
 // ==========================================
-// RAW DATA TABLE
+// MOTION SENSORS & TOUCHPAD
 // ==========================================
+// Few browsers expose either: Firefox has GamepadPose (orientation quaternion, angular
+// velocity, acceleration) for some pads behind a pref, Chrome's experimental GamepadTouch
+// list carries touchpad contacts. readGamepadSensors() turns both into one plain shape -
+// null meaning "not exposed" - which recordings store and virtual / replayed snapshots
+// convert back with buildSensorFields(), so the panels work the same without hardware.
 
-function updateRawDataTable(gamepad) {
-    const tableBody = document.getElementById('raw-data-table');
-    let html = '';
+function setupSensorControls() {
+    document.getElementById('sensor-zero').addEventListener('click', () => {
+        const sensors = GamepadTester.sensors;
+        if (!sensors.orientation) {
+            showToast('No orientation reported to zero', 'error');
+            return;
+        }
+        sensors.reference = sensors.orientation.slice();
+        sensors.motionKey = null;
+    });
     
-    // Axes
-    gamepad.axes.forEach((value, index) => {
-        const name = AXIS_MAPPING[index] || `Axis ${index}`;
-        const formattedValue = value.toFixed(5);
-        const state = Math.abs(value) > 0.05 ? 'Active' : 'Neutral';
-        
-        html += `
-            <tr>
-                <td class="input-name">${name}</td>
-                <td class="input-value">${formattedValue}</td>
-                <td class="input-state">${state}</td>
-            </tr>
-        `;
+    document.getElementById('sensor-clear').addEventListener('click', () => {
+        GamepadTester.sensors.trails.clear();
+        GamepadTester.sensors.touchKey = null;
     });
     
-    // Buttons
-    gamepad.buttons.forEach((button, index) => {
-        const name = BUTTON_MAPPING[index] || `Button ${index}`;
-        const formattedValue = button.value.toFixed(5);
-        const state = button.pressed ? 'Pressed' : 'Released';
+    // Virtual pads with a touchpad can be touched with the mouse
+    const canvas = document.getElementById('touchpad-canvas');
+    let dragging = false;
+    const touchAt = (e) => {
+        const pad = getVirtualInputTarget();
+        if (!pad || pad.touches === null) return;
         
-        html += `
-            <tr>
-                <td class="input-name">${name}</td>
-                <td class="input-value">${formattedValue}</td>
-                <td class="input-state">${state}</td>
-            </tr>
-        `;
+        const bounds = canvas.getBoundingClientRect();
+        const area = getTouchpadArea(canvas.width, canvas.height, VIRTUAL_TOUCHPAD_SIZE);
+        const x = (e.clientX - bounds.left) * (canvas.width / (bounds.width || canvas.width));
+        const y = (e.clientY - bounds.top) * (canvas.height / (bounds.height || canvas.height));
+        setVirtualTouches(pad.index, [{
+            id: GamepadTester.sensors.mouseTouchId,
+            x: ((x - area.x) / area.width) * 2 - 1,
+            y: ((y - area.y) / area.height) * 2 - 1
+        }]);
+    };
+    
+    canvas.addEventListener('mousedown', (e) => {
+        dragging = true;
+        GamepadTester.sensors.mouseTouchId++;
+        touchAt(e);
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (dragging) touchAt(e);
+    });
+    window.addEventListener('mouseup', () => {
+        if (!dragging) return;
+        dragging = false;
+        const pad = getVirtualInputTarget();
+        if (pad && pad.touches !== null) {
+            setVirtualTouches(pad.index, []);
+        }
     });
     
-    tableBody.innerHTML = html;
+    resetSensorPanels();
 }
 
-// ==========================================
-// CONTROLLER INFO
-// ==========================================
-
-function updateControllerInfo(gamepad) {
-    document.getElementById('controller-name').textContent = gamepad.id;
-    document.getElementById('controller-mapping').textContent = gamepad.mapping || 'Unknown';
+function readGamepadSensors(gamepad) {
+    const pose = gamepad.pose;
+    const motion = pose ? {
+        orientation: pose.hasOrientation === false ? null : readSensorVector(pose.orientation, 4),
+        angularVelocity: readSensorVector(pose.angularVelocity, 3),
+        linearAcceleration: readSensorVector(pose.linearAcceleration, 3)
+    } : null;
+    
+    // Positions are normalized to -1..1; the surface size (in device units) only gives the shape.
+    // Contacts without a usable position are left out.
+    const touches = gamepad.touches ? Array.from(gamepad.touches).filter(touch => {
+        return touch && readSensorVector(touch.position, 2) !== null;
+    }).map(touch => ({
+        id: touch.touchId,
+        surface: touch.surfaceId || 0,
+        x: touch.position[0],
+        y: touch.position[1],
+        dimensions: readSensorVector(touch.surfaceDimensions, 2)
+    })) : null;
+    
+    return { motion: motion, touches: touches };
 }
 
-// ==========================================
-// TRIGGER PRESSURE ANALYZER
-// ==========================================
+// The first length values as a plain array, or null unless all of them are finite numbers
+function readSensorVector(values, length) {
+    if (!values || !(values.length >= length)) return null;
+    
+    const vector = Array.from(values).slice(0, length);
+    return vector.every(value => typeof value === 'number' && isFinite(value)) ? vector : null;
+}
 
-function updateTriggerPressure(gamepad) {
-    // Get trigger values
-    const leftTrigger = gamepad.buttons[6] ? gamepad.buttons[6].value : 0;
-    const rightTrigger = gamepad.buttons[7] ? gamepad.buttons[7].value : 0;
+// The motion vectors of a (partial) update that are usable - null clears a vector,
+// anything else that isn't a complete numeric vector is left out
+function normalizeSensorMotion(motion) {
+    const normalized = {};
+    if (!motion || typeof motion !== 'object') return normalized;
     
-    // Update pressure bars
-    document.getElementById('pressure-bar-left').style.width = `${leftTrigger * 100}%`;
-    document.getElementById('pressure-label-left').textContent = leftTrigger.toFixed(5);
+    [['orientation', 4], ['angularVelocity', 3], ['linearAcceleration', 3]].forEach(pair => {
+        const value = motion[pair[0]];
+        const vector = readSensorVector(value, pair[1]);
+        if (vector || value === null) {
+            normalized[pair[0]] = vector;
+        }
+    });
+    return normalized;
+}
+
+// Stored contacts ({ id, surface, x, y, dimensions }) with a numeric position
+function normalizeSensorTouches(touches) {
+    if (!Array.isArray(touches)) return null;
     
-    document.getElementById('pressure-bar-right').style.width = `${rightTrigger * 100}%`;
-    document.getElementById('pressure-label-right').textContent = rightTrigger.toFixed(5);
+    return touches.filter(touch => {
+        return touch && readSensorVector([touch.x, touch.y], 2) !== null;
+    }).map((touch, i) => ({
+        id: touch.id !== undefined ? touch.id : i,
+        surface: typeof touch.surface === 'number' ? touch.surface : 0,
+        x: touch.x,
+        y: touch.y,
+        dimensions: readSensorVector(touch.dimensions, 2)
+    }));
+}
+
+function buildSensorFields(motion, touches) {
+    // Browser-shaped pose / touches for virtual and replayed snapshots
+    const fields = {};
     
-    // Track unique values for resolution calculation
-    // This helps determine if the controller uses 8-bit (255 steps), 10-bit (1023 steps), or higher resolution
-    if (leftTrigger > 0) {
-        GamepadTester.triggerTracking.left.add(leftTrigger);
+    if (motion) {
+        fields.pose = {
+            hasOrientation: motion.orientation !== null,
+            hasPosition: false,
+            orientation: motion.orientation,
+            angularVelocity: motion.angularVelocity,
+            linearAcceleration: motion.linearAcceleration,
+            position: null,
+            linearVelocity: null,
+            angularAcceleration: null
+        };
     }
-    if (rightTrigger > 0) {
-        GamepadTester.triggerTracking.right.add(rightTrigger);
+    if (touches) {
+        fields.touches = touches.map(touch => ({
+            touchId: touch.id,
+            surfaceId: touch.surface,
+            position: [touch.x, touch.y],
+            surfaceDimensions: touch.dimensions
+        }));
     }
     
-    // Update resolution display
-    const leftSteps = GamepadTester.triggerTracking.left.size;
-    const rightSteps = GamepadTester.triggerTracking.right.size;
-    
-    document.getElementById('resolution-left').textContent = leftSteps > 0 ? `~${leftSteps} steps` : '- steps';
-    document.getElementById('resolution-right').textContent = rightSteps > 0 ? `~${rightSteps} steps` : '- steps';
+    return fields;
 }
 
-// ==========================================
-// CANVAS SETUP
-// ==========================================
+function resetSensorPanels() {
+    const sensors = GamepadTester.sensors;
+    sensors.trails.clear();
+    sensors.orientation = null;
+    sensors.reference = null;
+    sensors.rest = [];
+    sensors.touchKey = null;
+    sensors.motionKey = null;
+}
 
-function setupCanvases() {
-    // Oscilloscope canvas
-    const oscCanvas = document.getElementById('oscilloscope-canvas');
-    const oscCtx = oscCanvas.getContext('2d');
-    oscCtx.imageSmoothingEnabled = false;
-    
-    // Circularity canvas
-    const circCanvas = document.getElementById('circularity-canvas');
-    const circCtx = circCanvas.getContext('2d');
-    circCtx.imageSmoothingEnabled = false;
-    
-    // Draw initial state
-    drawOscilloscopeGrid(oscCtx, oscCanvas.width, oscCanvas.height);
-    drawCircularityGrid(circCtx, circCanvas.width, circCanvas.height);
+function updateSensorPanels(gamepad, timestamp) {
+    const sensors = readGamepadSensors(gamepad);
+    updateTouchpadPanel(sensors.touches, gamepad);
+    updateMotionPanel(sensors.motion, gamepad, timestamp);
 }
 
-// ==========================================
-// OSCILLOSCOPE (Analog Stick Tracking)
-// ==========================================
+// ---------- Touchpad ----------
 
-function updateOscilloscope(gamepad, timestamp) {
-    const canvas = document.getElementById('oscilloscope-canvas');
-    const ctx = canvas.getContext('2d');
+function updateTouchpadPanel(touches, gamepad) {
+    const state = GamepadTester.sensors;
+    const click = gamepad.buttons[17];
     
-    // Determine which stick to track
-    const axisOffset = GamepadTester.selectedScope === 'left' ? 0 : 2;
-    const xValue = gamepad.axes[axisOffset];
-    const yValue = gamepad.axes[axisOffset + 1];
-    
-    // Add data points
-    const data = GamepadTester.oscilloscopeData[GamepadTester.selectedScope];
+    if (touches) {
+        recordTouchTrails(touches);
+    }
     
-    data.x.push(xValue);
-    data.y.push(yValue);
+    // Touch contacts and the touchpad click (button 17 on DualShock / DualSense) are separate
+    setElementText('touchpad-click', click ? (click.pressed ? 'Pressed' : 'Released') : 'Not reported');
+    setElementText('touchpad-contacts', touches
+        ? (touches.length > 0 ? touches.map(touch => `#${touch.id} (${touch.x.toFixed(2)}, ${touch.y.toFixed(2)})`).join(' · ') : 'None')
+        : '-');
+    setElementText('touchpad-status', touches
+        ? `${touches.length} contact(s)`
+        : 'Touch contacts aren\'t exposed by this browser');
     
-    // Limit array size
-    if (data.x.length > GamepadTester.oscilloscopeData.maxPoints) {
-        data.x.shift();
-        data.y.shift();
-    }
+    const key = JSON.stringify(touches) + (click && click.pressed) + state.trails.size;
+    if (key === state.touchKey) return;
+    state.touchKey = key;
     
-    // Redraw
-    drawOscilloscopeGraph(ctx, canvas.width, canvas.height, data);
+    const canvas = document.getElementById('touchpad-canvas');
+    const dimensions = touches && touches.length > 0 ? touches[0].dimensions : null;
+    drawTouchpad(canvas.getContext('2d'), canvas.width, canvas.height, touches, dimensions, click && click.pressed);
 }
 
-function drawOscilloscopeGrid(ctx, width, height) {
-    // Clear
-    ctx.fillStyle = '#0f0f12';
-    ctx.fillRect(0, 0, width, height);
+function recordTouchTrails(touches) {
+    const trails = GamepadTester.sensors.trails;
+    const down = new Set();
     
-    // Grid lines
-    ctx.strokeStyle = 'rgba(0, 243, 255, 0.1)';
-    ctx.lineWidth = 1;
+    touches.forEach(touch => {
+        down.add(touch.id);
+        if (!trails.has(touch.id)) {
+            trails.set(touch.id, { points: [], active: true });
+        }
+        
+        const trail = trails.get(touch.id);
+        const last = trail.points[trail.points.length - 1];
+        if (!last || last.x !== touch.x || last.y !== touch.y) {
+            trail.points.push({ x: touch.x, y: touch.y });
+            if (trail.points.length > SENSOR_TRAIL_LENGTH) {
+                trail.points.shift();
+            }
+        }
+    });
     
-    // Horizontal lines
-    for (let i = 0; i <= 4; i++) {
-        const y = (height / 4) * i;
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(width, y);
-        ctx.stroke();
+    // Lifted contacts stay as faded trails, only the most recent few are kept
+    trails.forEach((trail, id) => {
+        trail.active = down.has(id);
+    });
+    while (trails.size > SENSOR_TRAIL_LIMIT) {
+        trails.delete(trails.keys().next().value);
     }
+}
+
+function getTouchpadArea(width, height, dimensions) {
+    // Largest rectangle of the surface's shape that fits the canvas
+    const aspect = dimensions && dimensions[1] > 0 ? dimensions[0] / dimensions[1] : SENSOR_TOUCHPAD_ASPECT;
+    const padding = 10;
+    let areaWidth = width - padding * 2;
+    let areaHeight = areaWidth / aspect;
     
-    // Vertical lines
-    for (let i = 0; i <= 10; i++) {
-        const x = (width / 10) * i;
-        ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, height);
-        ctx.stroke();
+    if (areaHeight > height - padding * 2) {
+        areaHeight = height - padding * 2;
+        areaWidth = areaHeight * aspect;
     }
     
-    // Center line (0 value)
-    ctx.strokeStyle = 'rgba(0, 243, 255, 0.3)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(0, height / 2);
-    ctx.lineTo(width, height / 2);
-    ctx.stroke();
-    
-    // Labels
-    ctx.fillStyle = '#a0a0a8';
-    ctx.font = '12px Share Tech Mono';
-    ctx.fillText('+1.0', 10, 20);
-    ctx.fillText('0.0', 10, height / 2 - 10);
-    ctx.fillText('-1.0', 10, height - 10);
+    return { x: (width - areaWidth) / 2, y: (height - areaHeight) / 2, width: areaWidth, height: areaHeight };
 }
 
-function drawOscilloscopeGraph(ctx, width, height, data) {
-    // Redraw grid
-    drawOscilloscopeGrid(ctx, width, height);
+function drawTouchpad(ctx, width, height, touches, dimensions, clicked) {
+    const area = getTouchpadArea(width, height, dimensions);
+    const toX = (x) => area.x + (x + 1) / 2 * area.width;
+    const toY = (y) => area.y + (y + 1) / 2 * area.height;
     
-    if (data.x.length < 2) return;
-    
-    // Calculate scale
-    const pointSpacing = width / GamepadTester.oscilloscopeData.maxPoints;
-    const midY = height / 2;
-    const scale = height / 2; // Map -1 to 1 range to canvas height
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
     
-    // Draw X-axis line (Cyan)
-    ctx.strokeStyle = '#00f3ff';
+    ctx.fillStyle = clicked ? 'rgba(0, 255, 136, 0.15)' : 'rgba(0, 243, 255, 0.04)';
+    ctx.fillRect(area.x, area.y, area.width, area.height);
+    ctx.strokeStyle = clicked ? '#00ff88' : 'rgba(0, 243, 255, 0.3)';
     ctx.lineWidth = 2;
-    ctx.beginPath();
+    ctx.strokeRect(area.x, area.y, area.width, area.height);
     
-    for (let i = 0; i < data.x.length; i++) {
-        const x = width - ((data.x.length - i) * pointSpacing);
-        const y = midY - (data.x[i] * scale);
-        
-        if (i === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
-    }
-    ctx.stroke();
+    ctx.font = '12px Share Tech Mono';
+    ctx.textAlign = 'center';
     
-    // Draw Y-axis line (Pink)
-    ctx.strokeStyle = '#ff00ff';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
+    if (!touches) {
+        ctx.fillStyle = '#a0a0a8';
+        ctx.fillText('Touchpad not exposed by this browser', width / 2, height / 2);
+        ctx.textAlign = 'left';
+        return;
+    }
     
-    for (let i = 0; i < data.y.length; i++) {
-        const x = width - ((data.y.length - i) * pointSpacing);
-        const y = midY - (data.y[i] * scale);
+    let colorIndex = 0;
+    GamepadTester.sensors.trails.forEach((trail, id) => {
+        const color = COMPARE_COLORS[colorIndex++ % COMPARE_COLORS.length];
+        const last = trail.points[trail.points.length - 1];
         
-        if (i === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
+        ctx.globalAlpha = trail.active ? 0.8 : 0.3;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        trail.points.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(point.x), toY(point.y));
+            } else {
+                ctx.lineTo(toX(point.x), toY(point.y));
+            }
+        });
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        
+        if (trail.active && last) {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(toX(last.x), toY(last.y), 10, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillText(`#${id}`, toX(last.x), toY(last.y) - 16);
         }
-    }
-    ctx.stroke();
-    
-    // Legend
-    ctx.fillStyle = '#00f3ff';
-    ctx.fillText('X-Axis', width - 70, 20);
-    ctx.fillStyle = '#ff00ff';
-    ctx.fillText('Y-Axis', width - 70, 40);
-}
-
-function clearOscilloscope() {
-    GamepadTester.oscilloscopeData.left = { x: [], y: [] };
-    GamepadTester.oscilloscopeData.right = { x: [], y: [] };
+    });
     
-    const canvas = document.getElementById('oscilloscope-canvas');
-    const ctx = canvas.getContext('2d');
-    drawOscilloscopeGrid(ctx, canvas.width, canvas.height);
+    ctx.textAlign = 'left';
 }
 
-// ==========================================
-// CIRCULARITY TEST (Dead Zone Visualization)
-// ==========================================
+// ---------- Motion ----------
 
-function updateCircularity(gamepad) {
-    const canvas = document.getElementById('circularity-canvas');
-    const ctx = canvas.getContext('2d');
+function updateMotionPanel(motion, gamepad, timestamp) {
+    const state = GamepadTester.sensors;
+    const degrees = (radians) => radians * 180 / Math.PI;
+    const vector = (values, scale, digits, unit) => values
+        ? `${values.map(value => (value * scale).toFixed(digits)).join(' / ')} ${unit}`
+        : 'Not reported';
     
-    // Determine which stick to track
-    const axisOffset = GamepadTester.selectedCircle === 'left' ? 0 : 2;
-    const xValue = gamepad.axes[axisOffset];
-    const yValue = gamepad.axes[axisOffset + 1];
+    // Some drivers put motion data on extra axes instead - show whatever is past the sticks
+    const extra = gamepad.axes.length > 4
+        ? Array.from(gamepad.axes).slice(4).map((value, i) => `${getAxisName(i + 4)} ${value.toFixed(3)}`).join(' · ')
+        : 'None';
+    setElementText('motion-extra-axes', extra);
     
-    // Only add point if stick is moved significantly
-    if (Math.abs(xValue) > 0.1 || Math.abs(yValue) > 0.1) {
-        const data = GamepadTester.circularityData[GamepadTester.selectedCircle];
-        data.push({ x: xValue, y: yValue });
+    if (!motion) {
+        state.orientation = null;
+        state.rest = [];
+        setElementText('motion-status', 'Motion sensors aren\'t exposed by this browser');
+        ['motion-orientation', 'motion-gyro', 'motion-accel', 'motion-drift'].forEach(id => setElementText(id, '-'));
+    } else {
+        const orientation = motion.orientation ? getRelativeOrientation(motion.orientation) : null;
+        const angles = orientation ? quaternionToEuler(orientation) : null;
+        state.orientation = motion.orientation;
         
-        // Limit points
-        if (data.length > GamepadTester.circularityData.maxPoints) {
-            data.shift();
-        }
+        setElementText('motion-status', 'Reporting ' + [
+            motion.orientation ? 'orientation' : null,
+            motion.angularVelocity ? 'angular velocity' : null,
+            motion.linearAcceleration ? 'acceleration' : null
+        ].filter(Boolean).join(', '));
+        setElementText('motion-orientation', angles
+            ? `${degrees(angles.yaw).toFixed(1)}° / ${degrees(angles.pitch).toFixed(1)}° / ${degrees(angles.roll).toFixed(1)}°`
+            : 'Not reported');
+        setElementText('motion-gyro', vector(motion.angularVelocity, 180 / Math.PI, 1, '°/s'));
+        setElementText('motion-accel', vector(motion.linearAcceleration, 1, 2, 'm/s²'));
+        setElementText('motion-drift', describeMotionDrift(updateMotionDrift(motion, timestamp)));
     }
     
-    // Redraw
-    drawCircularityTest(ctx, canvas.width, canvas.height);
+    const key = motion ? String(motion.orientation) + String(state.reference) : 'none';
+    if (key === state.motionKey) return;
+    state.motionKey = key;
+    
+    const canvas = document.getElementById('motion-canvas');
+    drawMotionGizmo(canvas.getContext('2d'), canvas.width, canvas.height, motion,
+        motion && motion.orientation ? getRelativeOrientation(motion.orientation) : null);
 }
 
-function drawCircularityGrid(ctx, width, height) {
-    // Clear
-    ctx.fillStyle = '#0f0f12';
-    ctx.fillRect(0, 0, width, height);
+function getRelativeOrientation(orientation) {
+    const reference = GamepadTester.sensors.reference;
+    return reference ? multiplyQuaternions(conjugateQuaternion(reference), orientation) : orientation;
+}
+
+function updateMotionDrift(motion, timestamp) {
+    // A resting controller should report zero rotation; whatever its gyro still reports (and
+    // the orientation it integrates from that) is drift. Any real movement restarts the window.
+    const state = GamepadTester.sensors;
+    if (!motion.angularVelocity) return null;
     
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const radius = Math.min(width, height) / 2 - 20;
+    const previous = state.rest[state.rest.length - 1];
+    if (previous && previous.orientation && motion.orientation &&
+        quaternionAngle(previous.orientation, motion.orientation) / (Math.max(1, timestamp - previous.time) / 1000) > SENSOR_REST_RATE) {
+        state.rest = [];
+    }
     
-    // Draw grid
-    ctx.strokeStyle = 'rgba(0, 243, 255, 0.1)';
-    ctx.lineWidth = 1;
+    state.rest.push({ time: timestamp, orientation: motion.orientation, angularVelocity: motion.angularVelocity });
+    while (state.rest.length > 0 && timestamp - state.rest[0].time > SENSOR_DRIFT_WINDOW_MS) {
+        state.rest.shift();
+    }
     
-    // Vertical and horizontal center lines
-    ctx.beginPath();
-    ctx.moveTo(centerX, 0);
-    ctx.lineTo(centerX, height);
-    ctx.moveTo(0, centerY);
-    ctx.lineTo(width, centerY);
-    ctx.stroke();
+    const samples = state.rest;
+    const mean = [0, 1, 2].map(i => samples.reduce((sum, sample) => sum + sample.angularVelocity[i], 0) / samples.length);
+    const spread = samples.reduce((max, sample) => Math.max(max, Math.hypot(
+        sample.angularVelocity[0] - mean[0],
+        sample.angularVelocity[1] - mean[1],
+        sample.angularVelocity[2] - mean[2]
+    )), 0);
     
-    // Perfect circle overlay (ideal stick movement)
-    ctx.strokeStyle = 'rgba(0, 243, 255, 0.3)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.stroke();
+    if (spread > SENSOR_REST_RATE) {
+        state.rest = [samples[samples.length - 1]];
+        return null;
+    }
     
-    // Square boundary (maximum stick range)
-    ctx.strokeStyle = 'rgba(255, 0, 255, 0.2)';
-    ctx.strokeRect(20, 20, width - 40, height - 40);
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const span = last.time - first.time;
+    if (span < SENSOR_DRIFT_MIN_MS) return null;
     
-    // Labels
-    ctx.fillStyle = '#a0a0a8';
-    ctx.font = '12px Share Tech Mono';
-    ctx.fillText('+1', centerX + 5, 25);
-    ctx.fillText('-1', centerX + 5, height - 10);
-    ctx.fillText('-1', 10, centerY - 5);
-    ctx.fillText('+1', width - 30, centerY - 5);
+    return {
+        span: span,
+        bias: mean,
+        rate: Math.hypot(mean[0], mean[1], mean[2]),
+        orientationRate: first.orientation && last.orientation
+            ? quaternionAngle(first.orientation, last.orientation) / (span / 1000)
+            : null
+    };
+}
+
+function describeMotionDrift(drift) {
+    if (!drift) return 'Hold the controller still (or put it down) to measure';
+    
+    const degrees = (radians) => (radians * 180 / Math.PI).toFixed(2);
+    const parts = [`gyro bias ${degrees(drift.rate)}°/s (${drift.bias.map(degrees).join(' / ')})`];
+    if (drift.orientationRate !== null) {
+        parts.push(`orientation drifting ${degrees(drift.orientationRate)}°/s`);
+    }
+    return `${parts.join(' · ')} over ${(drift.span / 1000).toFixed(1)} s`;
 }
 
-function drawCircularityTest(ctx, width, height) {
-    // Redraw grid
-    drawCircularityGrid(ctx, width, height);
+function drawMotionGizmo(ctx, width, height, motion, orientation) {
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '12px Share Tech Mono';
+    ctx.textAlign = 'center';
     
-    const data = GamepadTester.circularityData[GamepadTester.selectedCircle];
-    if (data.length === 0) return;
+    if (!motion || !orientation) {
+        ctx.fillStyle = '#a0a0a8';
+        ctx.fillText(motion ? 'Orientation not reported - rates only' : 'Motion sensors not exposed by this browser',
+            width / 2, height / 2);
+        ctx.textAlign = 'left';
+        return;
+    }
     
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const scale = (Math.min(width, height) / 2 - 20);
+    // Fixed camera looking slightly down on the controller; orthographic is plenty for a gizmo.
+    // Axes follow the pose convention: X right, Y up, -Z away from the player.
+    const scale = Math.min(width, height) * 0.35;
+    const tilt = 25 * Math.PI / 180;
+    const project = (point) => {
+        const rotated = rotateByQuaternion(orientation, point);
+        const y = rotated[1] * Math.cos(tilt) - rotated[2] * Math.sin(tilt);
+        return [width / 2 + rotated[0] * scale, height / 2 - y * scale];
+    };
     
-    // Draw data points
-    ctx.fillStyle = '#00ff88';
+    // Controller body as a flat box
+    const half = [0.8, 0.15, 0.45];
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        corners.push(project([
+            i & 1 ? half[0] : -half[0],
+            i & 2 ? half[1] : -half[1],
+            i & 4 ? half[2] : -half[2]
+        ]));
+    }
     
-    data.forEach(point => {
-        const x = centerX + (point.x * scale);
-        const y = centerY + (point.y * scale);
-        
+    ctx.strokeStyle = 'rgba(0, 243, 255, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 0; i < 8; i++) {
+        [1, 2, 4].forEach(bit => {
+            if (i & bit) return;
+            ctx.moveTo(corners[i][0], corners[i][1]);
+            ctx.lineTo(corners[i | bit][0], corners[i | bit][1]);
+        });
+    }
+    ctx.stroke();
+    
+    const origin = project([0, 0, 0]);
+    [
+        { axis: [1.1, 0, 0], color: '#ff3366', label: 'X' },
+        { axis: [0, 1.1, 0], color: '#00ff88', label: 'Y' },
+        { axis: [0, 0, -1.1], color: '#0080ff', label: '-Z' }
+    ].forEach(entry => {
+        const end = project(entry.axis);
+        ctx.strokeStyle = entry.color;
+        ctx.fillStyle = entry.color;
+        ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.arc(x, y, 2, 0, Math.PI * 2);
-        ctx.fill();
+        ctx.moveTo(origin[0], origin[1]);
+        ctx.lineTo(end[0], end[1]);
+        ctx.stroke();
+        ctx.fillText(entry.label, end[0], end[1] - 6);
     });
     
-    // Calculate circularity error
-    // This measures how much the actual input deviates from a perfect circle
-    if (data.length > 10) {
-        let totalError = 0;
-        
-        data.forEach(point => {
-            const distance = Math.sqrt(point.x * point.x + point.y * point.y);
-            // Error is the difference from 1.0 (perfect circle edge)
-            if (distance > 0.5) { // Only check points far from center
-                const error = Math.abs(distance - 1.0);
-                totalError += error;
-            }
-        });
-        
-        const avgError = (totalError / data.length) * 100;
-        document.getElementById('circularity-error').textContent = `${avgError.toFixed(2)}%`;
-    }
+    ctx.textAlign = 'left';
 }
 
-function clearCircularity() {
-    GamepadTester.circularityData.left = [];
-    GamepadTester.circularityData.right = [];
-    
-    const canvas = document.getElementById('circularity-canvas');
-    const ctx = canvas.getContext('2d');
-    drawCircularityGrid(ctx, canvas.width, canvas.height);
-    
-    document.getElementById('circularity-error').textContent = '0.00%';
+// Quaternions are [x, y, z, w], as in GamepadPose
+function multiplyQuaternions(a, b) {
+    return [
+        a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+        a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+        a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+        a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+    ];
+}
+
+function conjugateQuaternion(q) {
+    return [-q[0], -q[1], -q[2], q[3]];
+}
+
+function rotateByQuaternion(q, vector) {
+    const rotated = multiplyQuaternions(multiplyQuaternions(q, [vector[0], vector[1], vector[2], 0]), conjugateQuaternion(q));
+    return [rotated[0], rotated[1], rotated[2]];
+}
+
+function quaternionAngle(a, b) {
+    const dot = Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]);
+    return 2 * Math.acos(Math.min(1, dot));
+}
+
+function quaternionToEuler(q) {
+    // Yaw about Y (up), pitch about X, roll about Z
+    const x = q[0], y = q[1], z = q[2], w = q[3];
+    return {
+        yaw: Math.atan2(2 * (w * y + x * z), 1 - 2 * (x * x + y * y)),
+        pitch: Math.asin(clamp(2 * (w * x - y * z), -1, 1)),
+        roll: Math.atan2(2 * (w * z + x * y), 1 - 2 * (x * x + z * z))
+    };
 }
 
 // ==========================================
@@ -835,7 +9788,7 @@ function testVibration() {
     }
     
     // Get fresh gamepad state
-    const gamepads = navigator.getGamepads();
+    const gamepads = readGamepads();
     const gamepad = gamepads[GamepadTester.activeGamepadIndex];
     
     if (!gamepad) {
@@ -875,6 +9828,651 @@ function testVibration() {
     }
 }
 
+// ==========================================
+// HAPTIC MOTOR VERIFICATION
+// ==========================================
+// playEffect() resolves "complete" whether or not a motor actually spun, so the user has
+// to confirm what they felt. Each step records the result string and how long the effect
+// took to resolve; a step passes when it completed and the user felt it.
+
+function setupHapticTestControls() {
+    document.getElementById('haptic-test-start').addEventListener('click', () => {
+        if (GamepadTester.hapticTest.active) {
+            cancelHapticTest();
+        } else {
+            startHapticTest();
+        }
+    });
+    
+    document.getElementById('haptic-test-yes').addEventListener('click', () => answerHapticTest(true));
+    document.getElementById('haptic-test-no').addEventListener('click', () => answerHapticTest(false));
+    document.getElementById('haptic-test-replay').addEventListener('click', playHapticTestStep);
+    
+    renderHapticTest();
+}
+
+function getHapticTestActuator() {
+    if (GamepadTester.activeGamepadIndex === null) return null;
+    const gamepad = readGamepads()[GamepadTester.activeGamepadIndex];
+    return gamepad ? gamepad.vibrationActuator || null : null;
+}
+
+function startHapticTest() {
+    if (!getHapticTestActuator()) {
+        showToast('The active controller has no vibration actuator', 'error');
+        return;
+    }
+    
+    // The sequencer would preempt the test effects
+    stopHapticPattern();
+    
+    const test = GamepadTester.hapticTest;
+    test.active = true;
+    test.step = 0;
+    test.steps = [];
+    test.results = null;
+    
+    playHapticTestStep();
+}
+
+function cancelHapticTest() {
+    const test = GamepadTester.hapticTest;
+    if (!test.active) return;
+    
+    test.active = false;
+    test.waiting = false;
+    renderHapticTest();
+}
+
+function playHapticTestStep() {
+    const test = GamepadTester.hapticTest;
+    const actuator = getHapticTestActuator();
+    if (!test.active || test.waiting) return;
+    
+    if (!actuator) {
+        cancelHapticTest();
+        showToast('Controller lost its vibration actuator - test cancelled', 'error');
+        return;
+    }
+    
+    const step = HAPTIC_TEST_STEPS[test.step];
+    const record = {
+        label: step.label,
+        group: step.group,
+        duration: step.duration,
+        result: null,
+        elapsed: null,
+        confirmed: null
+    };
+    test.steps[test.step] = record;
+    test.waiting = true;
+    renderHapticTest();
+    
+    const startTime = performance.now();
+    actuator.playEffect('dual-rumble', {
+        startDelay: 0,
+        duration: step.duration,
+        weakMagnitude: step.weak,
+        strongMagnitude: step.strong
+    }).then(result => {
+        record.result = result;
+    }).catch(error => {
+        console.error('Haptic test error:', error);
+        record.result = `error: ${error.message}`;
+    }).then(() => {
+        record.elapsed = performance.now() - startTime;
+        test.waiting = false;
+        renderHapticTest();
+    });
+}
+
+function answerHapticTest(felt) {
+    const test = GamepadTester.hapticTest;
+    if (!test.active || test.waiting) return;
+    
+    test.steps[test.step].confirmed = felt;
+    test.step++;
+    
+    if (test.step >= HAPTIC_TEST_STEPS.length) {
+        test.active = false;
+        test.results = evaluateHapticTest(test.steps);
+        renderHapticTest();
+    } else {
+        playHapticTestStep();
+    }
+}
+
+function evaluateHapticTest(steps) {
+    const judged = steps.map(step => {
+        const timingOk = step.elapsed !== null && step.elapsed >= step.duration * HAPTIC_TEST_TIMING_TOLERANCE;
+        return Object.assign({}, step, {
+            timingOk: timingOk,
+            pass: step.result === 'complete' && step.confirmed === true
+        });
+    });
+    
+    const group = (name) => judged.filter(step => step.group === name).every(step => step.pass);
+    
+    return {
+        testedAt: new Date().toISOString(),
+        steps: judged,
+        weakMotor: group('weak'),
+        strongMotor: group('strong'),
+        sweep: group('sweep'),
+        timingWarnings: judged.filter(step => !step.timingOk).length,
+        pass: judged.every(step => step.pass)
+    };
+}
+
+function renderHapticTest() {
+    const test = GamepadTester.hapticTest;
+    const status = document.getElementById('haptic-test-status');
+    const answering = test.active && !test.waiting;
+    
+    document.getElementById('haptic-test-start').textContent = test.active ? 'Cancel' : 'Start Motor Test';
+    ['haptic-test-yes', 'haptic-test-no', 'haptic-test-replay'].forEach(id => {
+        document.getElementById(id).disabled = !answering;
+    });
+    
+    if (test.active) {
+        const step = HAPTIC_TEST_STEPS[test.step];
+        status.textContent = test.waiting
+            ? `Step ${test.step + 1} / ${HAPTIC_TEST_STEPS.length}: ${step.label} - playing...`
+            : `Step ${test.step + 1} / ${HAPTIC_TEST_STEPS.length}: ${step.label} - ${step.question}`;
+    } else if (test.results) {
+        const verdict = (pass) => pass ? 'PASS' : 'FAIL';
+        status.textContent = `Weak motor ${verdict(test.results.weakMotor)} · Strong motor ${verdict(test.results.strongMotor)} · ` +
+            `Sweep ${verdict(test.results.sweep)}${test.results.timingWarnings > 0 ? ` · ${test.results.timingWarnings} timing warning(s)` : ''}`;
+    } else {
+        status.textContent = 'Hold the controller and press Start - you will be asked to confirm each vibration.';
+    }
+    
+    const verdictElement = document.getElementById('haptic-test-verdict');
+    verdictElement.textContent = test.results ? (test.results.pass ? 'PASS' : 'FAIL') : '';
+    verdictElement.className = `drift-verdict ${test.results ? (test.results.pass ? 'pass' : 'fail') : ''}`;
+    
+    const rows = test.results ? test.results.steps : test.steps;
+    document.getElementById('haptic-test-table').innerHTML = rows.map(step => {
+        const confirmed = step.confirmed === null ? '-' : step.confirmed ? 'Yes' : 'No';
+        const timing = step.elapsed === null ? '-' : `${Math.round(step.elapsed)} / ${step.duration} ms`;
+        const timingClass = step.timingOk === false ? 'fail' : '';
+        const verdict = step.pass === undefined ? '-' : step.pass ? 'PASS' : 'FAIL';
+        
+        return `
+            <tr>
+                <td class="input-name">${step.label}</td>
+                <td class="input-value">${step.result || '...'}</td>
+                <td class="input-state ${timingClass}">${timing}</td>
+                <td class="input-state">${confirmed}</td>
+                <td class="input-state ${step.pass === undefined ? '' : step.pass ? 'pass' : 'fail'}">${verdict}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ==========================================
+// HAPTICS PATTERN SEQUENCER
+// ==========================================
+// A pattern is a list of segments played back to back. Each segment has its own effect
+// type and one magnitude envelope per channel (weak / strong motor, plus the trigger
+// motors for 'trigger-rumble'):
+//   constant  - holds "from"
+//   ramp      - goes linearly from "from" to "to" over the segment
+//   pulse     - alternates between "from" (off) and "to" (on) every half period
+//   heartbeat - a strong and a softer beat ("lub-dub") per period, "from" in between
+// playEffect() only takes constant magnitudes, so envelopes are sampled into short
+// slices and played as a chain of effects, each one starting when the previous completes.
+
+function createHapticSegment(preset) {
+    const envelope = (shape, from, to) => ({ shape: shape, from: from, to: to });
+    const silent = () => envelope('constant', 0, 0);
+    
+    const presets = {
+        ramp: {
+            type: 'dual-rumble', duration: 1000, period: 200,
+            weak: envelope('ramp', 0, 1), strong: envelope('ramp', 0, 1),
+            leftTrigger: silent(), rightTrigger: silent()
+        },
+        pulse: {
+            type: 'dual-rumble', duration: 1000, period: 200,
+            weak: envelope('pulse', 0, 0.8), strong: envelope('pulse', 0, 0.8),
+            leftTrigger: silent(), rightTrigger: silent()
+        },
+        heartbeat: {
+            type: 'dual-rumble', duration: 1600, period: 800,
+            weak: silent(), strong: envelope('heartbeat', 0, 1),
+            leftTrigger: silent(), rightTrigger: silent()
+        },
+        'trigger-kick': {
+            type: 'trigger-rumble', duration: 300, period: 200,
+            weak: silent(), strong: silent(),
+            leftTrigger: silent(), rightTrigger: envelope('ramp', 1, 0)
+        },
+        pause: {
+            type: 'dual-rumble', duration: 300, period: 200,
+            weak: silent(), strong: silent(),
+            leftTrigger: silent(), rightTrigger: silent()
+        }
+    };
+    
+    return presets[preset] || presets.pause;
+}
+
+function setupHapticsSequencer() {
+    GamepadTester.haptics.pattern = {
+        name: 'Heartbeat',
+        loop: false,
+        segments: [createHapticSegment('heartbeat')]
+    };
+    
+    document.getElementById('haptics-add').addEventListener('click', () => {
+        GamepadTester.haptics.pattern.segments.push(createHapticSegment(document.getElementById('haptics-preset').value));
+        onHapticPatternChanged();
+    });
+    
+    document.getElementById('haptics-name').addEventListener('input', (e) => {
+        GamepadTester.haptics.pattern.name = e.target.value;
+    });
+    
+    document.getElementById('haptics-loop').addEventListener('change', (e) => {
+        GamepadTester.haptics.pattern.loop = e.target.checked;
+    });
+    
+    document.getElementById('haptics-play').addEventListener('click', () => {
+        if (GamepadTester.haptics.playing) {
+            stopHapticPattern();
+        } else {
+            playHapticPattern();
+        }
+    });
+    
+    document.getElementById('haptics-save').addEventListener('click', saveHapticPattern);
+    
+    const fileInput = document.getElementById('haptics-file');
+    document.getElementById('haptics-load').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            loadHapticPattern(file);
+        }
+        e.target.value = '';
+    });
+    
+    // Segment editing uses delegation - rows are rebuilt whenever the pattern changes shape
+    const table = document.getElementById('haptics-segments');
+    table.addEventListener('change', (e) => {
+        const row = e.target.closest('[data-segment]');
+        if (!row || !e.target.dataset.field) return;
+        
+        setHapticSegmentField(GamepadTester.haptics.pattern.segments[row.dataset.segment], e.target.dataset.field, e.target.value);
+        onHapticPatternChanged();
+    });
+    
+    table.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        const row = e.target.closest('[data-segment]');
+        if (!action || !row) return;
+        
+        const segments = GamepadTester.haptics.pattern.segments;
+        const index = parseInt(row.dataset.segment);
+        const target = action === 'up' ? index - 1 : index + 1;
+        
+        if (action === 'remove') {
+            segments.splice(index, 1);
+        } else if (target >= 0 && target < segments.length) {
+            segments.splice(target, 0, segments.splice(index, 1)[0]);
+        }
+        onHapticPatternChanged();
+    });
+    
+    syncHapticPatternUI();
+}
+
+function setHapticSegmentField(segment, field, value) {
+    const path = field.split('.');
+    
+    if (path.length === 2) {
+        const envelope = segment[path[0]];
+        if (path[1] === 'shape') {
+            envelope.shape = HAPTICS_SHAPES.includes(value) ? value : 'constant';
+        } else {
+            envelope[path[1]] = clamp(parseFloat(value) || 0, 0, 1);
+        }
+    } else if (field === 'type') {
+        segment.type = value === 'trigger-rumble' ? 'trigger-rumble' : 'dual-rumble';
+    } else if (field === 'duration') {
+        segment.duration = clamp(parseInt(value) || HAPTICS_STEP_MS, HAPTICS_STEP_MS, HAPTICS_MAX_SEGMENT_MS);
+    } else if (field === 'period') {
+        segment.period = clamp(parseInt(value) || 200, 2 * HAPTICS_STEP_MS, HAPTICS_MAX_SEGMENT_MS);
+    }
+}
+
+function onHapticPatternChanged() {
+    // Edits take effect on the next play - restarting mid-pattern would be jarring
+    syncHapticPatternUI();
+}
+
+function evaluateHapticEnvelope(envelope, time, duration, period) {
+    const from = envelope.from;
+    const to = envelope.to;
+    const phase = (time % period) / period;
+    
+    switch (envelope.shape) {
+        case 'ramp':
+            return lerp(from, to, clamp(time / duration, 0, 1));
+        case 'pulse':
+            return phase < 0.5 ? to : from;
+        case 'heartbeat':
+            // lub (full) - gap - dub (60%) - rest
+            if (phase < 0.12) return to;
+            if (phase >= 0.22 && phase < 0.34) return lerp(from, to, 0.6);
+            return from;
+        default:
+            return from;
+    }
+}
+
+function compileHapticPattern(pattern) {
+    const steps = [];
+    let start = 0;
+    
+    pattern.segments.forEach((segment, index) => {
+        for (let time = 0; time < segment.duration; time += HAPTICS_STEP_MS) {
+            const duration = Math.min(HAPTICS_STEP_MS, segment.duration - time);
+            const sampleTime = time + duration / 2;
+            const sample = (channel) => {
+                const value = evaluateHapticEnvelope(segment[channel], sampleTime, segment.duration, segment.period);
+                return Math.round(value * 1000) / 1000;
+            };
+            
+            const params = {
+                weakMagnitude: sample('weak'),
+                strongMagnitude: sample('strong')
+            };
+            if (segment.type === 'trigger-rumble') {
+                params.leftTrigger = sample('leftTrigger');
+                params.rightTrigger = sample('rightTrigger');
+            }
+            
+            // Merge slices that didn't change - fewer calls, less scheduling jitter
+            const last = steps[steps.length - 1];
+            if (last && last.segment === index && JSON.stringify(last.params) === JSON.stringify(params)) {
+                last.duration += duration;
+            } else {
+                steps.push({ segment: index, type: segment.type, start: start + time, duration: duration, params: params });
+            }
+        }
+        start += segment.duration;
+    });
+    
+    return steps;
+}
+
+function supportsHapticEffect(actuator, type) {
+    // Browsers that predate actuator.effects only implement dual-rumble
+    return Array.isArray(actuator.effects) ? actuator.effects.includes(type) : type === 'dual-rumble';
+}
+
+function playHapticPattern() {
+    const haptics = GamepadTester.haptics;
+    const gamepad = GamepadTester.activeGamepadIndex !== null ? readGamepads()[GamepadTester.activeGamepadIndex] : null;
+    
+    if (!gamepad || !gamepad.vibrationActuator) {
+        showToast('The active controller has no vibration actuator', 'error');
+        return;
+    }
+    
+    const steps = compileHapticPattern(haptics.pattern);
+    if (steps.length === 0) {
+        showToast('Add at least one segment first', 'error');
+        return;
+    }
+    
+    if (steps.some(step => !supportsHapticEffect(gamepad.vibrationActuator, step.type))) {
+        showToast('Trigger rumble isn\'t available here - those segments play as silence', 'error');
+    }
+    
+    haptics.actuator = gamepad.vibrationActuator;
+    haptics.steps = steps;
+    haptics.playing = true;
+    haptics.startTime = performance.now();
+    
+    document.getElementById('haptics-play').textContent = '■ Stop';
+    playHapticStep(0);
+}
+
+function playHapticStep(index) {
+    const haptics = GamepadTester.haptics;
+    if (!haptics.playing) return;
+    
+    if (index >= haptics.steps.length) {
+        if (haptics.pattern.loop) {
+            haptics.startTime = performance.now();
+            playHapticStep(0);
+        } else {
+            stopHapticPattern();
+        }
+        return;
+    }
+    
+    const step = haptics.steps[index];
+    haptics.stepIndex = index;
+    drawHapticTimeline();
+    
+    if (!supportsHapticEffect(haptics.actuator, step.type)) {
+        haptics.timerId = setTimeout(() => playHapticStep(index + 1), step.duration);
+        return;
+    }
+    
+    haptics.actuator.playEffect(step.type, Object.assign({ startDelay: 0, duration: step.duration }, step.params)).then(result => {
+        // 'preempted' means another effect (or Stop) took over - end the chain
+        if (result === 'complete') {
+            playHapticStep(index + 1);
+        }
+    }).catch(error => {
+        console.error('Haptics error:', error);
+        showToast('Haptic playback failed', 'error');
+        stopHapticPattern();
+    });
+}
+
+function stopHapticPattern() {
+    const haptics = GamepadTester.haptics;
+    const wasPlaying = haptics.playing;
+    
+    haptics.playing = false;
+    haptics.stepIndex = -1;
+    clearTimeout(haptics.timerId);
+    
+    if (wasPlaying && haptics.actuator && haptics.actuator.reset) {
+        haptics.actuator.reset().catch(error => {
+            console.error('Haptics reset error:', error);
+        });
+    }
+    
+    document.getElementById('haptics-play').textContent = '▶ Play';
+    drawHapticTimeline();
+}
+
+function saveHapticPattern() {
+    const pattern = GamepadTester.haptics.pattern;
+    const file = {
+        format: HAPTICS_FORMAT,
+        version: HAPTICS_VERSION,
+        name: pattern.name,
+        loop: pattern.loop,
+        segments: pattern.segments
+    };
+    
+    downloadFile('haptic-pattern.json', JSON.stringify(file, null, 2), 'application/json');
+}
+
+function loadHapticPattern(file) {
+    file.text().then(text => {
+        const data = JSON.parse(text);
+        
+        if (data.format !== HAPTICS_FORMAT || !Array.isArray(data.segments)) {
+            throw new Error('Not a haptic pattern');
+        }
+        if (data.version > HAPTICS_VERSION) {
+            throw new Error(`Unsupported pattern version ${data.version}`);
+        }
+        
+        // Rebuild every segment through the field setters so values are clamped and valid
+        const segments = data.segments.map(source => {
+            const segment = createHapticSegment('pause');
+            ['type', 'duration', 'period'].forEach(field => {
+                if (source[field] !== undefined) setHapticSegmentField(segment, field, source[field]);
+            });
+            HAPTICS_CHANNELS.forEach(channel => {
+                if (!source[channel]) return;
+                ['shape', 'from', 'to'].forEach(key => {
+                    if (source[channel][key] !== undefined) setHapticSegmentField(segment, `${channel}.${key}`, source[channel][key]);
+                });
+            });
+            return segment;
+        });
+        
+        stopHapticPattern();
+        GamepadTester.haptics.pattern = {
+            name: String(data.name || 'Untitled'),
+            loop: !!data.loop,
+            segments: segments
+        };
+        
+        syncHapticPatternUI();
+        showToast('Haptic pattern loaded', 'success');
+    }).catch(error => {
+        console.error('Pattern load error:', error);
+        showToast(`Could not load pattern: ${error.message}`, 'error');
+    });
+}
+
+function syncHapticPatternUI() {
+    const pattern = GamepadTester.haptics.pattern;
+    
+    document.getElementById('haptics-name').value = pattern.name;
+    document.getElementById('haptics-loop').checked = pattern.loop;
+    
+    const shapeSelect = (field, value) => `
+        <select class="shaping-select" data-field="${field}">
+            ${HAPTICS_SHAPES.map(shape => `<option value="${shape}"${shape === value ? ' selected' : ''}>${shape}</option>`).join('')}
+        </select>`;
+    const level = (field, value) => `<input type="number" data-field="${field}" min="0" max="1" step="0.05" value="${value}">`;
+    const envelopeCell = (segment, channel) => `
+        <td class="haptics-envelope">
+            ${shapeSelect(`${channel}.shape`, segment[channel].shape)}
+            ${level(`${channel}.from`, segment[channel].from)}
+            ${level(`${channel}.to`, segment[channel].to)}
+        </td>`;
+    
+    document.getElementById('haptics-segments').innerHTML = pattern.segments.map((segment, i) => {
+        const trigger = segment.type === 'trigger-rumble';
+        
+        return `
+            <tr data-segment="${i}">
+                <td class="input-name">${i + 1}</td>
+                <td>
+                    <select class="shaping-select" data-field="type">
+                        <option value="dual-rumble"${trigger ? '' : ' selected'}>Dual rumble</option>
+                        <option value="trigger-rumble"${trigger ? ' selected' : ''}>Trigger rumble</option>
+                    </select>
+                </td>
+                <td><input type="number" data-field="duration" min="${HAPTICS_STEP_MS}" max="${HAPTICS_MAX_SEGMENT_MS}" step="50" value="${segment.duration}"></td>
+                <td><input type="number" data-field="period" min="${HAPTICS_STEP_MS * 2}" max="${HAPTICS_MAX_SEGMENT_MS}" step="50" value="${segment.period}"></td>
+                ${envelopeCell(segment, 'weak')}
+                ${envelopeCell(segment, 'strong')}
+                ${trigger ? envelopeCell(segment, 'leftTrigger') + envelopeCell(segment, 'rightTrigger') : '<td>-</td><td>-</td>'}
+                <td class="haptics-actions">
+                    <button class="btn-control" data-action="up" title="Move up">▲</button>
+                    <button class="btn-control" data-action="down" title="Move down">▼</button>
+                    <button class="btn-control" data-action="remove" title="Remove">✕</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    drawHapticTimeline();
+}
+
+function drawHapticTimeline() {
+    const canvas = document.getElementById('haptics-canvas');
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const haptics = GamepadTester.haptics;
+    const pattern = haptics.pattern;
+    const steps = haptics.playing ? haptics.steps : compileHapticPattern(pattern);
+    const total = pattern.segments.reduce((sum, segment) => sum + segment.duration, 0) || 1;
+    const padding = 10;
+    const toX = (time) => (time / total) * width;
+    const toY = (value) => height - padding - value * (height - padding * 2);
+    
+    ctx.fillStyle = '#0f0f12';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Segment boundaries
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.setLineDash([4, 4]);
+    ctx.fillStyle = '#a0a0a8';
+    ctx.font = '12px Share Tech Mono';
+    let start = 0;
+    pattern.segments.forEach((segment, i) => {
+        ctx.beginPath();
+        ctx.moveTo(toX(start), 0);
+        ctx.lineTo(toX(start), height);
+        ctx.stroke();
+        ctx.fillText(`${i + 1}`, toX(start) + 4, 14);
+        start += segment.duration;
+    });
+    ctx.setLineDash([]);
+    
+    // What will actually be sent: one stepped line per channel
+    const channels = [
+        ['weakMagnitude', '#00f3ff'],
+        ['strongMagnitude', '#ff00ff'],
+        ['leftTrigger', '#ffcc00'],
+        ['rightTrigger', '#00ff88']
+    ];
+    channels.forEach(channel => {
+        ctx.strokeStyle = channel[1];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let drawing = false;
+        
+        steps.forEach(step => {
+            const value = step.params[channel[0]];
+            if (value === undefined) {
+                drawing = false;
+                return;
+            }
+            
+            if (drawing) {
+                ctx.lineTo(toX(step.start), toY(value));
+            } else {
+                ctx.moveTo(toX(step.start), toY(value));
+                drawing = true;
+            }
+            ctx.lineTo(toX(step.start + step.duration), toY(value));
+        });
+        ctx.stroke();
+    });
+    
+    // Playhead
+    if (haptics.playing && haptics.stepIndex >= 0) {
+        const x = toX(steps[haptics.stepIndex].start);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+    
+    ctx.fillStyle = '#a0a0a8';
+    ctx.fillText(`${(total / 1000).toFixed(2)} s · ${steps.length} effects`, width - 160, 14);
+}
+
 // ==========================================
 // TOAST NOTIFICATION SYSTEM
 // ==========================================
@@ -916,6 +10514,31 @@ function lerp(start, end, amount) {
     return start + (end - start) * amount;
 }
 
+// Escape text for insertion into generated HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Trigger a browser download for generated content (string, ArrayBuffer or Blob)
+function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ==========================================
 // CONSOLE GREETING
 // ==========================================